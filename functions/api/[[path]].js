@@ -4,6 +4,8 @@
  */
 
 import searchHandler from './search.js';
+import coverHandler from './cover.js';
+import batchHandler from './batch.js';
 
 /**
  * 主处理函数
@@ -56,9 +58,14 @@ export async function onRequest(context) {
       return await handleImage(request, env, pathname);
     }
 
+    // 批量封面API（及其生成的图片）
+    if (pathname === '/api/cover/batch' || pathname.startsWith('/api/cover/files/')) {
+      return await batchHandler.fetch(request, env, context);
+    }
+
     // 封面生成API
     if (pathname.startsWith('/api/cover')) {
-      return await handleCover(request, env);
+      return await coverHandler.fetch(request, env, context);
     }
 
     // 404
@@ -71,7 +78,8 @@ export async function onRequest(context) {
         '/api/health',
         '/api/kv/*',
         '/api/image/*',
-        '/api/cover'
+        '/api/cover',
+        '/api/cover/batch'
       ]
     }, 404);
 
@@ -197,26 +205,6 @@ async function handleImage(request, env, pathname) {
   });
 }
 
-/**
- * 处理封面生成请求
- */
-async function handleCover(request, env) {
-  if (request.method !== 'POST') {
-    return jsonResponse({ error: 'Method not allowed' }, 405);
-  }
-
-  try {
-    const body = await request.json();
-    // 封面生成逻辑
-    return jsonResponse({
-      message: 'Cover generation endpoint',
-      received_params: Object.keys(body)
-    });
-  } catch (error) {
-    return jsonResponse({ error: error.message }, 500);
-  }
-}
-
 /**
  * JSON响应辅助函数
  */
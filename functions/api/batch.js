@@ -0,0 +1,259 @@
+/**
+ * 批量封面API
+ * 一次请求渲染多个封面：流式返回 ZIP（附 manifest.json），或存入 R2 后返回图片地址
+ * 单项失败只记录在结果中，不影响其余条目
+ */
+
+import { EXPORT_SCALES, coverFileName } from '../../src/renderer/index.ts'
+import { COVER_DOCUMENT_TYPE, parseCoverDocument } from '../../src/stores/coverDocument.ts'
+import { ZipWriter } from '../../src/utils/zip.ts'
+import { dimensionError, generateCover, renderingUnavailable } from './cover.js'
+import { isRasterizeConfigured, loadFontMeasurer, rasterize, OUTPUT_FORMATS } from './rasterize.js'
+
+export const MAX_BATCH_ITEMS = 50 // 单次请求的条目上限
+const FILES_PREFIX = '/api/cover/files/'
+const BATCH_KEY_PREFIX = 'batch/' // 批量结果在存储桶中的前缀，只开放这部分对象
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...CORS_HEADERS }
+  })
+}
+
+function errorMessage(error) {
+  return error.issues ? error.issues.join('; ') : error.message
+}
+
+/**
+ * 封面文档展开为渲染参数，画布尺寸取自文档
+ */
+function documentParams(input) {
+  const { document } = parseCoverDocument(input)
+  return { ...document.cover, width: document.canvas.width, height: document.canvas.height }
+}
+
+function isCoverDocument(value) {
+  return value !== null && typeof value === 'object' && value.type === COVER_DOCUMENT_TYPE
+}
+
+/**
+ * 合并共享模板与单个条目
+ * 条目可以是标题字符串、完整的封面文档，或覆盖模板部分字段的参数对象
+ */
+export function resolveItemParams(item, template) {
+  if (typeof item === 'string') return { ...template, title: item }
+  if (isCoverDocument(item)) return documentParams(item)
+  if (item !== null && typeof item === 'object' && !Array.isArray(item)) return { ...template, ...item }
+  throw new Error('Item must be a title, a cover document or an object')
+}
+
+function itemTitle(params) {
+  return params.title ?? params.text ?? ''
+}
+
+/**
+ * 逐个渲染条目，按顺序产出结果；失败的条目带 error 字段
+ */
+async function* renderItems(items, template, { format, quality, scale, env }) {
+  for (const [i, item] of items.entries()) {
+    const index = i + 1
+    let params = null
+    try {
+      params = resolveItemParams(item, template)
+      const invalidSize = dimensionError(params, scale)
+      if (invalidSize) throw new Error(invalidSize)
+      const { width = 1200, height = 630 } = params
+
+      const canvas = await generateCover({ ...params, width, height, scale }, { measureText: await loadFontMeasurer(env) })
+      const { body, contentType } = await rasterize(canvas.toSVG(), { format, quality, env })
+      // 未绑定 Images 时会回退为 PNG，扩展名以实际格式为准
+      const actual = Object.keys(OUTPUT_FORMATS).find(key => OUTPUT_FORMATS[key] === contentType) || 'png'
+      const prefix = String(index).padStart(String(items.length).length, '0')
+      const title = itemTitle(params)
+      yield { index, title, file: `${prefix}-${coverFileName(title, actual, scale)}`, body, contentType }
+    } catch (error) {
+      yield { index, title: params ? itemTitle(params) : '', file: null, error: errorMessage(error) }
+    }
+  }
+}
+
+function createManifest(options, entries) {
+  return {
+    type: 'mini-cover/batch',
+    generatedAt: new Date().toISOString(),
+    format: options.format,
+    scale: options.scale,
+    items: entries
+  }
+}
+
+/**
+ * 边渲染边输出 ZIP，清单在最后写入
+ */
+async function* zipChunks(items, template, options) {
+  const writer = new ZipWriter()
+  const entries = []
+
+  for await (const { body, contentType, ...entry } of renderItems(items, template, options)) {
+    if (body) yield writer.add({ name: entry.file, data: body })
+    entries.push(entry)
+  }
+
+  yield writer.add({
+    name: 'manifest.json',
+    data: JSON.stringify(createManifest(options, entries), null, 2)
+  })
+  yield writer.finish()
+}
+
+function streamZip(items, template, options) {
+  const chunks = zipChunks(items, template, options)
+
+  // 按需拉取：客户端读取时才渲染下一项
+  const stream = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await chunks.next()
+        if (done) controller.close()
+        else controller.enqueue(value)
+      } catch (error) {
+        controller.error(error)
+      }
+    },
+    cancel() {
+      chunks.return()
+    }
+  })
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="covers-${Date.now()}.zip"`,
+      'Cache-Control': 'no-store',
+      ...CORS_HEADERS
+    }
+  })
+}
+
+/**
+ * 存入 R2，返回每张图片的访问地址
+ */
+async function storeToBucket(items, template, options, origin) {
+  const bucket = options.env.MINI_COVER_BUCKET
+  const batchId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`
+  const entries = []
+
+  for await (const { body, contentType, ...entry } of renderItems(items, template, options)) {
+    if (!body) {
+      entries.push({ ...entry, url: null })
+      continue
+    }
+    try {
+      const key = `${BATCH_KEY_PREFIX}${batchId}/${entry.file}`
+      await bucket.put(key, body, { httpMetadata: { contentType } })
+      entries.push({ ...entry, url: `${origin}${FILES_PREFIX}${key.split('/').map(encodeURIComponent).join('/')}` })
+    } catch (error) {
+      entries.push({ ...entry, url: null, error: errorMessage(error) })
+    }
+  }
+
+  return jsonResponse({ batchId, ...createManifest(options, entries) })
+}
+
+/**
+ * 读取 R2 中已生成的图片
+ */
+export async function serveFile(pathname, env) {
+  if (!env.MINI_COVER_BUCKET) return jsonResponse({ error: 'Storage is not configured' }, 501)
+
+  let key
+  try {
+    key = decodeURIComponent(pathname.slice(FILES_PREFIX.length))
+  } catch {
+    return jsonResponse({ error: 'Invalid file path' }, 400)
+  }
+  // 存储桶可能与其他功能共用，批量结果以外的对象一律不存在
+  if (!key.startsWith(BATCH_KEY_PREFIX)) return jsonResponse({ error: 'Not Found' }, 404)
+
+  const object = await env.MINI_COVER_BUCKET.get(key)
+  if (!object) return jsonResponse({ error: 'Not Found' }, 404)
+
+  return new Response(object.body, {
+    headers: {
+      'Content-Type': object.httpMetadata?.contentType || 'application/octet-stream',
+      'Cache-Control': 'public, max-age=86400',
+      ...CORS_HEADERS
+    }
+  })
+}
+
+/**
+ * 主处理函数
+ */
+export default {
+  async fetch(request, env) {
+    const url = new URL(request.url)
+
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers: CORS_HEADERS })
+    }
+
+    if (url.pathname.startsWith(FILES_PREFIX)) {
+      if (request.method !== 'GET') return jsonResponse({ error: 'Method not allowed' }, 405)
+      return serveFile(url.pathname, env)
+    }
+
+    if (request.method !== 'POST') {
+      return jsonResponse({ error: 'Method not allowed' }, 405)
+    }
+    if (!isRasterizeConfigured(env)) return renderingUnavailable(CORS_HEADERS)
+
+    let body
+    try {
+      body = await request.json()
+    } catch {
+      return jsonResponse({ error: 'Invalid JSON body' }, 400)
+    }
+
+    const { items, template: rawTemplate = {}, format = 'png', quality, scale = 1, output = 'zip' } = body || {}
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return jsonResponse({ error: 'items must be a non-empty array' }, 400)
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+      return jsonResponse({ error: `At most ${MAX_BATCH_ITEMS} items per request`, limit: MAX_BATCH_ITEMS }, 400)
+    }
+    if (!OUTPUT_FORMATS[format]) {
+      return jsonResponse({ error: 'Unsupported format', supported: Object.keys(OUTPUT_FORMATS) }, 400)
+    }
+    if (!EXPORT_SCALES.includes(scale)) {
+      return jsonResponse({ error: 'Unsupported scale', supported: EXPORT_SCALES }, 400)
+    }
+    if (output !== 'zip' && output !== 'urls') {
+      return jsonResponse({ error: 'Unsupported output', supported: ['zip', 'urls'] }, 400)
+    }
+    if (output === 'urls' && !env.MINI_COVER_BUCKET) {
+      return jsonResponse({ error: 'Storage is not configured' }, 501)
+    }
+
+    // 模板可以是封面文档，也可以是与 /api/cover 相同的参数对象
+    let template
+    try {
+      template = isCoverDocument(rawTemplate) ? documentParams(rawTemplate) : { ...rawTemplate }
+    } catch (error) {
+      return jsonResponse({ error: 'Invalid template', message: errorMessage(error) }, 400)
+    }
+
+    const options = { format, quality, scale, env }
+    return output === 'urls'
+      ? storeToBucket(items, template, options, url.origin)
+      : streamZip(items, template, options)
+  }
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createCoverSpec } from '../../src/renderer/index.ts'
+import { parseCoverParams } from './cover.js'
+import { resolveItemParams, serveFile } from './batch.js'
+
+// 栅格化依赖 wasm，这里不需要
+vi.mock('./rasterize.js', () => ({
+  rasterize: vi.fn(),
+  isRasterizeConfigured: env => Boolean(env?.COVER_FONT_URL),
+  loadFontMeasurer: vi.fn(async () => undefined),
+  OUTPUT_FORMATS: { png: 'image/png' }
+}))
+
+function fakeBucket(objects) {
+  return {
+    get: vi.fn(async key => (key in objects ? { body: objects[key], httpMetadata: { contentType: 'image/png' } } : null))
+  }
+}
+
+describe('resolveItemParams', () => {
+  it('模板只指定背景色时使用纯色而不是默认渐变', () => {
+    const params = resolveItemParams('第一篇', { textColor: '#ffffff', bgColor: '#1a1a2e' })
+    const spec = createCoverSpec(parseCoverParams(params).cover, { width: 1200, height: 630 })
+    expect(spec.background.color).toBe('#1a1a2e')
+    expect(spec.background.gradient).toBeNull()
+  })
+
+  it('同时指定渐变时保留渐变', () => {
+    const params = resolveItemParams('第一篇', { bgColor: '#1a1a2e', bgGradient: ['#000000', '#ffffff'] })
+    const spec = createCoverSpec(parseCoverParams(params).cover, { width: 1200, height: 630 })
+    expect(spec.background.gradient?.colors).toEqual(['#000000', '#ffffff'])
+  })
+})
+
+describe('serveFile', () => {
+  const env = { MINI_COVER_BUCKET: fakeBucket({ 'batch/abc/01-a.png': 'img', 'secret/config.json': '{}' }) }
+
+  it('返回批量生成的文件', async () => {
+    const response = await serveFile('/api/cover/files/batch/abc/01-a.png', env)
+    expect(response.status).toBe(200)
+    expect(response.headers.get('Content-Type')).toBe('image/png')
+  })
+
+  it('批量前缀以外的对象返回 404', async () => {
+    const response = await serveFile('/api/cover/files/secret/config.json', env)
+    expect(response.status).toBe(404)
+    expect(env.MINI_COVER_BUCKET.get).not.toHaveBeenCalledWith('secret/config.json')
+  })
+
+  it('无效的转义返回 400', async () => {
+    const response = await serveFile('/api/cover/files/batch/%E0%A4%A', env)
+    expect(response.status).toBe(400)
+  })
+})
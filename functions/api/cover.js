@@ -3,26 +3,29 @@
  * 接收参数生成封面图片，支持缓存
  */
 
-// 使用动态导入canvas，如果不存在则使用备用方案
+import {
+  DEFAULT_COVER_STATE,
+  EXPORT_SCALES,
+  createCoverSpec,
+  createSvgCanvas,
+  loadCoverAssets,
+  loadSvgImage,
+  renderCover
+} from '../../src/renderer/index.ts'
+import { CoverDocumentError, parseCoverDocument } from '../../src/stores/coverDocument.ts'
+import { isRasterizeConfigured, loadFontMeasurer, rasterize, OUTPUT_FORMATS } from './rasterize.js'
 
 // 简单的内存缓存
 const cache = new Map()
 const CACHE_MAX_SIZE = 100 // 最大缓存数量
 const CACHE_TTL = 3600000 // 1小时过期
+export const MAX_DIMENSION = 4096 // 最大边长
 
 /**
  * 生成缓存key
  */
 function generateCacheKey(params) {
-  const keyString = JSON.stringify({
-    title: params.title,
-    subtitle: params.subtitle,
-    bgImage: params.bgImage,
-    width: params.width,
-    height: params.height,
-    textColor: params.textColor,
-    align: params.align
-  })
+  const keyString = JSON.stringify(params, Object.keys(params).sort())
   // 简单的hash
   let hash = 0
   for (let i = 0; i < keyString.length; i++) {
@@ -57,131 +60,89 @@ function cleanupCache() {
 }
 
 /**
- * 绘制文字自动换行
+ * 未配置字体时的响应
  */
-function wrapText(ctx, text, x, y, maxWidth, lineHeight, align) {
-  const chars = text.split('')
-  let line = ''
-  const lines = []
+export function renderingUnavailable(headers = {}) {
+  return new Response(JSON.stringify({
+    error: 'Server-side rendering is not configured',
+    message: 'Set COVER_FONT_URL to one or more TTF/OTF font URLs'
+  }), {
+    status: 503,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  })
+}
 
-  for (let i = 0; i < chars.length; i++) {
-    const testLine = line + chars[i]
-    const metrics = ctx.measureText(testLine)
-    if (metrics.width > maxWidth && i > 0) {
-      lines.push(line)
-      line = chars[i]
+/**
+ * 解析GET请求的查询参数
+ */
+function parseQueryParams(searchParams) {
+  const numeric = ['width', 'height', 'blur', 'quality', 'scale']
+  // 颜色列表用逗号分隔，如 bgGradient=#667eea,#764ba2
+  const colorLists = ['bgGradient', 'textGradient', 'bgDuotone']
+  const params = {}
+  for (const [key, value] of searchParams.entries()) {
+    const isNumber = numeric.includes(key) || typeof DEFAULT_COVER_STATE[key] === 'number'
+    if (colorLists.includes(key)) {
+      params[key] = value ? value.split(',').map(color => color.trim()) : null
+    } else if (typeof DEFAULT_COVER_STATE[key] === 'boolean') {
+      params[key] = value !== 'false' && value !== '0'
     } else {
-      line = testLine
+      params[key] = isNumber ? Number(value) : value
     }
   }
-  lines.push(line)
-
-  // 根据对齐方式调整Y坐标
-  const totalHeight = lines.length * lineHeight
-  let startY = y
-
-  if (align === 'center') {
-    startY = y - totalHeight / 2 + lineHeight / 2
-  }
-
-  for (let i = 0; i < lines.length; i++) {
-    ctx.fillText(lines[i], x, startY + i * lineHeight)
-  }
+  return params
 }
 
 /**
- * 生成封面图片
+ * 检查画布尺寸：未传时使用默认值，传入时必须是正数；返回错误信息，有效时返回 null
+ * 查询参数中的非数字会变成 NaN，不能让它绕过最大边长的检查
  */
-async function generateCover(params) {
-  const {
-    width = 1200,
-    height = 630,
-    title = '',
-    subtitle = '',
-    bgImage = null,
-    textColor = '#ffffff',
-    align = 'center',
-    overlayOpacity = 30,
-    blur = 0
-  } = params
-
-  // 创建canvas
-  const canvas = createCanvas(width, height)
-  const ctx = canvas.getContext('2d')
-
-  // 绘制背景
-  if (bgImage) {
-    try {
-      const img = await loadImage(bgImage)
-      // 计算cover填充
-      const scale = Math.max(width / img.width, height / img.height)
-      const x = (width / 2) - (img.width / 2) * scale
-      const y = (height / 2) - (img.height / 2) * scale
-      ctx.drawImage(img, x, y, img.width * scale, img.height * scale)
-    } catch (e) {
-      // 加载失败使用渐变背景
-      const gradient = ctx.createLinearGradient(0, 0, width, height)
-      gradient.addColorStop(0, '#667eea')
-      gradient.addColorStop(1, '#764ba2')
-      ctx.fillStyle = gradient
-      ctx.fillRect(0, 0, width, height)
+export function dimensionError(params, scale = 1) {
+  for (const key of ['width', 'height']) {
+    const value = params[key]
+    if (value === undefined) continue
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      return `${key} must be a positive number`
+    }
+    if (value * scale > MAX_DIMENSION) {
+      return `Output width and height must not exceed ${MAX_DIMENSION}px`
     }
-  } else {
-    // 默认渐变背景
-    const gradient = ctx.createLinearGradient(0, 0, width, height)
-    gradient.addColorStop(0, '#667eea')
-    gradient.addColorStop(1, '#764ba2')
-    ctx.fillStyle = gradient
-    ctx.fillRect(0, 0, width, height)
-  }
-
-  // 应用模糊
-  if (blur > 0) {
-    ctx.filter = `blur(${blur}px)`
-  }
-
-  // 绘制遮罩
-  if (overlayOpacity > 0) {
-    ctx.fillStyle = `rgba(0, 0, 0, ${overlayOpacity / 100})`
-    ctx.fillRect(0, 0, width, height)
-  }
-
-  // 重置滤镜
-  ctx.filter = 'none'
-
-  // 绘制文字
-  const padding = 60
-  const maxWidth = width - padding * 2
-
-  ctx.textAlign = align
-
-  let x
-  switch (align) {
-    case 'left':
-      x = padding
-      break
-    case 'right':
-      x = width - padding
-      break
-    default:
-      x = width / 2
   }
+  return null
+}
 
-  // 主标题
-  if (title) {
-    ctx.fillStyle = textColor
-    ctx.font = 'bold 72px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
-    wrapText(ctx, title, x, height / 2 - 30, maxWidth, 80, align)
+/**
+ * 校验请求参数并整理为封面文档
+ * 扁平参数按 0 版文档迁移（兼容旧参数名 title / bgImage / align / blur），无效参数抛出 CoverDocumentError
+ */
+export function parseCoverParams(params) {
+  const { format, quality, scale, ...input } = params
+  // 只指定背景色时使用纯色，否则默认渐变会盖住它
+  if (input.type === undefined && input.bgColor !== undefined && input.bgGradient === undefined) {
+    input.bgGradient = null
   }
+  return parseCoverDocument(input).document
+}
 
-  // 副标题
-  if (subtitle) {
-    ctx.fillStyle = textColor
-    ctx.globalAlpha = 0.8
-    ctx.font = '32px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
-    wrapText(ctx, subtitle, x, height / 2 + 70, maxWidth, 40, align)
-    ctx.globalAlpha = 1
-  }
+/**
+ * 生成封面图片
+ * 与浏览器预览使用同一个渲染引擎，绘制到SVG画布
+ * @param {object} [options] measureText 为栅格化字体的测量函数，见 loadFontMeasurer
+ */
+export async function generateCover(params, { measureText } = {}) {
+  const { scale = 1 } = params
+  const { cover, canvas: { width, height } } = parseCoverParams(params)
+
+  // width / height 为逻辑尺寸，输出尺寸再乘以导出倍率
+  const spec = createCoverSpec(cover, { width, height })
+  const assets = await loadCoverAssets(spec, loadSvgImage)
+
+  const svgOptions = { measureText }
+  const canvas = createSvgCanvas(width * scale, height * scale, svgOptions)
+  renderCover(canvas.getContext('2d'), spec, assets, {
+    createCanvas: (w, h) => createSvgCanvas(w, h, svgOptions),
+    scale
+  })
 
   return canvas
 }
@@ -199,14 +160,14 @@ export default {
         status: 204,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
           'Access-Control-Allow-Headers': 'Content-Type'
         }
       })
     }
 
-    // 只处理POST请求
-    if (request.method !== 'POST') {
+    // 支持POST(JSON)与GET(查询参数)
+    if (request.method !== 'POST' && request.method !== 'GET') {
       return new Response(JSON.stringify({ error: 'Method not allowed' }), {
         status: 405,
         headers: {
@@ -216,9 +177,56 @@ export default {
       })
     }
 
+    if (!isRasterizeConfigured(env)) {
+      return renderingUnavailable({ 'Access-Control-Allow-Origin': '*' })
+    }
+
     try {
       // 获取参数
-      const params = await request.json()
+      const params = request.method === 'GET'
+        ? parseQueryParams(url.searchParams)
+        : await request.json()
+
+      if (params.format && !OUTPUT_FORMATS[params.format]) {
+        return new Response(JSON.stringify({
+          error: 'Unsupported format',
+          supported: Object.keys(OUTPUT_FORMATS)
+        }), {
+          status: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          }
+        })
+      }
+      const format = params.format || 'png'
+
+      if (params.scale !== undefined && !EXPORT_SCALES.includes(params.scale)) {
+        return new Response(JSON.stringify({
+          error: 'Unsupported scale',
+          supported: EXPORT_SCALES
+        }), {
+          status: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          }
+        })
+      }
+      const scale = params.scale || 1
+
+      const invalidSize = dimensionError(params, scale)
+      if (invalidSize) {
+        return new Response(JSON.stringify({
+          error: invalidSize
+        }), {
+          status: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          }
+        })
+      }
 
       // 生成缓存key
       const cacheKey = generateCacheKey(params)
@@ -228,7 +236,7 @@ export default {
       if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
         return new Response(cached.image, {
           headers: {
-            'Content-Type': 'image/png',
+            'Content-Type': cached.contentType,
             'Cache-Control': 'public, max-age=3600',
             'Access-Control-Allow-Origin': '*',
             'X-Cache': 'HIT'
@@ -237,14 +245,19 @@ export default {
       }
 
       // 生成封面
-      const canvas = await generateCover(params)
+      const canvas = await generateCover(params, { measureText: await loadFontMeasurer(env) })
 
-      // 转换为PNG buffer
-      const buffer = canvas.toBuffer('image/png')
+      // 栅格化
+      const { body, contentType } = await rasterize(canvas.toSVG(), {
+        format,
+        quality: params.quality,
+        env
+      })
 
       // 存入缓存
       cache.set(cacheKey, {
-        image: buffer,
+        image: body,
+        contentType,
         timestamp: Date.now()
       })
 
@@ -252,9 +265,9 @@ export default {
       cleanupCache()
 
       // 返回图片
-      return new Response(buffer, {
+      return new Response(body, {
         headers: {
-          'Content-Type': 'image/png',
+          'Content-Type': contentType,
           'Cache-Control': 'public, max-age=3600',
           'Access-Control-Allow-Origin': '*',
           'X-Cache': 'MISS'
@@ -262,6 +275,18 @@ export default {
       })
 
     } catch (error) {
+      if (error instanceof CoverDocumentError) {
+        return new Response(JSON.stringify({
+          error: 'Invalid cover parameters',
+          issues: error.issues
+        }), {
+          status: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          }
+        })
+      }
       console.error('Error generating cover:', error)
       return new Response(JSON.stringify({
         error: 'Failed to generate cover',
@@ -0,0 +1,140 @@
+import { describe, it, expect, vi } from 'vitest'
+import { DEFAULT_COVER_STATE, createCoverSpec } from '../../src/renderer/index.ts'
+import { renderBrowserSvg } from '../../src/renderer/browser.ts'
+import coverHandler, { dimensionError, generateCover } from './cover.js'
+import { loadFontMeasurer } from './rasterize.js'
+import { createFontMeasurer } from '../../src/renderer/index.ts'
+
+// 栅格化依赖 wasm，这里只比较 SVG
+vi.mock('./rasterize.js', () => ({
+  rasterize: vi.fn(async () => ({ body: new Uint8Array([1]), contentType: 'image/png' })),
+  isRasterizeConfigured: env => Boolean(env?.COVER_FONT_URL),
+  loadFontMeasurer: vi.fn(async () => undefined),
+  OUTPUT_FORMATS: { png: 'image/png' }
+}))
+
+const env = { COVER_FONT_URL: 'https://example.com/font.ttf' }
+
+function get(query, withEnv = env) {
+  return coverHandler.fetch(new Request(`https://example.com/api/cover?${query}`), withEnv)
+}
+
+describe('dimensionError', () => {
+  it('未传尺寸时使用默认值', () => {
+    expect(dimensionError({})).toBeNull()
+    expect(dimensionError({ width: 800, height: 600 }, 2)).toBeNull()
+  })
+
+  it('非数字、非正数与超出上限的尺寸无效', () => {
+    expect(dimensionError({ width: NaN })).toBe('width must be a positive number')
+    expect(dimensionError({ height: '600' })).toBe('height must be a positive number')
+    expect(dimensionError({ width: 0 })).toBe('width must be a positive number')
+    expect(dimensionError({ width: 2100 }, 2)).toMatch('must not exceed 4096px')
+  })
+})
+
+describe('GET /api/cover', () => {
+  it('尺寸不是数字时返回 400', async () => {
+    const response = await get('title=a&width=abc')
+    expect(response.status).toBe(400)
+    expect(await response.json()).toEqual({ error: 'width must be a positive number' })
+  })
+
+  it('未配置字体时返回 503 并说明原因', async () => {
+    const response = await get('title=a', {})
+    expect(response.status).toBe(503)
+    expect((await response.json()).message).toContain('COVER_FONT_URL')
+  })
+
+  it('参数无效时返回 400 并列出原因', async () => {
+    const response = await get('title=a&align=justify&textGradient=%23fff')
+    expect(response.status).toBe(400)
+    const { issues } = await response.json()
+    expect(issues).toEqual([expect.stringContaining('textGradient'), expect.stringContaining('textAlign')])
+  })
+
+  it('POST 的字段类型不对时返回 400', async () => {
+    for (const body of [{ title: 123 }, { title: null }, { watermark: 7 }, { layers: 'nope' }, { layers: [{ id: 'a', kind: 'text', text: 1 }] }]) {
+      const response = await coverHandler.fetch(
+        new Request('https://example.com/api/cover', { method: 'POST', body: JSON.stringify(body) }),
+        env
+      )
+      expect(response.status).toBe(400)
+    }
+  })
+
+  it('参数有效时返回图片', async () => {
+    const response = await get('title=a&width=400&height=300')
+    expect(response.status).toBe(200)
+    expect(response.headers.get('Content-Type')).toBe('image/png')
+  })
+})
+
+// 各次渲染的定义 id 按全局计数生成，比较前按出现顺序重新编号
+function normalizeIds(svg) {
+  const ids = new Map()
+  return svg.replace(/\b([a-z])(\d+)\b(?=[")])/g, (match, prefix) => {
+    if (!ids.has(match)) ids.set(match, `${prefix}${ids.size}`)
+    return ids.get(match)
+  })
+}
+
+// 与估算宽度明显不同的字体：拉丁字符 0.42em，其余 0.76em
+const measureText = createFontMeasurer([
+  { unitsPerEm: 1000, advance: code => (code < 0x80 ? 420 : 760), missingAdvance: 500 }
+])
+
+describe('客户端与服务端一致', () => {
+  it('相同的封面参数在浏览器 SVG 导出与 /api/cover 中得到相同的输出', async () => {
+    const image = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg=='
+    const params = {
+      title: '**效果**一致：服务端按字体的真实字宽折行 Server wraps lines with real glyph widths',
+      bgImage: image,
+      blur: 4,
+      bgContrast: 120,
+      overlayColor: '#1e3a8a',
+      overlayOpacity: 35,
+      vignette: 40,
+      grain: 20,
+      textFit: true,
+      width: 800,
+      height: 600
+    }
+    const state = {
+      ...DEFAULT_COVER_STATE,
+      text: params.title,
+      bgImageUrl: image,
+      bgBlur: params.blur,
+      bgContrast: params.bgContrast,
+      overlayColor: params.overlayColor,
+      overlayOpacity: params.overlayOpacity,
+      vignette: params.vignette,
+      grain: params.grain,
+      textFit: true
+    }
+
+    // 浏览器端用画布测量已加载字体的真实字宽，这里用同一套字体度量模拟
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({
+      font: '',
+      measureText(text) {
+        return { width: measureText(text, this.font) }
+      }
+    })
+    const client = normalizeIds((await renderBrowserSvg(createCoverSpec(state, { width: 800, height: 600 }))).toSVG())
+    const server = normalizeIds((await generateCover(params, { measureText })).toSVG())
+    const estimated = normalizeIds((await generateCover(params)).toSVG())
+
+    expect(server).toBe(client)
+    // 按估算宽度折行会得到不同的结果，说明比较的确实是测量结果
+    expect(estimated).not.toBe(client)
+    expect(client).toContain('<image ')
+    expect(client).toContain('fill="#1e3a8a"')
+  })
+
+  it('/api/cover 使用栅格化字体测量文字', async () => {
+    loadFontMeasurer.mockResolvedValueOnce(measureText)
+    const response = await get('title=a')
+    expect(response.status).toBe(200)
+    expect(loadFontMeasurer).toHaveBeenCalledWith(env)
+  })
+})
@@ -0,0 +1,130 @@
+/**
+ * SVG栅格化
+ * 使用 resvg-wasm 将 SVG 渲染为 PNG，WebP/JPEG 通过 Cloudflare Images 绑定转码
+ */
+
+import { initWasm, Resvg } from '@resvg/resvg-wasm'
+import resvgWasm from '@resvg/resvg-wasm/index_bg.wasm'
+import { createFontMeasurer, parseFontMetrics } from '../../src/renderer/index.ts'
+
+export const OUTPUT_FORMATS = {
+  png: 'image/png',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg'
+}
+
+let wasmReady = null
+let fontBuffers = null
+let fontMeasurer = null
+
+/**
+ * 初始化 wasm（每个 isolate 只需一次）
+ */
+function ensureWasm() {
+  if (!wasmReady) {
+    wasmReady = initWasm(resvgWasm).catch(error => {
+      wasmReady = null
+      throw error
+    })
+  }
+  return wasmReady
+}
+
+function fontUrls(env) {
+  return (env?.COVER_FONT_URL || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean)
+}
+
+/**
+ * 是否配置了栅格化所需的字体；未配置时调用方应直接返回 503，而不是渲染后再失败
+ */
+export function isRasterizeConfigured(env) {
+  return fontUrls(env).length > 0
+}
+
+/**
+ * 加载字体
+ * 边缘运行时没有系统字体，需通过 COVER_FONT_URL 配置（多个地址用逗号分隔）
+ */
+async function loadFonts(env) {
+  if (fontBuffers) return fontBuffers
+
+  const urls = fontUrls(env)
+  if (urls.length === 0) {
+    throw new Error('COVER_FONT_URL is not configured')
+  }
+
+  fontBuffers = await Promise.all(urls.map(async url => {
+    const response = await fetch(url)
+    if (!response.ok) {
+      throw new Error(`Failed to load font ${url}: ${response.status}`)
+    }
+    return new Uint8Array(await response.arrayBuffer())
+  }))
+
+  return fontBuffers
+}
+
+/**
+ * 按栅格化所用字体的真实字宽测量文字，使折行与自动缩放和浏览器预览一致
+ * 无法解析的字体（如 WOFF）不参与测量；都无法解析时返回 undefined，渲染时按估算宽度折行
+ */
+export async function loadFontMeasurer(env) {
+  if (fontMeasurer) return fontMeasurer
+
+  const metrics = []
+  for (const buffer of await loadFonts(env)) {
+    try {
+      metrics.push(parseFontMetrics(buffer))
+    } catch (error) {
+      console.warn('Failed to read font metrics:', error)
+    }
+  }
+  if (metrics.length === 0) return undefined
+
+  fontMeasurer = createFontMeasurer(metrics)
+  return fontMeasurer
+}
+
+/**
+ * 将SVG栅格化为图片
+ * @returns {Promise<{ body: Uint8Array, contentType: string }>}
+ */
+export async function rasterize(svg, { format = 'png', quality = 0.9, env } = {}) {
+  await ensureWasm()
+  const fonts = await loadFonts(env)
+
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'original' },
+    font: { fontBuffers: fonts }
+  })
+  // 渲染失败时也要释放 wasm 内存，isolate 会长期复用
+  let png
+  try {
+    png = resvg.render().asPng()
+  } finally {
+    resvg.free()
+  }
+
+  if (format === 'png' || !OUTPUT_FORMATS[format]) {
+    return { body: png, contentType: OUTPUT_FORMATS.png }
+  }
+
+  // 无 Images 绑定时回退为 PNG
+  if (!env?.IMAGES) {
+    return { body: png, contentType: OUTPUT_FORMATS.png }
+  }
+
+  const stream = new Response(png).body
+  const result = await env.IMAGES.input(stream).output({
+    format: OUTPUT_FORMATS[format],
+    quality: Math.round(Math.max(0.1, Math.min(1, quality)) * 100)
+  })
+  const response = result.response()
+  return {
+    body: new Uint8Array(await response.arrayBuffer()),
+    contentType: OUTPUT_FORMATS[format]
+  }
+}
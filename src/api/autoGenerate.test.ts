@@ -0,0 +1,87 @@
+import { setActivePinia, createPinia } from 'pinia'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { coverAPI, generateCover, suggestImageColors } from './autoGenerate'
+import { defaultClassifier } from './classifier'
+
+const sampleCoverRegions = vi.hoisted(() => vi.fn())
+vi.mock('../renderer/browser', async importOriginal => ({
+  ...(await importOriginal<typeof import('../renderer/browser')>()),
+  sampleCoverRegions
+}))
+
+describe('generateCover', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+  })
+
+  it('相同标题默认得到相同结果', async () => {
+    const a = await generateCover({ title: '前端编程技巧' })
+    const b = await generateCover({ title: '前端编程技巧' })
+    expect(a).toEqual(b)
+  })
+
+  it('指定种子时结果可复现，种子写入说明', async () => {
+    const seeds = [1, 2, 3, 4, 5, 6, 7, 8]
+    const schemes = await Promise.all(seeds.map(seed => generateCover({ title: '编程', seed })))
+    expect(new Set(schemes.map(r => r.colorScheme.id))).toEqual(new Set(['tech', 'ocean']))
+    expect((await generateCover({ title: '编程', seed: 5 })).colorScheme).toEqual(schemes[4].colorScheme)
+    expect(schemes[0].explanation.seed).toBe(1)
+  })
+
+  it('说明命中的关键词、胜出的分类与字号依据', async () => {
+    const { analysis, explanation, settings } = await generateCover({ title: '设计师的 UI 配色笔记' })
+    expect(analysis.category).toBe('design')
+    expect(explanation.matchedKeywords).toEqual({ design: ['设计', 'UI', '配色'], education: ['笔记'] })
+    expect(explanation.categoryReason).toContain('设计、UI、配色')
+    expect(explanation.colorSchemeReason).toContain(settings.colors.name)
+    expect(settings.fontSize).toBe(184)
+    expect(explanation.fontSizeReason).toContain('标题排为 2 行（最多 3 行），字号 184px')
+  })
+
+  it('没有命中关键词时使用默认分类，指定风格时直接使用', async () => {
+    const result = await generateCover({ title: 'Hello', style: '暗夜黑' })
+    expect(result.analysis.category).toBe('tech')
+    expect(result.explanation.categoryReason).toContain('默认分类')
+    expect(result.colorScheme.id).toBe('dark')
+    expect(result.explanation.colorSchemeReason).toBe('使用指定风格 暗夜黑')
+  })
+
+  it('自定义分类关联模板时使用模板配色', async () => {
+    coverAPI.registerCategory({ id: 'night', name: '夜晚', keywords: { zh: ['夜晚'] }, schemes: [], template: 'dark' })
+    try {
+      const result = await generateCover({ title: '夜晚随想' })
+      expect(result.analysis.category).toBe('night')
+      expect(result.templateId).toBe('dark')
+      expect(result.colorScheme.bg).toBe('#0f0f0f')
+      expect(result.explanation.colorSchemeReason).toContain('暗夜黑')
+    } finally {
+      defaultClassifier.unregister('night')
+    }
+  })
+
+  it('英文标题不再默认落入 tech', async () => {
+    const result = await generateCover({ title: 'Travel diary', subtitle: 'Photography notes' })
+    expect(result.analysis.category).toBe('life')
+  })
+})
+
+describe('suggestImageColors', () => {
+  it('按裁剪、缩放与滤镜后的背景取色', async () => {
+    const dark = new Uint8ClampedArray(16).fill(20)
+    sampleCoverRegions.mockResolvedValue([dark, dark, dark])
+    const state = { bgFocusX: 0.1, bgFocusY: 0.9, bgZoom: 2, bgBrightness: 60 }
+
+    const colors = await suggestImageColors('bg.jpg', state, { width: 800, height: 400 })
+
+    const [spec, regions] = sampleCoverRegions.mock.calls[0]
+    expect(spec.background.image).toMatchObject({ src: 'bg.jpg', focus: { x: 0.1, y: 0.9 }, zoom: 2 })
+    expect(spec.background.image.adjust.brightness).toBeCloseTo(0.6)
+    expect(regions[0]).toEqual({ x: 0, y: 0, width: 800, height: 400 })
+    expect(colors?.textColor).toBe('#ffffff')
+  })
+
+  it('无法读取像素时返回 null', async () => {
+    sampleCoverRegions.mockResolvedValue(null)
+    expect(await suggestImageColors('bg.jpg', {}, { width: 800, height: 400 })).toBeNull()
+  })
+})
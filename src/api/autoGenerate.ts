@@ -1,122 +1,257 @@
 import { defaultConfig } from '../config'
-
-interface ColorScheme {
-  name: string
-  bg: string
-  text: string
-  accent: string
-  watermark: string
-}
+import { computeLayout, createCoverSpec, createSvgCanvas, stripRichText, textBounds } from '../renderer'
+import { sampleCoverRegions } from '../renderer/browser'
+import { useCoverStore } from '../stores/cover'
+import { COLOR_SCHEMES, useTemplateStore, type ColorScheme, type CoverTemplate } from '../stores/templates'
+import { extractPalette, quantize, suggestColors, type ColorSuggestion, type Palette } from '../utils/palette'
+import { createRandom, hashSeed, pickRandom } from '../utils/random'
+import { defaultClassifier, type CategoryDictionary } from './classifier'
+import { exportCover } from './export'
+import { exportBatch, type BatchResult } from './batch'
+import type { CoverState, ExportFormat } from '../renderer/spec'
 
 interface TitleAnalysis {
   category: string
   length: number
   hasMultipleLines: boolean
   complexity: Record<string, number>
+  /** 各分类命中的关键词，只包含有命中的分类 */
+  matches: Record<string, string[]>
 }
 
 interface GenerateOptions {
   title?: string
+  /** 副标题参与分类，权重低于标题 */
+  subtitle?: string
   image?: string | null
   style?: string
   watermark?: string
+  /** 随机种子，默认取标题的哈希，相同标题与种子得到相同结果 */
+  seed?: number | string
+}
+
+/** 生成结果的依据，便于调试与向用户解释 */
+export interface GenerateExplanation {
+  seed: number
+  matchedKeywords: Record<string, string[]>
+  category: string
+  categoryReason: string
+  colorSchemeReason: string
+  fontSizeReason: string
+}
+
+export interface ImageColors extends ColorSuggestion {
+  palette: Palette
 }
 
 interface GenerateResult {
   success: boolean
   analysis: TitleAnalysis
   colorScheme: ColorScheme
+  /** 从背景图取色时的调色板与建议 */
+  imageColors: ImageColors | null
+  /** 分类关联的模板 id，可交给模板库套用完整设计 */
+  templateId: string | null
+  explanation: GenerateExplanation
   settings: {
     title: string
     fontSize: number
     colors: ColorScheme
+    overlayOpacity?: number
   }
 }
 
-const colorSchemes: ColorScheme[] = [
-  { name: '科技蓝', bg: '#1a1a2e', text: '#ffffff', accent: '#16213e', watermark: '#94a3b8' },
-  { name: '活力橙', bg: '#ff6b35', text: '#ffffff', accent: '#f7931e', watermark: '#ffd9c4' },
-  { name: '清新绿', bg: '#10b981', text: '#ffffff', accent: '#34d399', watermark: '#a7f3d0' },
-  { name: '优雅紫', bg: '#7c3aed', text: '#ffffff', accent: '#a78bfa', watermark: '#ddd6fe' },
-  { name: '极简白', bg: '#fafafa', text: '#1f2937', accent: '#e5e7eb', watermark: '#9ca3af' },
-  { name: '暗夜黑', bg: '#0f0f0f', text: '#f5f5f5', accent: '#262626', watermark: '#737373' },
-  { name: '暖阳黄', bg: '#f59e0b', text: '#ffffff', accent: '#fbbf24', watermark: '#fef3c7' },
-  { name: '薄荷青', bg: '#14b8a6', text: '#ffffff', accent: '#2dd4bf', watermark: '#ccfbf1' },
-  { name: '玫瑰粉', bg: '#ec4899', text: '#ffffff', accent: '#f472b6', watermark: '#fce7f3' },
-  { name: '深海蓝', bg: '#0369a1', text: '#ffffff', accent: '#0ea5e9', watermark: '#bae6fd' }
-]
-
-function analyzeTitle(title: string): TitleAnalysis {
-  const keywords: Record<string, string[]> = {
-    tech: ['科技', '技术', '编程', '代码', 'AI', '人工智能', '算法', '数据', '开发', '软件', '前端', '后端', '全栈'],
-    design: ['设计', 'UI', 'UX', '界面', '视觉', '创意', '艺术', '美学', '配色', '排版'],
-    life: ['生活', '日常', '随笔', '感悟', '心情', '成长', '读书', '旅行', '美食', '摄影'],
-    business: ['商业', '创业', '产品', '运营', '营销', '管理', '职场', '投资', '经济', '市场'],
-    education: ['学习', '教程', '笔记', '知识', '课程', '教学', '培训', '考试', '认证', '技能']
+// 标题可能带有内联标记，按去掉标记后的文字分析
+function analyzeTitle(markup: string, subtitle = ''): TitleAnalysis {
+  const title = stripRichText(markup)
+  const { category, scores, matches } = defaultClassifier.classify(title, stripRichText(subtitle))
+  return {
+    category,
+    length: title.length,
+    hasMultipleLines: title.includes('\n'),
+    complexity: scores,
+    matches
   }
+}
 
-  const scores: Record<string, number> = {}
-  for (const [category, words] of Object.entries(keywords)) {
-    scores[category] = words.reduce((score, word) => {
-      return score + (title.toLowerCase().includes(word.toLowerCase()) ? 1 : 0)
-    }, 0)
+function explainCategory(analysis: TitleAnalysis): string {
+  const matched = analysis.matches[analysis.category]
+  if (!matched) return `未命中任何关键词，使用默认分类 ${analysis.category}`
+  const score = analysis.complexity[analysis.category]
+  const tied = Object.keys(analysis.matches).filter(
+    category => category !== analysis.category && analysis.complexity[category] === score
+  )
+  const tie = tied.length ? `，与 ${tied.join('、')} 同分时按分类顺序优先` : ''
+  return `命中 ${analysis.category} 关键词 ${matched.length} 个（${matched.join('、')}），得分 ${score}${tie}`
+}
+
+function templateColorScheme(template: CoverTemplate): ColorScheme {
+  const { bgColor, textColor, iconColor, watermarkColor } = template.settings
+  const fallback = COLOR_SCHEMES[0]
+  return {
+    id: template.id,
+    name: template.name,
+    bg: bgColor ?? fallback.bg,
+    text: textColor ?? fallback.text,
+    accent: iconColor ?? fallback.accent,
+    watermark: watermarkColor ?? fallback.watermark
   }
+}
+
+/**
+ * 分类关联了模板时使用模板配色，否则由种子在分类的候选配色中选择
+ */
+function selectColorScheme(
+  analysis: TitleAnalysis,
+  random: () => number
+): { scheme: ColorScheme; template: CoverTemplate | null; reason: string } {
+  const definition = defaultClassifier.category(analysis.category)
 
-  const dominantCategory = Object.entries(scores).sort((a, b) => b[1] - a[1])[0]?.[0] || 'tech'
+  if (definition?.template) {
+    const template = useTemplateStore().templates.find(t => t.id === definition.template)
+    if (template) {
+      return {
+        scheme: templateColorScheme(template),
+        template,
+        reason: `分类 ${analysis.category} 关联模板 ${template.name}`
+      }
+    }
+  }
 
+  const candidates = (definition?.schemes ?? [])
+    .map(id => COLOR_SCHEMES.find(scheme => scheme.id === id))
+    .filter((scheme): scheme is ColorScheme => !!scheme)
+  if (!candidates.length) candidates.push(COLOR_SCHEMES[0])
+  const scheme = pickRandom(candidates, random)
   return {
-    category: dominantCategory,
-    length: title.length,
-    hasMultipleLines: title.includes('\n'),
-    complexity: scores
+    scheme,
+    template: null,
+    reason: `分类 ${analysis.category} 的候选配色为 ${candidates.map(c => c.name).join('、')}，按种子选中 ${scheme.name}`
   }
 }
 
-function selectColorScheme(analysis: TitleAnalysis): ColorScheme {
-  const categoryMap: Record<string, number[]> = {
-    tech: [0, 9],
-    design: [3, 7],
-    life: [2, 8],
-    business: [1, 4],
-    education: [5, 6]
-  }
+function resolveSeed(seed: number | string | undefined, title: string): number {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0
+  return hashSeed(typeof seed === 'string' ? seed : title)
+}
+
+/**
+ * 从背景图提取调色板，并按标题与水印实际所在的区域给出满足对比度的配色
+ * 图片无法读取像素（如跨域未授权）时返回 null
+ */
+export async function suggestImageColors(
+  src: string,
+  state: Partial<CoverState>,
+  size: { width: number; height: number }
+): Promise<ImageColors | null> {
+  const spec = createCoverSpec({ ...state, bgImageUrl: src }, size)
+  // 估算字宽的 SVG 上下文得到的包围盒足够用于取色，且不依赖 DOM 画布
+  const layout = computeLayout(createSvgCanvas(size.width, size.height).getContext('2d'), spec)
+  const full = { x: 0, y: 0, ...size }
+  const textBox = textBounds(layout) ?? full
+  // 按背景的裁剪、缩放与滤镜绘制后取色，只取封面上可见的部分
+  const samples = await sampleCoverRegions(spec, [full, textBox, layout.watermark ?? textBox], 128)
+  if (!samples) return null
 
-  const indices = categoryMap[analysis.category] || [0]
-  const randomIndex = indices[Math.floor(Math.random() * indices.length)]
-  return colorSchemes[randomIndex]
+  const [all, text, watermark] = samples
+  const palette = extractPalette(all)
+  return { ...suggestColors(palette, quantize(text, 4), quantize(watermark, 4)), palette }
+}
+
+function imageColorScheme(colors: ImageColors): ColorScheme {
+  return {
+    id: 'image',
+    name: '图片取色',
+    bg: colors.palette.dominant?.hex ?? '#000000',
+    text: colors.textColor,
+    accent: colors.accentColor,
+    watermark: colors.watermarkColor
+  }
 }
 
-function calculateOptimalFontSize(title: string, baseSize = 200): number {
-  const length = title.length
-  if (length <= 4) return baseSize
-  if (length <= 8) return baseSize * 0.8
-  if (length <= 12) return baseSize * 0.65
-  if (length <= 20) return baseSize * 0.5
-  return baseSize * 0.4
+/**
+ * 按当前画布与排版设置实际测量，取标题能排下的最大字号（不超过基准字号）
+ */
+function calculateOptimalFontSize(
+  state: Partial<CoverState>,
+  size: { width: number; height: number },
+  baseSize = 200
+): { fontSize: number; reason: string } {
+  const spec = createCoverSpec({ ...state, textSize: baseSize, textFit: true }, size)
+  const layout = computeLayout(createSvgCanvas(size.width, size.height).getContext('2d'), spec)
+  const fontSize = layout.title?.fontSize ?? baseSize
+  const lines = layout.title?.lines.length ?? 0
+  const maxLines = spec.textFit?.maxLines ?? lines
+  return {
+    fontSize,
+    reason: `按画布 ${size.width}×${size.height} 测量，标题排为 ${lines} 行（最多 ${maxLines} 行），` +
+      `字号 ${fontSize}px（基准 ${baseSize}px）`
+  }
 }
 
 export async function generateCover(options: GenerateOptions = {}): Promise<GenerateResult> {
+  const store = useCoverStore()
   const {
     title = defaultConfig.text,
+    image = store.bgImageUrl,
     style = 'auto'
   } = options
 
-  const analysis = analyzeTitle(title)
+  const analysis = analyzeTitle(title, options.subtitle)
+  const seed = resolveSeed(options.seed, title)
 
-  const colorScheme = style === 'auto' 
-    ? selectColorScheme(analysis) 
-    : colorSchemes.find(c => c.name === style) || colorSchemes[0]
+  // 有背景图时按图片取色，取色失败再按标题分类选择内置配色
+  const imageColors = image && style === 'auto'
+    ? await suggestImageColors(image, { ...store.coverState, text: title }, {
+        width: store.canvasWidth,
+        height: store.canvasHeight
+      }).catch(error => {
+        console.warn('Failed to extract image palette:', error)
+        return null
+      })
+    : null
 
-  const optimalFontSize = calculateOptimalFontSize(title)
+  let colorScheme: ColorScheme
+  let colorSchemeReason: string
+  let templateId: string | null = null
+  if (imageColors) {
+    colorScheme = imageColorScheme(imageColors)
+    colorSchemeReason = `按背景图取色，文字与所在区域的对比度为 ${imageColors.contrast.toFixed(1)}:1`
+  } else if (style === 'auto') {
+    const selected = selectColorScheme(analysis, createRandom(seed))
+    colorScheme = selected.scheme
+    colorSchemeReason = selected.reason
+    templateId = selected.template?.id ?? null
+  } else {
+    const named = COLOR_SCHEMES.find(c => c.name === style)
+    colorScheme = named ?? COLOR_SCHEMES[0]
+    colorSchemeReason = named ? `使用指定风格 ${style}` : `未找到风格 ${style}，使用 ${colorScheme.name}`
+  }
+
+  const { fontSize, reason: fontSizeReason } = calculateOptimalFontSize(
+    { ...store.coverState, text: title, subtitle: options.subtitle ?? store.subtitle },
+    { width: store.canvasWidth, height: store.canvasHeight }
+  )
 
   return {
     success: true,
     analysis,
     colorScheme,
+    imageColors,
+    templateId,
+    explanation: {
+      seed,
+      matchedKeywords: analysis.matches,
+      category: analysis.category,
+      categoryReason: explainCategory(analysis),
+      colorSchemeReason,
+      fontSizeReason
+    },
     settings: {
       title,
-      fontSize: optimalFontSize,
-      colors: colorScheme
+      fontSize,
+      colors: colorScheme,
+      ...(imageColors ? { overlayOpacity: imageColors.overlayOpacity } : {})
     }
   }
 }
@@ -127,17 +262,24 @@ export const coverAPI = {
   },
 
   async generateByTheme(title: string, theme: string, options: Omit<GenerateOptions, 'title' | 'style'> = {}): Promise<GenerateResult> {
-    const themeMap: Record<string, ColorScheme> = {
-      tech: colorSchemes[0],
-      business: colorSchemes[1],
-      creative: colorSchemes[3],
-      minimal: colorSchemes[4],
-      dark: colorSchemes[5]
+    const themeMap: Record<string, string> = {
+      tech: 'tech',
+      business: 'vibrant',
+      creative: 'elegant',
+      minimal: 'minimal',
+      dark: 'dark'
     }
-    const scheme = themeMap[theme] || colorSchemes[0]
+    const scheme = COLOR_SCHEMES.find(c => c.id === (themeMap[theme] ?? theme)) || COLOR_SCHEMES[0]
     return generateCover({ title, style: scheme.name, ...options })
   },
 
+  /**
+   * 注册自定义分类，可关联模板库中的模板；id 与内置分类相同时覆盖内置定义
+   */
+  registerCategory(category: CategoryDictionary): void {
+    defaultClassifier.register(category)
+  },
+
   async batchGenerate(titles: string[], options: Omit<GenerateOptions, 'title'> = {}): Promise<GenerateResult[]> {
     const results: GenerateResult[] = []
     for (const title of titles) {
@@ -147,28 +289,28 @@ export const coverAPI = {
     return results
   },
 
-  async export(format = 'webp', quality = 0.9): Promise<{ blob: Blob; url: string; size: number; type: string }> {
-    const canvas = document.getElementById('canvasPreview') as HTMLCanvasElement | null
-    if (!canvas) throw new Error('Canvas not found')
-
-    return new Promise((resolve, reject) => {
-      canvas.toBlob(
-        blob => {
-          if (blob) {
-            resolve({
-              blob,
-              url: URL.createObjectURL(blob),
-              size: blob.size,
-              type: blob.type
-            })
-          } else {
-            reject(new Error('Export failed'))
-          }
-        },
-        `image/${format}`,
-        quality
-      )
-    })
+  /**
+   * 套用当前设计渲染每个标题，打包为 ZIP（含 manifest.json）
+   */
+  async batchExport(titles: string[]): Promise<BatchResult> {
+    return exportBatch(titles.map(title => ({ title })))
+  },
+
+  /**
+   * 经由导出服务按当前封面重新渲染，未指定格式或质量时使用设置中的值
+   */
+  async export(
+    format?: ExportFormat,
+    quality?: number
+  ): Promise<{ blob: Blob; url: string; size: number; type: string; fileName: string }> {
+    const { blob, fileName } = await exportCover({ format, quality })
+    return {
+      blob,
+      url: URL.createObjectURL(blob),
+      size: blob.size,
+      type: blob.type,
+      fileName
+    }
   }
 }
 
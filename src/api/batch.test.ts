@@ -0,0 +1,100 @@
+import { setActivePinia, createPinia } from 'pinia'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { useCoverStore } from '../stores/cover'
+import { detectBatchFormat, exportBatch, MAX_BATCH_ITEMS, parseBatchInput, parseCsv } from './batch'
+
+const renderBrowserCover = vi.hoisted(() => vi.fn())
+vi.mock('../renderer/browser', () => ({ renderBrowserCover }))
+
+function fakeCanvas() {
+  return {
+    toBlob: (callback: BlobCallback, type = 'image/png') => callback(new Blob(['img'], { type }))
+  }
+}
+
+describe('parseBatchInput', () => {
+  it('纯文本每行一个标题，忽略空行', () => {
+    expect(parseBatchInput('第一篇\n\n  第二篇, 续  \r\n')).toEqual([
+      { title: '第一篇' },
+      { title: '第二篇, 续' }
+    ])
+  })
+
+  it('CSV 按列名读取标题与副标题', () => {
+    const csv = '\uFEFFid,Title,副标题\n1,"Hello, ""World""",副\n2,第二篇,'
+    expect(parseBatchInput(csv, 'csv')).toEqual([
+      { title: 'Hello, "World"', subtitle: '副' },
+      { title: '第二篇' }
+    ])
+  })
+
+  it('CSV 没有表头时第一列为标题、第二列为副标题', () => {
+    expect(parseBatchInput('甲\t乙\n丙', 'csv')).toEqual([{ title: '甲', subtitle: '乙' }, { title: '丙' }])
+  })
+
+  it('JSON 支持字符串或对象数组', () => {
+    const json = JSON.stringify(['一', { title: '二', subtitle: '副' }])
+    expect(parseBatchInput(json, 'json')).toEqual([{ title: '一' }, { title: '二', subtitle: '副' }])
+  })
+
+  it('JSON 格式错误或缺少 title 时报错', () => {
+    expect(() => parseBatchInput('{', 'json')).toThrow('JSON 格式错误')
+    expect(() => parseBatchInput('{"title":"a"}', 'json')).toThrow('标题数组')
+    expect(() => parseBatchInput('[{"name":"a"}]', 'json')).toThrow('第 1 项缺少 title')
+  })
+
+  it('按扩展名识别格式', () => {
+    expect(detectBatchFormat('Titles.CSV')).toBe('csv')
+    expect(detectBatchFormat('a.json')).toBe('json')
+    expect(detectBatchFormat('a.txt')).toBe('text')
+  })
+
+  it('parseCsv 处理字段内换行', () => {
+    expect(parseCsv('"a\nb",c\r\nd,e')).toEqual([['a\nb', 'c'], ['d', 'e']])
+  })
+})
+
+describe('exportBatch', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    renderBrowserCover.mockReset()
+  })
+
+  it('逐个渲染并生成清单', async () => {
+    const store = useCoverStore()
+    store.subtitle = '默认副标题'
+    renderBrowserCover.mockResolvedValue(fakeCanvas())
+    const progress: number[] = []
+
+    const { blob, manifest, fileName } = await exportBatch(
+      [{ title: '第一篇' }, { title: '第一篇', subtitle: '下' }],
+      { onProgress: done => progress.push(done) }
+    )
+
+    expect(fileName).toMatch(/^covers-\d+\.zip$/)
+    expect(blob.type).toBe('application/zip')
+    expect(progress).toEqual([1, 2])
+    expect(manifest.format).toBe('png')
+    expect(manifest.items.map(item => item.file)).toEqual(['1-第一篇.png', '2-第一篇.png'])
+
+    const specs = renderBrowserCover.mock.calls.map(([spec]) => spec)
+    expect(specs[0].title.text).toBe('第一篇')
+    expect(specs[0].subtitle.text).toBe('默认副标题')
+    expect(specs[1].subtitle.text).toBe('下')
+  })
+
+  it('单项失败记录在清单中，不中断整批', async () => {
+    renderBrowserCover.mockRejectedValueOnce(new Error('图片加载失败')).mockResolvedValue(fakeCanvas())
+
+    const { manifest } = await exportBatch([{ title: 'a' }, { title: 'b' }])
+
+    expect(manifest.items[0]).toMatchObject({ file: null, error: '图片加载失败' })
+    expect(manifest.items[1].file).toBe('2-b.png')
+  })
+
+  it('拒绝空列表与超出上限的列表', async () => {
+    await expect(exportBatch([])).rejects.toThrow('没有可导出的标题')
+    const many = Array.from({ length: MAX_BATCH_ITEMS + 1 }, (_, i) => ({ title: String(i) }))
+    await expect(exportBatch(many)).rejects.toThrow(String(MAX_BATCH_ITEMS))
+  })
+})
@@ -0,0 +1,210 @@
+/**
+ * 批量封面导出
+ * 把一组标题（粘贴的文本、CSV 或 JSON）套用当前设计逐个渲染，打包为带清单的 ZIP，全程在浏览器中完成
+ */
+
+import { useCoverStore } from '../stores/cover'
+import { createZip, type ZipFile } from '../utils/zip'
+import { exportCover, resolveExportFormat, saveBlob } from './export'
+import type { ExportFormat, ExportScale } from '../renderer/spec'
+
+export type BatchInputFormat = 'text' | 'csv' | 'json'
+
+export interface BatchItem {
+  title: string
+  subtitle?: string
+}
+
+export interface BatchManifestEntry extends BatchItem {
+  index: number
+  /** ZIP 中的文件名，渲染失败时为 null */
+  file: string | null
+  error?: string
+}
+
+export interface BatchManifest {
+  type: 'mini-cover/batch'
+  generatedAt: string
+  canvas: { width: number; height: number }
+  format: ExportFormat
+  scale: ExportScale
+  items: BatchManifestEntry[]
+}
+
+export interface BatchResult {
+  blob: Blob
+  fileName: string
+  manifest: BatchManifest
+}
+
+export interface BatchOptions {
+  /** 每完成一项回调一次 */
+  onProgress?: (done: number, total: number) => void
+}
+
+/** 单次批量导出的上限，避免一次占用过多内存 */
+export const MAX_BATCH_ITEMS = 200
+
+const TITLE_COLUMNS = ['title', '标题', '主标题']
+const SUBTITLE_COLUMNS = ['subtitle', '副标题']
+
+export function detectBatchFormat(fileName: string): BatchInputFormat {
+  const lower = fileName.toLowerCase()
+  if (lower.endsWith('.json')) return 'json'
+  if (lower.endsWith('.csv') || lower.endsWith('.tsv')) return 'csv'
+  return 'text'
+}
+
+/**
+ * 解析 CSV，支持引号包裹的字段与转义的双引号；自动识别逗号或制表符分隔
+ */
+export function parseCsv(input: string): string[][] {
+  const firstLine = input.split(/\r?\n/, 1)[0] ?? ''
+  const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ','
+  const rows: string[][] = []
+  let row: string[] = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i]
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        field += ch
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true
+    } else if (ch === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += ch
+    }
+  }
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows
+}
+
+function fromCsv(input: string): BatchItem[] {
+  const rows = parseCsv(input.replace(/^\uFEFF/, ''))
+  if (!rows.length) return []
+
+  // 首行包含标题列名时按列名取值，否则第一列为标题、第二列为副标题
+  const header = rows[0].map(cell => cell.trim().toLowerCase())
+  const titleIndex = header.findIndex(cell => TITLE_COLUMNS.includes(cell))
+  const hasHeader = titleIndex !== -1
+  const subtitleIndex = hasHeader ? header.findIndex(cell => SUBTITLE_COLUMNS.includes(cell)) : 1
+
+  return (hasHeader ? rows.slice(1) : rows).map(row => ({
+    title: row[hasHeader ? titleIndex : 0] ?? '',
+    subtitle: subtitleIndex === -1 ? undefined : row[subtitleIndex]
+  }))
+}
+
+function fromJson(input: string): BatchItem[] {
+  let data: unknown
+  try {
+    data = JSON.parse(input)
+  } catch {
+    throw new Error('JSON 格式错误')
+  }
+  if (!Array.isArray(data)) throw new Error('JSON 必须是标题数组')
+
+  return data.map((entry, index) => {
+    if (typeof entry === 'string') return { title: entry }
+    if (entry && typeof entry === 'object' && typeof entry.title === 'string') {
+      return {
+        title: entry.title,
+        subtitle: typeof entry.subtitle === 'string' ? entry.subtitle : undefined
+      }
+    }
+    throw new Error(`第 ${index + 1} 项缺少 title`)
+  })
+}
+
+/**
+ * 解析批量输入，忽略空标题；纯文本每行一个标题
+ */
+export function parseBatchInput(input: string, format: BatchInputFormat = 'text'): BatchItem[] {
+  const items: BatchItem[] =
+    format === 'json'
+      ? fromJson(input)
+      : format === 'csv'
+        ? fromCsv(input)
+        : input.split(/\r?\n/).map(title => ({ title }))
+
+  return items
+    .map(({ title, subtitle }) => ({
+      title: title.trim(),
+      ...(subtitle?.trim() ? { subtitle: subtitle.trim() } : {})
+    }))
+    .filter(item => item.title)
+}
+
+/**
+ * 套用当前设计逐个渲染标题并打包；单项失败记录在清单中，不中断整批
+ */
+export async function exportBatch(items: BatchItem[], options: BatchOptions = {}): Promise<BatchResult> {
+  if (!items.length) throw new Error('没有可导出的标题')
+  if (items.length > MAX_BATCH_ITEMS) throw new Error(`一次最多导出 ${MAX_BATCH_ITEMS} 个封面`)
+
+  const store = useCoverStore()
+  const format = resolveExportFormat(store.exportFormat)
+  const scale = store.exportScale
+  const digits = String(items.length).length
+  const files: ZipFile[] = []
+  const entries: BatchManifestEntry[] = []
+
+  for (const [i, item] of items.entries()) {
+    const index = i + 1
+    try {
+      const result = await exportCover({
+        // 未提供副标题时沿用当前设计中的副标题
+        state: { text: item.title, ...(item.subtitle !== undefined ? { subtitle: item.subtitle } : {}) }
+      })
+      // 序号前缀保证文件名唯一，并保留输入顺序
+      const file = `${String(index).padStart(digits, '0')}-${result.fileName}`
+      files.push({ name: file, data: new Uint8Array(await result.blob.arrayBuffer()) })
+      entries.push({ index, ...item, file })
+    } catch (error) {
+      entries.push({ index, ...item, file: null, error: error instanceof Error ? error.message : String(error) })
+    }
+    options.onProgress?.(index, items.length)
+  }
+
+  const manifest: BatchManifest = {
+    type: 'mini-cover/batch',
+    generatedAt: new Date().toISOString(),
+    canvas: { width: store.canvasWidth, height: store.canvasHeight },
+    format,
+    scale,
+    items: entries
+  }
+  files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) })
+
+  return {
+    blob: new Blob([createZip(files)], { type: 'application/zip' }),
+    fileName: `covers-${Date.now()}.zip`,
+    manifest
+  }
+}
+
+export async function downloadBatch(items: BatchItem[], options: BatchOptions = {}): Promise<BatchResult> {
+  const result = await exportBatch(items, options)
+  saveBlob(result.blob, result.fileName)
+  return result
+}
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest'
+import { BUILTIN_CATEGORIES, TitleClassifier } from './classifier'
+
+describe('TitleClassifier', () => {
+  const classifier = new TitleClassifier()
+
+  it('识别中文、英文与日文标题', () => {
+    expect(classifier.classify('前端性能优化的编程技巧').category).toBe('tech')
+    expect(classifier.classify('Typography and Color for Designers').category).toBe('design')
+    expect(classifier.classify('10 Lessons From My First Startup').category).toBe('business')
+    expect(classifier.classify('京都旅行の写真日記').category).toBe('life')
+    expect(classifier.classify('TypeScript 入門講座').matches).toEqual({ tech: ['typescript'], education: ['入門', '講座'] })
+  })
+
+  it('英文关键词按整词匹配，允许复数词尾', () => {
+    expect(classifier.classify('How to restart a server').matches.design).toBeUndefined()
+    expect(classifier.classify('Modern art').matches.design).toEqual(['art'])
+    expect(classifier.classify('Notes on algorithms').matches.tech).toEqual(['algorithm'])
+    expect(classifier.classify('AI绘画入门').matches.tech).toEqual(['AI'])
+  })
+
+  it('同一关键词在多个语言词表中只计一次', () => {
+    const { scores, matches } = classifier.classify('UI 设计')
+    expect(matches.design).toEqual(['设计', 'UI'])
+    expect(scores.design).toBe(2)
+  })
+
+  it('副标题按较低权重计分', () => {
+    const result = classifier.classify('一周总结', '读书与旅行')
+    expect(result.category).toBe('life')
+    expect(result.scores.life).toBe(1)
+
+    // 标题中的一个关键词胜过副标题中的一个关键词
+    expect(classifier.classify('编程', '设计').category).toBe('tech')
+    expect(new TitleClassifier(BUILTIN_CATEGORIES, { subtitleWeight: 2 }).classify('编程', '设计').category).toBe('design')
+  })
+
+  it('没有命中时使用默认分类，同分时靠前的分类优先', () => {
+    expect(classifier.classify('Hello').category).toBe('tech')
+    expect(new TitleClassifier(BUILTIN_CATEGORIES, { defaultCategory: 'life' }).classify('Hello').category).toBe('life')
+    expect(classifier.classify('设计与编程').category).toBe('tech')
+  })
+
+  it('注册自定义分类并关联模板，可覆盖或移除', () => {
+    const custom = new TitleClassifier()
+    custom.register({ id: 'gaming', name: '游戏', keywords: { zh: ['游戏'], en: ['game'] }, schemes: ['dark'], template: 'tpl-game' })
+    expect(custom.classify('Game review').category).toBe('gaming')
+    expect(custom.category('gaming')?.template).toBe('tpl-game')
+
+    custom.register({ id: 'tech', name: '科技', keywords: { en: ['rust'] }, schemes: ['tech'] })
+    expect(custom.classify('编程').category).toBe('tech')
+    expect(custom.classify('编程').matches).toEqual({})
+    expect(custom.categories.map(c => c.id).indexOf('tech')).toBe(0)
+
+    expect(custom.unregister('gaming')).toBe(true)
+    expect(custom.unregister('gaming')).toBe(false)
+    expect(() => custom.register({ id: '', name: '', keywords: {}, schemes: [] })).toThrow()
+  })
+})
@@ -0,0 +1,197 @@
+/**
+ * 标题分类
+ * 按分类词典为标题与副标题打分，自动生成与 /api 的标题分析共用；
+ * 内置中文、英文、日文关键词，可注册自定义分类并关联到自己的模板
+ */
+
+export type KeywordLocale = 'zh' | 'en' | 'ja'
+
+export interface CategoryDictionary {
+  id: string
+  name: string
+  /** 按语言分组的关键词；拉丁字母关键词按整词匹配，其余按子串匹配 */
+  keywords: Partial<Record<KeywordLocale, string[]>>
+  /** 候选配色，COLOR_SCHEMES 中的 id */
+  schemes: string[]
+  /** 命中该分类时套用的模板 id，优先于候选配色 */
+  template?: string
+}
+
+export interface ClassifierOptions {
+  /** 标题中每个命中关键词的得分 */
+  titleWeight?: number
+  /** 副标题中每个命中关键词的得分 */
+  subtitleWeight?: number
+  /** 没有命中任何关键词时使用的分类 */
+  defaultCategory?: string
+}
+
+export interface Classification {
+  category: string
+  scores: Record<string, number>
+  /** 各分类命中的关键词，只包含有命中的分类 */
+  matches: Record<string, string[]>
+}
+
+export const BUILTIN_CATEGORIES: readonly CategoryDictionary[] = [
+  {
+    id: 'tech',
+    name: '科技',
+    keywords: {
+      zh: ['科技', '技术', '编程', '代码', 'AI', '人工智能', '算法', '数据', '开发', '软件', '前端', '后端', '全栈'],
+      en: ['tech', 'technology', 'programming', 'code', 'coding', 'developer', 'software', 'algorithm', 'data',
+        'frontend', 'backend', 'javascript', 'typescript', 'python', 'api', 'cloud', 'machine learning'],
+      ja: ['技術', 'プログラミング', 'コード', '開発', 'ソフトウェア', 'アルゴリズム', 'データ', 'エンジニア', '人工知能']
+    },
+    schemes: ['tech', 'ocean']
+  },
+  {
+    id: 'design',
+    name: '设计',
+    keywords: {
+      zh: ['设计', 'UI', 'UX', '界面', '视觉', '创意', '艺术', '美学', '配色', '排版'],
+      en: ['design', 'designer', 'ui', 'ux', 'interface', 'visual', 'creative', 'art', 'typography', 'color', 'figma'],
+      ja: ['デザイン', 'デザイナー', 'ビジュアル', 'クリエイティブ', 'アート', '配色', 'タイポグラフィ']
+    },
+    schemes: ['elegant', 'mint']
+  },
+  {
+    id: 'life',
+    name: '生活',
+    keywords: {
+      zh: ['生活', '日常', '随笔', '感悟', '心情', '成长', '读书', '旅行', '美食', '摄影'],
+      en: ['life', 'lifestyle', 'daily', 'diary', 'travel', 'food', 'recipe', 'photography', 'reading', 'journal'],
+      ja: ['生活', '日常', '日記', '旅行', '料理', 'グルメ', '写真', '読書', '暮らし']
+    },
+    schemes: ['fresh', 'rose']
+  },
+  {
+    id: 'business',
+    name: '商业',
+    keywords: {
+      zh: ['商业', '创业', '产品', '运营', '营销', '管理', '职场', '投资', '经济', '市场'],
+      en: ['business', 'startup', 'product', 'marketing', 'management', 'career', 'investing', 'finance',
+        'economy', 'market', 'sales', 'growth'],
+      ja: ['ビジネス', '起業', 'スタートアップ', 'マーケティング', '経営', 'キャリア', '投資', '経済', '市場']
+    },
+    schemes: ['vibrant', 'minimal']
+  },
+  {
+    id: 'education',
+    name: '教育',
+    keywords: {
+      zh: ['学习', '教程', '笔记', '知识', '课程', '教学', '培训', '考试', '认证', '技能'],
+      en: ['learn', 'learning', 'tutorial', 'guide', 'notes', 'course', 'lesson', 'exam', 'study', 'beginner', 'how to'],
+      ja: ['学習', '勉強', 'チュートリアル', '入門', 'ノート', '講座', '試験', '資格', '解説']
+    },
+    schemes: ['dark', 'sunny']
+  }
+]
+
+const LATIN_KEYWORD = /^[a-z0-9][a-z0-9 .+#-]*$/i
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * 生成关键词匹配函数：拉丁字母按整词（允许复数词尾）匹配，避免 "art" 命中 "start"；
+ * 中日文没有词边界，按子串匹配
+ */
+function keywordMatcher(keyword: string): (text: string) => boolean {
+  if (LATIN_KEYWORD.test(keyword)) {
+    const pattern = new RegExp(`(?<![a-z0-9])${escapeRegExp(keyword)}(?:s|es)?(?![a-z0-9])`, 'i')
+    return text => pattern.test(text)
+  }
+  const lower = keyword.toLowerCase()
+  return text => text.toLowerCase().includes(lower)
+}
+
+interface CompiledCategory {
+  definition: CategoryDictionary
+  keywords: { keyword: string; test: (text: string) => boolean }[]
+}
+
+export class TitleClassifier {
+  private compiled: CompiledCategory[] = []
+  private readonly options: Required<ClassifierOptions>
+
+  constructor(categories: readonly CategoryDictionary[] = BUILTIN_CATEGORIES, options: ClassifierOptions = {}) {
+    this.options = { titleWeight: 1, subtitleWeight: 0.5, defaultCategory: 'tech', ...options }
+    categories.forEach(category => this.register(category))
+  }
+
+  /**
+   * 注册分类；id 已存在时替换原有定义，保留其排序位置
+   */
+  register(category: CategoryDictionary): void {
+    if (!category.id) throw new Error('Category id is required')
+    // 不同语言的词表可能重复（如 UI、配色），同一关键词只计一次
+    const seen = new Set<string>()
+    const keywords = Object.values(category.keywords)
+      .flat()
+      .map(keyword => (typeof keyword === 'string' ? keyword.trim() : ''))
+      .filter(keyword => {
+        const key = keyword.toLowerCase()
+        if (!keyword || seen.has(key)) return false
+        seen.add(key)
+        return true
+      })
+      .map(keyword => ({ keyword, test: keywordMatcher(keyword) }))
+
+    const compiled = { definition: category, keywords }
+    const index = this.compiled.findIndex(c => c.definition.id === category.id)
+    if (index === -1) this.compiled.push(compiled)
+    else this.compiled[index] = compiled
+  }
+
+  unregister(id: string): boolean {
+    const before = this.compiled.length
+    this.compiled = this.compiled.filter(c => c.definition.id !== id)
+    return this.compiled.length !== before
+  }
+
+  get categories(): CategoryDictionary[] {
+    return this.compiled.map(c => c.definition)
+  }
+
+  category(id: string): CategoryDictionary | undefined {
+    return this.compiled.find(c => c.definition.id === id)?.definition
+  }
+
+  /**
+   * 为标题打分，得分相同时注册靠前的分类优先
+   */
+  classify(title: string, subtitle = ''): Classification {
+    const { titleWeight, subtitleWeight, defaultCategory } = this.options
+    const scores: Record<string, number> = {}
+    const matches: Record<string, string[]> = {}
+
+    for (const { definition, keywords } of this.compiled) {
+      let score = 0
+      const matched: string[] = []
+      for (const { keyword, test } of keywords) {
+        const inTitle = test(title)
+        const inSubtitle = subtitle !== '' && test(subtitle)
+        if (!inTitle && !inSubtitle) continue
+        score += (inTitle ? titleWeight : 0) + (inSubtitle ? subtitleWeight : 0)
+        if (!matched.includes(keyword)) matched.push(keyword)
+      }
+      scores[definition.id] = score
+      if (matched.length) matches[definition.id] = matched
+    }
+
+    let category = defaultCategory
+    let best = 0
+    for (const [id, score] of Object.entries(scores)) {
+      if (score > best) {
+        best = score
+        category = id
+      }
+    }
+    return { category, scores, matches }
+  }
+}
+
+/** 自动生成与 /api 共用的分类器，可在其上注册自定义分类 */
+export const defaultClassifier = new TitleClassifier()
@@ -34,12 +34,17 @@ interface KVStorage {
   list?: (options?: Record<string, unknown>) => Promise<{ keys: unknown[] }>
 }
 
+export interface EdgeStorageOptions {
+  /** 浏览器中使用的远程 KV 接口（如 /api/kv），不可用时回退到 localStorage */
+  remoteUrl?: string
+}
+
 export class EdgeStorage {
   private platform: EdgePlatformType | null
   private kv: KVStorage | null = null
   private cache: Cache | null = null
 
-  constructor(platform: EdgePlatformType | null = null) {
+  constructor(platform: EdgePlatformType | null = null, private options: EdgeStorageOptions = {}) {
     this.platform = platform || detectEdgePlatform()
     this.init()
   }
@@ -97,7 +102,7 @@ export class EdgeStorage {
   }
 
   private initBrowserStorage(): void {
-    this.kv = {
+    const local: KVStorage = {
       get: async (key: string) => {
         const value = localStorage.getItem(key)
         return value ? JSON.parse(value) : null
@@ -109,6 +114,51 @@ export class EdgeStorage {
         localStorage.removeItem(key)
       }
     }
+    this.kv = this.options.remoteUrl ? this.createRemoteStorage(this.options.remoteUrl, local) : local
+  }
+
+  /**
+   * 通过 /api/kv 读写服务端 KV，同时保留一份本地副本；
+   * 未配置 KV 或离线时接口报错，退回本地副本
+   */
+  private createRemoteStorage(remoteUrl: string, local: KVStorage): KVStorage {
+    const endpoint = (key: string) => `${remoteUrl.replace(/\/$/, '')}/${encodeURIComponent(key)}`
+
+    return {
+      get: async (key: string) => {
+        try {
+          const response = await fetch(endpoint(key))
+          if (response.status === 404) return await local.get(key)
+          if (!response.ok) throw new Error(`KV get failed: ${response.status}`)
+          const { value } = (await response.json()) as { value: unknown }
+          await local.put(key, value)
+          return value
+        } catch {
+          return local.get(key)
+        }
+      },
+      put: async (key: string, value: unknown) => {
+        await local.put(key, value)
+        try {
+          const response = await fetch(endpoint(key), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ value })
+          })
+          if (!response.ok) throw new Error(`KV put failed: ${response.status}`)
+        } catch (error) {
+          console.warn('EdgeStorage remote put failed, kept local copy:', error)
+        }
+      },
+      delete: async (key: string) => {
+        await local.delete(key)
+        try {
+          await fetch(endpoint(key), { method: 'DELETE' })
+        } catch (error) {
+          console.warn('EdgeStorage remote delete failed:', error)
+        }
+      }
+    }
   }
 
   async get(key: string, options: { skipCache?: boolean; cacheTtl?: number } = {}): Promise<unknown> {
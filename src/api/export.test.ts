@@ -0,0 +1,176 @@
+import { setActivePinia, createPinia } from 'pinia'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { useCoverStore } from '../stores/cover'
+import { exportCover, exportCoverSvg, saveBlob, supportsExportFormat, uploadCover } from './export'
+
+const renderBrowserCover = vi.hoisted(() => vi.fn())
+vi.mock('../renderer/browser', async importOriginal => ({
+  ...(await importOriginal<typeof import('../renderer/browser')>()),
+  renderBrowserCover
+}))
+
+// 模拟只支持 png / jpeg / webp 编码的浏览器
+const SUPPORTED_TYPES = ['image/png', 'image/jpeg', 'image/webp']
+
+function fakeCanvas() {
+  const toBlob = vi.fn((callback: BlobCallback, type = 'image/png') => {
+    callback(new Blob(['x'], { type: SUPPORTED_TYPES.includes(type) ? type : 'image/png' }))
+  })
+  return { toBlob }
+}
+
+describe('exportCover', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    renderBrowserCover.mockReset()
+    vi.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockImplementation(function (type = 'image/png') {
+      return `data:${SUPPORTED_TYPES.includes(type) ? type : 'image/png'};base64,`
+    })
+  })
+
+  it('探测浏览器可编码的格式', () => {
+    expect(supportsExportFormat('png')).toBe(true)
+    expect(supportsExportFormat('webp')).toBe(true)
+    expect(supportsExportFormat('avif')).toBe(false)
+  })
+
+  it('按设置中的格式、质量与倍率导出', async () => {
+    const store = useCoverStore()
+    store.text = '测试标题'
+    store.setExportFormat('webp')
+    store.setExportQuality(0.6)
+    store.setExportScale(2)
+    const canvas = fakeCanvas()
+    renderBrowserCover.mockResolvedValue(canvas)
+
+    const result = await exportCover()
+
+    expect(renderBrowserCover).toHaveBeenCalledWith(expect.objectContaining({ width: 1200 }), 2)
+    expect(canvas.toBlob).toHaveBeenCalledWith(expect.any(Function), 'image/webp', 0.6)
+    expect(result.format).toBe('webp')
+    expect(result.blob.type).toBe('image/webp')
+    expect(result.fileName).toBe('测试标题@2x.webp')
+  })
+
+  it('参数覆盖设置', async () => {
+    const store = useCoverStore()
+    store.setExportFormat('webp')
+    renderBrowserCover.mockResolvedValue(fakeCanvas())
+
+    const result = await exportCover({ format: 'jpeg', scale: 1 })
+
+    expect(result.format).toBe('jpeg')
+    expect(renderBrowserCover).toHaveBeenCalledWith(expect.anything(), 1)
+  })
+
+  it('浏览器不支持 avif 时回退为 png', async () => {
+    const store = useCoverStore()
+    store.setExportFormat('avif')
+    const canvas = fakeCanvas()
+    renderBrowserCover.mockResolvedValue(canvas)
+
+    const result = await exportCover()
+
+    expect(result.format).toBe('png')
+    expect(canvas.toBlob).toHaveBeenCalledWith(expect.any(Function), 'image/png', undefined)
+    expect(result.fileName.endsWith('.png')).toBe(true)
+  })
+})
+
+describe('uploadCover', () => {
+  const fetchMock = vi.fn()
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    renderBrowserCover.mockReset()
+    renderBrowserCover.mockResolvedValue(fakeCanvas())
+    fetchMock.mockReset()
+    fetchMock.mockImplementation(async () => new Response(JSON.stringify({ result: 'success', url: 'https://img/1.png' })))
+    vi.stubGlobal('fetch', fetchMock)
+    return () => vi.unstubAllGlobals()
+  })
+
+  function sentHeaders(): Record<string, string> {
+    return fetchMock.mock.calls[0][1].headers
+  }
+
+  it('同源地址携带 API Key', async () => {
+    const store = useCoverStore()
+    store.setUploadApiUrl('/api/upload')
+    store.setApiKey('secret')
+
+    expect(await uploadCover()).toMatchObject({ url: 'https://img/1.png' })
+    expect(sentHeaders()).toEqual({ Authorization: 'Bearer secret' })
+  })
+
+  it('第三方地址默认不发送 API Key，显式开启后才发送', async () => {
+    const store = useCoverStore()
+    store.setUploadApiUrl('https://images.example.com/api.php')
+    store.setApiKey('secret')
+
+    await uploadCover()
+    expect(sentHeaders()).toEqual({})
+
+    store.setSendApiKey(true)
+    fetchMock.mockClear()
+    await uploadCover()
+    expect(sentHeaders()).toEqual({ Authorization: 'Bearer secret' })
+  })
+
+  it('更换上传地址后需重新开启', () => {
+    const store = useCoverStore()
+    store.setUploadApiUrl('https://a.example.com/api.php')
+    store.setSendApiKey(true)
+    store.setUploadApiUrl('https://a.example.com/api.php')
+    expect(store.sendApiKey).toBe(true)
+    store.setUploadApiUrl('https://b.example.com/api.php')
+    expect(store.sendApiKey).toBe(false)
+  })
+})
+
+describe('exportCoverSvg', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+  })
+
+  it('输出矢量文字并引用所选网络字体', async () => {
+    const store = useCoverStore()
+    store.text = 'SVG 标题'
+    store.selectedFont = 'yozai'
+
+    const { blob, fileName } = await exportCoverSvg()
+    const svg = await blob.text()
+
+    expect(fileName).toBe('SVG-标题.svg')
+    expect(blob.type).toBe('image/svg+xml')
+    expect(svg).toContain('@import url("https://chinese-fonts-cdn.deno.dev/packages/yozai/dist/Yozai-Regular/result.css")')
+    expect(svg).toContain('>SVG 标题</text>')
+    expect(svg).toContain('font-family="yozai,')
+  })
+
+  it('系统字体不引用样式表', async () => {
+    const store = useCoverStore()
+    store.selectedFont = 'PingFang SC'
+
+    const svg = await (await exportCoverSvg()).blob.text()
+
+    expect(svg).not.toContain('@import')
+  })
+})
+
+describe('saveBlob', () => {
+  it('下载开始后才释放对象地址', () => {
+    vi.useFakeTimers()
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+    URL.createObjectURL = vi.fn(() => 'blob:cover')
+    URL.revokeObjectURL = vi.fn()
+
+    saveBlob(new Blob(['x']), 'cover.png')
+    expect(click).toHaveBeenCalled()
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled()
+
+    vi.runAllTimers()
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:cover')
+    vi.useRealTimers()
+  })
+})
@@ -0,0 +1,191 @@
+/**
+ * 封面导出服务
+ * 所有下载 / 上传按钮都经由这里：按设置中的格式、质量与倍率重新渲染并编码，文件名取自封面标题
+ */
+
+import { useCoverStore } from '../stores/cover'
+import { fontStylesheet } from '../config'
+import { renderBrowserCover, renderBrowserSvg } from '../renderer/browser'
+import {
+  coverFileName,
+  createCoverSpec,
+  type CoverState,
+  type ExportFormat,
+  type ExportScale
+} from '../renderer/spec'
+import { coverFontFamilies } from '../renderer/text'
+import type { CoverSpec } from '../renderer/types'
+
+export const EXPORT_MIME_TYPES: Record<ExportFormat, string> = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  avif: 'image/avif'
+}
+
+export interface ExportOptions {
+  format?: ExportFormat
+  quality?: number
+  scale?: ExportScale
+  /** 覆盖当前封面的部分状态，如批量导出时替换标题 */
+  state?: Partial<CoverState>
+}
+
+export interface ExportResult {
+  blob: Blob
+  /** 实际使用的格式，浏览器不支持所选格式时回退为 png */
+  format: ExportFormat
+  fileName: string
+}
+
+export interface SvgExportResult {
+  blob: Blob
+  fileName: string
+}
+
+export interface UploadResult {
+  url: string
+  fileName: string
+}
+
+const supportCache = new Map<ExportFormat, boolean>()
+
+/**
+ * 浏览器能否编码该格式
+ * 不支持的 MIME 类型会被 toDataURL 静默替换为 png，据此探测
+ */
+export function supportsExportFormat(format: ExportFormat): boolean {
+  if (format === 'png') return true
+  const cached = supportCache.get(format)
+  if (cached !== undefined) return cached
+
+  let supported = false
+  try {
+    const canvas = document.createElement('canvas')
+    canvas.width = 1
+    canvas.height = 1
+    const url = canvas.toDataURL(EXPORT_MIME_TYPES[format])
+    supported = typeof url === 'string' && url.startsWith(`data:${EXPORT_MIME_TYPES[format]}`)
+  } catch {
+    supported = false
+  }
+  supportCache.set(format, supported)
+  return supported
+}
+
+export function resolveExportFormat(format: ExportFormat): ExportFormat {
+  return supportsExportFormat(format) ? format : 'png'
+}
+
+export function encodeCanvas(
+  canvas: HTMLCanvasElement,
+  format: ExportFormat,
+  quality: number
+): Promise<Blob> {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Export failed'))),
+      EXPORT_MIME_TYPES[format],
+      // png 为无损格式，忽略质量参数
+      format === 'png' ? undefined : quality
+    )
+  })
+}
+
+function currentSpec(overrides: Partial<CoverState> = {}): CoverSpec {
+  const store = useCoverStore()
+  return createCoverSpec({ ...store.coverState, ...overrides }, {
+    width: store.canvasWidth,
+    height: store.canvasHeight
+  })
+}
+
+// 点击后立即释放地址时，Safari 与 Firefox 会取消较大文件的下载
+const REVOKE_DELAY = 40000
+
+export function saveBlob(blob: Blob, fileName: string): void {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY)
+}
+
+/**
+ * 按当前封面重新渲染并编码，未指定的选项取自设置
+ */
+export async function exportCover(options: ExportOptions = {}): Promise<ExportResult> {
+  const store = useCoverStore()
+  const format = resolveExportFormat(options.format ?? store.exportFormat)
+  const quality = options.quality ?? store.exportQuality
+  const scale = options.scale ?? store.exportScale
+
+  const state = options.state ?? {}
+
+  const canvas = await renderBrowserCover(currentSpec(state), scale)
+  const blob = await encodeCanvas(canvas, format, quality)
+  return { blob, format, fileName: coverFileName(state.text ?? store.text, format, scale) }
+}
+
+export async function downloadCover(options: ExportOptions = {}): Promise<ExportResult> {
+  const result = await exportCover(options)
+  saveBlob(result.blob, result.fileName)
+  return result
+}
+
+/**
+ * 导出为 SVG：背景、遮罩、文字、图标与水印均为矢量元素，并引用所用的网络字体
+ */
+export async function exportCoverSvg(): Promise<SvgExportResult> {
+  const store = useCoverStore()
+  const spec = currentSpec()
+  const stylesheets = coverFontFamilies(spec)
+    .map(fontStylesheet)
+    .filter((url): url is string => Boolean(url))
+
+  const canvas = await renderBrowserSvg(spec)
+  const svg = canvas.toSVG(stylesheets)
+  return {
+    blob: new Blob([svg], { type: 'image/svg+xml' }),
+    fileName: coverFileName(store.text, 'svg')
+  }
+}
+
+export async function downloadCoverSvg(): Promise<SvgExportResult> {
+  const result = await exportCoverSvg()
+  saveBlob(result.blob, result.fileName)
+  return result
+}
+
+// API Key 默认只发给同源地址，第三方图床需在设置中显式开启
+function canSendApiKey(url: string, optedIn: boolean): boolean {
+  if (optedIn) return true
+  try {
+    return new URL(url, window.location.href).origin === window.location.origin
+  } catch {
+    return false
+  }
+}
+
+/**
+ * 上传到设置中的图床地址，返回外链
+ */
+export async function uploadCover(options: ExportOptions = {}): Promise<UploadResult> {
+  const store = useCoverStore()
+  if (!store.uploadApiUrl) throw new Error('未配置上传地址')
+
+  const { blob, fileName } = await exportCover(options)
+  const formData = new FormData()
+  formData.append('image', blob, fileName)
+
+  const headers: Record<string, string> = {}
+  if (store.apiKey && canSendApiKey(store.uploadApiUrl, store.sendApiKey)) headers.Authorization = `Bearer ${store.apiKey}`
+
+  const response = await fetch(store.uploadApiUrl, { method: 'POST', headers, body: formData })
+  const data = (await response.json()) as { result?: string; url?: string; message?: string }
+  if (data.result !== 'success' || !data.url) {
+    throw new Error(data.message || 'Unknown error')
+  }
+  return { url: data.url, fileName }
+}
@@ -1,4 +1,8 @@
 import { generateCover, coverAPI } from './autoGenerate'
+import { defaultClassifier } from './classifier'
+import { COLOR_SCHEMES } from '../stores/templates'
+import { EXPORT_FORMATS, type ExportFormat } from '../renderer/spec'
+import { stripRichText } from '../renderer/richText'
 
 interface ApiResponse<T = unknown> {
   success: boolean
@@ -9,9 +13,11 @@ interface ApiResponse<T = unknown> {
 
 interface GenerateParams {
   title?: string
+  subtitle?: string
   image?: string | null
   style?: string
   watermark?: string
+  seed?: number | string
 }
 
 interface BatchGenerateParams {
@@ -38,6 +44,7 @@ interface TitleAnalysis {
   length: number
   hasMultipleLines: boolean
   complexity: Record<string, number>
+  matches: Record<string, string[]>
   recommendedStyle: string
 }
 
@@ -53,9 +60,11 @@ export const apiEndpoints = {
     try {
       const {
         title = '',
+        subtitle,
         image = null,
         style = 'auto',
-        watermark = ''
+        watermark = '',
+        seed
       } = params
 
       if (!title) {
@@ -64,9 +73,11 @@ export const apiEndpoints = {
 
       const result = await generateCover({
         title,
+        subtitle,
         image,
         style,
-        watermark
+        watermark,
+        seed
       })
 
       return createResponse(true, result, '封面生成成功')
@@ -94,8 +105,11 @@ export const apiEndpoints = {
 
   async export(params: ExportParams): Promise<ApiResponse> {
     try {
-      const { format = 'webp', quality = 0.9 } = params
-      const result = await coverAPI.export(format, quality)
+      const { format, quality } = params
+      if (format !== undefined && !EXPORT_FORMATS.includes(format as ExportFormat)) {
+        return createResponse(false, null, `不支持的导出格式: ${format}`)
+      }
+      const result = await coverAPI.export(format as ExportFormat | undefined, quality)
       return createResponse(true, result, '导出成功')
     } catch (error) {
       console.error('Export Error:', error)
@@ -104,47 +118,33 @@ export const apiEndpoints = {
   },
 
   getColorSchemes(): ApiResponse<ColorScheme[]> {
-    const schemes: ColorScheme[] = [
-      { id: 'tech', name: '科技蓝', colors: { bg: '#1a1a2e', text: '#ffffff' } },
-      { id: 'vibrant', name: '活力橙', colors: { bg: '#ff6b35', text: '#ffffff' } },
-      { id: 'fresh', name: '清新绿', colors: { bg: '#10b981', text: '#ffffff' } },
-      { id: 'elegant', name: '优雅紫', colors: { bg: '#7c3aed', text: '#ffffff' } },
-      { id: 'minimal', name: '极简白', colors: { bg: '#fafafa', text: '#1f2937' } },
-      { id: 'dark', name: '暗夜黑', colors: { bg: '#0f0f0f', text: '#f5f5f5' } }
-    ]
+    const schemes: ColorScheme[] = COLOR_SCHEMES.map(({ id, name, bg, text }) => ({
+      id,
+      name,
+      colors: { bg, text }
+    }))
     return createResponse(true, schemes, '获取配色方案成功')
   },
 
-  analyzeTitle(params: { title?: string }): ApiResponse<TitleAnalysis | null> {
-    const { title = '' } = params
+  analyzeTitle(params: { title?: string; subtitle?: string }): ApiResponse<TitleAnalysis | null> {
+    const title = stripRichText(params.title ?? '')
+    const subtitle = stripRichText(params.subtitle ?? '')
     if (!title) {
       return createResponse<TitleAnalysis | null>(false, null, '标题不能为空')
     }
 
-    const keywords: Record<string, string[]> = {
-      tech: ['科技', '技术', '编程', '代码', 'AI', '人工智能', '算法'],
-      design: ['设计', 'UI', 'UX', '界面', '视觉', '创意'],
-      life: ['生活', '日常', '随笔', '感悟', '心情'],
-      business: ['商业', '创业', '产品', '运营', '营销']
-    }
-
-    const scores: Record<string, number> = {}
-    for (const [category, words] of Object.entries(keywords)) {
-      scores[category] = words.reduce((score, word) => {
-        return score + (title.toLowerCase().includes(word.toLowerCase()) ? 1 : 0)
-      }, 0)
-    }
-
-    const dominantCategory = Object.entries(scores).sort((a, b) => b[1] - a[1])[0]?.[0] || 'tech'
+    // 与自动生成使用同一个分类器，推荐风格取该分类的第一个候选配色
+    const { category, scores, matches } = defaultClassifier.classify(title, subtitle)
+    const schemeId = defaultClassifier.category(category)?.schemes[0]
+    const scheme = COLOR_SCHEMES.find(s => s.id === schemeId) ?? COLOR_SCHEMES[0]
 
     const analysis: TitleAnalysis = {
-      category: dominantCategory,
+      category,
       length: title.length,
       hasMultipleLines: title.includes('\n'),
       complexity: scores,
-      recommendedStyle: dominantCategory === 'tech' ? '科技蓝' :
-                       dominantCategory === 'design' ? '优雅紫' :
-                       dominantCategory === 'life' ? '清新绿' : '活力橙'
+      matches,
+      recommendedStyle: scheme.name
     }
 
     return createResponse(true, analysis, '分析成功')
@@ -1,6 +1,16 @@
 import { ref, onMounted, onUnmounted, type Ref } from 'vue'
 import { useCoverStore } from '@/stores/cover'
 import { defaultConfig } from '@/config'
+import {
+  blendOperation,
+  createCoverSpec,
+  drawLayerContent,
+  type CoverAssets,
+  type CoverSpec,
+  type Layer
+} from '@/renderer'
+import { createBrowserCanvas, loadBrowserImage } from '@/renderer/browser'
+import { downloadCover } from '@/api/export'
 
 const loadedImages = new Map<File, string>()
 
@@ -18,10 +28,8 @@ function createCanvas(width: number, height: number): CanvasLayer {
   return { canvas, ctx }
 }
 
-const bgCanvasLayer = createCanvas(1000, 500)
-const textCanvasLayer = createCanvas(1000, 500)
-const watermarkCanvasLayer = createCanvas(1000, 500)
-const squareCanvasLayer = createCanvas(1000, 500)
+// 每个图层一张离屏画布，按图层 id 索引，合成时按 store 中的图层顺序叠加
+const layerCanvases = new Map<string, CanvasLayer>()
 
 let mainCanvas: HTMLCanvasElement | null = null
 let mainCtx: CanvasRenderingContext2D | null = null
@@ -43,227 +51,120 @@ function loadImage(file: File): Promise<string> {
   })
 }
 
-function getHtmlFontStyles(): { fontFamily: string } {
-  const htmlElement = document.documentElement
-  const computedStyle = getComputedStyle(htmlElement)
-  return { fontFamily: computedStyle.fontFamily }
-}
-
-export function drawBackground(): void {
+// 图层按画布的逻辑尺寸绘制，与所选尺寸预设一致
+function currentSpec(): CoverSpec {
   const store = useCoverStore()
-  const { ctx, canvas } = bgCanvasLayer
-  ctx.clearRect(0, 0, canvas.width, canvas.height)
+  return createCoverSpec(store.coverState, { width: store.canvasWidth, height: store.canvasHeight })
+}
 
-  if (store.bgImageUrl) {
-    const img = new Image()
-    img.onload = () => {
-      const scaleX = canvas.width / img.width
-      const scaleY = canvas.height / img.height
-      const scale = Math.max(scaleX, scaleY)
-      const width = img.width * scale
-      const height = img.height * scale
-      const x = (canvas.width - width) / 2
-      const y = (canvas.height - height) / 2
+function layerCanvas(id: string, width: number, height: number): CanvasLayer {
+  let layer = layerCanvases.get(id)
+  if (!layer) {
+    layer = createCanvas(width, height)
+    layerCanvases.set(id, layer)
+  } else if (layer.canvas.width !== width || layer.canvas.height !== height) {
+    layer.canvas.width = width
+    layer.canvas.height = height
+  }
+  return layer
+}
 
-      ctx.filter = `blur(${store.bgBlur}px)`
-      ctx.drawImage(img, x, y, width, height)
-      composeCanvases()
-    }
-    img.src = store.bgImageUrl
-  } else {
-    ctx.filter = 'none'
-    ctx.fillStyle = store.bgColor
-    ctx.fillRect(0, 0, canvas.width, canvas.height)
-    composeCanvases()
+// 图层引用的图片及其在 CoverAssets 中的位置
+function layerAssets(spec: CoverSpec, layer: Layer): { src: string; toAssets: (img: HTMLImageElement) => CoverAssets } | null {
+  if (layer.kind === 'background' && spec.background.image) {
+    return { src: spec.background.image.src, toAssets: img => ({ background: img }) }
+  }
+  if (layer.kind === 'icon' && spec.icon?.image) {
+    return { src: spec.icon.image, toAssets: img => ({ icon: img }) }
+  }
+  if (layer.kind === 'watermark' && spec.watermark?.image) {
+    return { src: spec.watermark.image, toAssets: img => ({ watermark: img }) }
   }
+  if (layer.kind === 'image' && layer.src) {
+    return { src: layer.src, toAssets: img => ({ layers: { [layer.id]: img } }) }
+  }
+  return null
 }
 
-export function drawText(): void {
-  const store = useCoverStore()
-  const { ctx, canvas } = textCanvasLayer
-  ctx.clearRect(0, 0, canvas.width, canvas.height)
-  
-  const { fontFamily } = getHtmlFontStyles()
-  const font = store.selectedFont ? `${store.selectedFont}, ${fontFamily}` : fontFamily
-  ctx.font = `600 ${store.textSize}px ${font}`
-  ctx.fillStyle = store.textColor
-  ctx.textAlign = 'center'
-  ctx.textBaseline = 'middle'
+/**
+ * 重绘单个图层并重新合成
+ */
+export function drawLayer(id: string): void {
+  const spec = currentSpec()
+  const layer = spec.layers.find(l => l.id === id)
+  if (!layer) return
+
+  const target = layerCanvas(id, spec.width, spec.height)
+  const paint = (assets: CoverAssets) => {
+    target.ctx.clearRect(0, 0, target.canvas.width, target.canvas.height)
+    drawLayerContent(target.ctx, spec, layer, assets, { createCanvas: createBrowserCanvas })
+    composeCanvases()
+  }
 
-  if (store.text3D > 0) {
-    ctx.shadowColor = 'rgba(0, 0, 0, .4)'
-    ctx.shadowBlur = store.text3D * 0.5
-    ctx.shadowOffsetX = store.text3D
-    ctx.shadowOffsetY = store.text3D
+  const image = layerAssets(spec, layer)
+  if (image) {
+    loadBrowserImage(image.src)
+      .then(img => paint(image.toAssets(img)))
+      .catch(() => paint({}))
   } else {
-    ctx.shadowColor = 'transparent'
-    ctx.shadowBlur = 0
-    ctx.shadowOffsetX = 0
-    ctx.shadowOffsetY = 0
+    paint({})
   }
+}
 
-  const lines = store.text.split('\n')
-  const lineHeightPx = store.textSize * store.lineHeight
-  const totalHeight = lineHeightPx * lines.length
-  const startY = (canvas.height - totalHeight) / 2 + lineHeightPx / 2
-
-  lines.forEach((line, index) => {
-    const y = startY + index * lineHeightPx
-    ctx.fillText(line, canvas.width / 2, y)
-  })
+export function drawBackground(): void {
+  drawLayer('background')
+}
 
-  composeCanvases()
+export function drawText(): void {
+  drawLayer('title')
+  drawLayer('subtitle')
 }
 
 export function drawWatermark(): void {
-  const store = useCoverStore()
-  const { ctx, canvas } = watermarkCanvasLayer
-  ctx.clearRect(0, 0, canvas.width, canvas.height)
-  
-  const { fontFamily } = getHtmlFontStyles()
-  const font = store.selectedFont ? `${store.selectedFont}, ${fontFamily}` : fontFamily
-  ctx.font = `italic 14px ${font}`
-  ctx.fillStyle = store.watermarkColor
-  ctx.textAlign = 'right'
-  ctx.fillText(store.watermark, canvas.width - 20, canvas.height - 20)
-  composeCanvases()
+  drawLayer('watermark')
 }
 
 export function drawSquareImage(): void {
-  const store = useCoverStore()
-  const { ctx, canvas } = squareCanvasLayer
-  ctx.clearRect(0, 0, canvas.width, canvas.height)
-  
-  if (store.squareImageUrl) {
-    const squareImg = new Image()
-    squareImg.onload = () => {
-      const totalSize = store.squareSize
-      const borderWidth = 20
-      const size = totalSize - 2 * borderWidth
-      const x = (canvas.width - totalSize) / 2
-      const y = (canvas.height - totalSize) / 2
-      const radius = 30
-
-      const tempCanvas = document.createElement('canvas')
-      tempCanvas.width = totalSize
-      tempCanvas.height = totalSize
-      const tempCtx = tempCanvas.getContext('2d')
-      if (!tempCtx) return
-
-      if (store.iconBgSize > 0) {
-        const bgPadding = store.iconBgSize
-        tempCtx.fillStyle = store.iconColor
-        tempCtx.beginPath()
-        tempCtx.moveTo(radius + borderWidth - bgPadding, borderWidth - bgPadding)
-        tempCtx.arcTo(
-          totalSize - borderWidth + bgPadding, 
-          borderWidth - bgPadding, 
-          totalSize - borderWidth + bgPadding, 
-          radius + borderWidth - bgPadding, 
-          radius
-        )
-        tempCtx.arcTo(
-          totalSize - borderWidth + bgPadding, 
-          totalSize - borderWidth + bgPadding, 
-          totalSize - radius - borderWidth + bgPadding, 
-          totalSize - borderWidth + bgPadding, 
-          radius
-        )
-        tempCtx.arcTo(
-          borderWidth - bgPadding, 
-          totalSize - borderWidth + bgPadding, 
-          borderWidth - bgPadding, 
-          totalSize - radius - borderWidth + bgPadding, 
-          radius
-        )
-        tempCtx.arcTo(
-          borderWidth - bgPadding, 
-          borderWidth - bgPadding, 
-          radius + borderWidth - bgPadding, 
-          borderWidth - bgPadding, 
-          radius
-        )
-        tempCtx.closePath()
-        tempCtx.fill()
-      }
-
-      tempCtx.save()
-      tempCtx.beginPath()
-      tempCtx.moveTo(radius + borderWidth, borderWidth)
-      tempCtx.arcTo(totalSize - borderWidth, borderWidth, totalSize - borderWidth, radius + borderWidth, radius)
-      tempCtx.arcTo(totalSize - borderWidth, totalSize - borderWidth, totalSize - radius - borderWidth, totalSize - borderWidth, radius)
-      tempCtx.arcTo(borderWidth, totalSize - borderWidth, borderWidth, totalSize - radius - borderWidth, radius)
-      tempCtx.arcTo(borderWidth, borderWidth, radius + borderWidth, borderWidth, radius)
-      tempCtx.closePath()
-      tempCtx.clip()
-
-      const imgAspectRatio = squareImg.width / squareImg.height
-      let scaledWidth: number, scaledHeight: number
-      if (imgAspectRatio > 1) {
-        scaledWidth = size
-        scaledHeight = size / imgAspectRatio
-      } else {
-        scaledWidth = size * imgAspectRatio
-        scaledHeight = size
-      }
-
-      const offsetX = (size - scaledWidth) / 2
-      const offsetY = (size - scaledHeight) / 2
-
-      tempCtx.drawImage(squareImg, borderWidth + offsetX, borderWidth + offsetY, scaledWidth, scaledHeight)
-      tempCtx.restore()
-
-      ctx.save()
-      ctx.shadowColor = store.shadowColor
-      ctx.shadowBlur = store.shadowBlur
-      ctx.shadowOffsetX = store.shadowOffsetX
-      ctx.shadowOffsetY = store.shadowOffsetY
-
-      ctx.translate(x + totalSize / 2, y + totalSize / 2)
-      ctx.rotate(store.rotation * Math.PI / 180)
-      ctx.translate(-(x + totalSize / 2), -(y + totalSize / 2))
-
-      ctx.drawImage(tempCanvas, x, y, totalSize, totalSize)
-      ctx.restore()
+  drawLayer('icon')
+}
 
-      composeCanvases()
-    }
-    squareImg.src = store.squareImageUrl
-  } else {
-    composeCanvases()
+export function redrawAll(): void {
+  const store = useCoverStore()
+  const ids = new Set(store.layers.map(layer => layer.id))
+  for (const id of layerCanvases.keys()) {
+    if (!ids.has(id)) layerCanvases.delete(id)
   }
+  ids.forEach(drawLayer)
 }
 
 export function composeCanvases(): void {
-  if (mainCtx && mainCanvas) {
-    mainCtx.clearRect(0, 0, mainCanvas.width, mainCanvas.height)
-    mainCtx.drawImage(bgCanvasLayer.canvas, 0, 0)
-    mainCtx.drawImage(textCanvasLayer.canvas, 0, 0)
-    mainCtx.drawImage(squareCanvasLayer.canvas, 0, 0)
-    mainCtx.drawImage(watermarkCanvasLayer.canvas, 0, 0)
+  if (!mainCtx || !mainCanvas) return
+  const store = useCoverStore()
+
+  mainCtx.clearRect(0, 0, mainCanvas.width, mainCanvas.height)
+  for (const layer of store.layers) {
+    const canvas = layerCanvases.get(layer.id)?.canvas
+    if (!layer.visible || !canvas) continue
+    mainCtx.save()
+    mainCtx.globalAlpha = layer.opacity
+    mainCtx.globalCompositeOperation = blendOperation(layer.blendMode)
+    mainCtx.drawImage(canvas, 0, 0, mainCanvas.width, mainCanvas.height)
+    mainCtx.restore()
   }
 }
 
-export function saveWebp(): void {
-  if (mainCanvas) {
-    mainCanvas.toBlob(blob => {
-      if (!blob) return
-      const link = document.createElement('a')
-      link.href = URL.createObjectURL(blob)
-      link.download = 'Canvas-Ruom.webp'
-      link.click()
-      URL.revokeObjectURL(link.href)
-    }, 'image/webp')
-  }
+/**
+ * 按设置中的格式、质量与倍率重新渲染并下载，不受预览画布尺寸限制
+ */
+export async function saveImage(): Promise<void> {
+  await downloadCover()
 }
 
 export function initialize(canvasId: string): void {
   mainCanvas = document.getElementById(canvasId) as HTMLCanvasElement | null
   if (mainCanvas) {
     mainCtx = mainCanvas.getContext('2d')
-    drawBackground()
-    drawText()
-    drawWatermark()
+    redrawAll()
   } else {
     console.error('Canvas element not found')
   }
@@ -354,6 +255,18 @@ export function useCanvasRenderer(canvasId: string = 'canvasPreview') {
         store.setField('text3D', Number(target.value))
         drawText()
       },
+      textStrokeWidth: () => {
+        store.setField('textStrokeWidth', Number(target.value))
+        drawText()
+      },
+      textStrokeColor: () => {
+        store.setField('textStrokeColor', target.value)
+        drawText()
+      },
+      highlightColor: () => {
+        store.setField('highlightColor', target.value)
+        drawText()
+      },
       shadowColor: () => {
         store.setField('shadowColor', target.value)
         drawSquareImage()
@@ -372,6 +285,14 @@ export function useCanvasRenderer(canvasId: string = 'canvasPreview') {
     if (fn) fn()
   }
 
+  const undo = (): void => {
+    if (useCoverStore().undo()) redrawAll()
+  }
+
+  const redo = (): void => {
+    if (useCoverStore().redo()) redrawAll()
+  }
+
   onMounted(() => {
     init()
   })
@@ -386,12 +307,16 @@ export function useCanvasRenderer(canvasId: string = 'canvasPreview') {
     isInitialized,
     init,
     updatePreview,
+    undo,
+    redo,
+    redrawAll,
+    drawLayer,
     drawBackground,
     drawText,
     drawWatermark,
     drawSquareImage,
     composeCanvases,
-    saveWebp
+    saveImage
   }
 }
 
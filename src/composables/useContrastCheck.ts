@@ -0,0 +1,106 @@
+import { onUnmounted, ref, watch, type Ref } from 'vue'
+import { useCoverStore } from '@/stores/cover'
+import {
+  computeLayout,
+  createCoverSpec,
+  createSvgCanvas,
+  textBounds,
+  type CoverSpec,
+  type RenderContext,
+  type TextBackdrop
+} from '@/renderer'
+import { sampleCoverBackground } from '@/renderer/browser'
+import { blendColors, parseHexColor, toHexColor } from '@/utils/color'
+import { quantize, type Swatch } from '@/utils/palette'
+import { checkContrast, contrastFixes, type ContrastFix, type ContrastReport, type TextStyle } from '@/utils/contrast'
+
+export interface ContrastAnalysis {
+  report: ContrastReport
+  fixes: ContrastFix[]
+}
+
+// 优先用真实画布测量文字，拿不到 2D 上下文时使用估算宽度
+function measureContext(spec: CoverSpec): RenderContext {
+  return document.createElement('canvas').getContext('2d') ?? createSvgCanvas(spec.width, spec.height).getContext('2d')
+}
+
+// 文字底框叠加在背景之上，按底框颜色与不透明度混合
+function withBackdrop(region: Swatch[], backdrop: TextBackdrop | null): Swatch[] {
+  const color = backdrop && parseHexColor(backdrop.color)
+  if (!backdrop || !color) return region
+  return region.map(swatch => {
+    const blended = blendColors(color, swatch.color, backdrop.opacity)
+    return { ...swatch, color: blended, hex: toHexColor(blended) }
+  })
+}
+
+/**
+ * 分析标题与副标题所在区域的对比度；没有文字或无法读取背景像素时返回 null
+ */
+export async function analyzeTextContrast(spec: CoverSpec): Promise<ContrastAnalysis | null> {
+  const layout = computeLayout(measureContext(spec), spec)
+  const bounds = textBounds(layout)
+  if (!bounds) return null
+
+  const pixels = await sampleCoverBackground(spec, bounds)
+  if (!pixels) return null
+
+  // 按最小的文字判断是否适用大号文字标准，字号取自动缩放后的实际字号
+  const block = layout.subtitle ?? layout.title
+  const text = layout.subtitle ? spec.subtitle : spec.title
+  const scale = block && text.fontSize > 0 ? block.fontSize / text.fontSize : 1
+  const style: TextStyle = {
+    color: spec.title.color,
+    fontSize: block?.fontSize ?? text.fontSize,
+    bold: Number(text.fontWeight) >= 600,
+    overlayOpacity: Math.round(spec.overlay.opacity * 100),
+    overlayColor: spec.overlay.color,
+    strokeWidth: text.strokeWidth * scale,
+    strokeColor: text.strokeColor
+  }
+  const region = withBackdrop(quantize(pixels, 6), spec.title.backdrop)
+  return { report: checkContrast(region, style), fixes: contrastFixes(region, style) }
+}
+
+/**
+ * 封面变化后延迟重新分析文字对比度，并提供一键修复
+ */
+export function useContrastCheck(delay = 300) {
+  const store = useCoverStore()
+  const analysis: Ref<ContrastAnalysis | null> = ref(null)
+  let timer: ReturnType<typeof setTimeout> | undefined
+  let token = 0
+
+  const run = async (): Promise<void> => {
+    const current = ++token
+    const spec = createCoverSpec(store.coverState, { width: store.canvasWidth, height: store.canvasHeight })
+    let result: ContrastAnalysis | null = null
+    try {
+      result = await analyzeTextContrast(spec)
+    } catch (error) {
+      console.warn('Contrast check failed:', error)
+    }
+    // 只保留最近一次分析的结果
+    if (current === token) analysis.value = result
+  }
+
+  watch(
+    () => [store.coverState, store.canvasWidth, store.canvasHeight],
+    () => {
+      clearTimeout(timer)
+      timer = setTimeout(run, delay)
+    },
+    { immediate: true }
+  )
+
+  onUnmounted(() => clearTimeout(timer))
+
+  const applyFix = (fix: ContrastFix): void => {
+    store.applyCoverState({ ...store.coverState, ...fix.changes })
+  }
+
+  return {
+    analysis,
+    applyFix
+  }
+}
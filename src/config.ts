@@ -31,4 +31,11 @@ export const defaultConfig: DefaultConfig = {
   fontFamily: import.meta.env.VITE_APP_FONT_FAMILY,
   fontStyles: fonts.map(f => f[2]).filter(Boolean),
   fontOptions: fonts.map(([value, label]) => ({ value, label }))
-}
\ No newline at end of file
+}
+
+/**
+ * 字体对应的网络字体样式表地址，系统字体返回 undefined
+ */
+export function fontStylesheet(family: string): string | undefined {
+  return fonts.find(([value]) => value === family)?.[2]
+}
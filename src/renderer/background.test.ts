@@ -0,0 +1,199 @@
+import { describe, it, expect } from 'vitest'
+import {
+  coverImageRect,
+  createCoverSpec,
+  createSvgCanvas,
+  drawPattern,
+  fillGradient,
+  gradientLine,
+  imageFilter,
+  renderCover
+} from './index'
+import type { GradientSpec } from './types'
+
+const width = 1200
+const height = 630
+
+function renderToSvg(state: Parameters<typeof createCoverSpec>[0], assets = {}): string {
+  const spec = createCoverSpec(state, { width, height })
+  const canvas = createSvgCanvas(width, height)
+  renderCover(canvas.getContext('2d'), spec, assets, { createCanvas: createSvgCanvas })
+  return canvas.toSVG()
+}
+
+function fillToSvg(gradient: GradientSpec): string {
+  const canvas = createSvgCanvas(width, height)
+  fillGradient(canvas.getContext('2d'), gradient, width, height)
+  return canvas.toSVG()
+}
+
+describe('gradientLine', () => {
+  it('135° 从左上角到右下角，与旧版渐变一致', () => {
+    const line = gradientLine(135, width, height)
+    expect(line.x0).toBeCloseTo(0)
+    expect(line.y0).toBeCloseTo(0)
+    expect(line.x1).toBeCloseTo(width)
+    expect(line.y1).toBeCloseTo(height)
+  })
+
+  it('90° 从左到右，180° 从上到下', () => {
+    const horizontal = gradientLine(90, width, height)
+    expect([horizontal.x0, horizontal.y0, horizontal.x1, horizontal.y1].map(v => Math.round(v) || 0)).toEqual([0, 315, 1200, 315])
+    const vertical = gradientLine(180, width, height)
+    expect([vertical.x0, vertical.y0, vertical.x1, vertical.y1].map(v => Math.round(v) || 0)).toEqual([600, 0, 600, 630])
+  })
+})
+
+describe('fillGradient', () => {
+  it('色标均匀分布', () => {
+    const svg = fillToSvg({ type: 'linear', colors: ['#ff0000', '#00ff00', '#0000ff'], angle: 90 })
+    expect(svg).toContain('<stop offset="0" stop-color="#ff0000"/>')
+    expect(svg).toContain('<stop offset="0.5" stop-color="#00ff00"/>')
+    expect(svg).toContain('<stop offset="1" stop-color="#0000ff"/>')
+  })
+
+  it('径向渐变从画布中心向外', () => {
+    const svg = fillToSvg({ type: 'radial', colors: ['#ffffff', '#000000'], angle: 0 })
+    expect(svg).toMatch(/<radialGradient [^>]*cx="600" cy="315"/)
+  })
+
+  it('锥形渐变拼接为插值颜色的扇形', () => {
+    const svg = fillToSvg({ type: 'conic', colors: ['#ff0000', '#0000ff'], angle: 0 })
+    expect(svg).not.toContain('Gradient')
+    const fills = new Set(svg.match(/fill="#[0-9a-f]{6}"/g))
+    expect(fills.size).toBeGreaterThan(10)
+  })
+
+  it('网格渐变以首个颜色铺底，其余颜色渐隐叠加', () => {
+    const svg = fillToSvg({ type: 'mesh', colors: ['#111111', '#ff0000', '#00ff00'], angle: 135 })
+    expect(svg).toContain('fill="#111111"')
+    expect(svg.match(/<radialGradient/g)).toHaveLength(2)
+    expect(svg).toContain('stop-color="rgba(255, 0, 0, 0)"')
+  })
+})
+
+describe('drawPattern', () => {
+  it('图案合并为一条路径并应用不透明度', () => {
+    for (const kind of ['dots', 'grid'] as const) {
+      const canvas = createSvgCanvas(width, height)
+      drawPattern(canvas.getContext('2d'), { kind, color: '#ffffff', opacity: 0.2, size: 40 }, width, height)
+      const svg = canvas.toSVG()
+      expect(svg.match(/<path /g)).toHaveLength(1)
+      expect(svg).toContain('opacity="0.2"')
+    }
+  })
+
+  it('噪点每次绘制结果相同', () => {
+    const render = () => {
+      const canvas = createSvgCanvas(width, height)
+      drawPattern(canvas.getContext('2d'), { kind: 'noise', color: '#000000', opacity: 0.5, size: 24 }, width, height)
+      return canvas.toSVG()
+    }
+    expect(render()).toBe(render())
+  })
+})
+
+describe('createCoverSpec 背景', () => {
+  it('渐变保留类型、角度与最多 6 个色标', () => {
+    const colors = ['#000000', '#111111', '#222222', '#333333', '#444444', '#555555', '#666666']
+    const spec = createCoverSpec({ bgGradient: colors, bgGradientType: 'conic', bgGradientAngle: 45 }, { width, height })
+    expect(spec.background.gradient).toEqual({ type: 'conic', colors: colors.slice(0, 6), angle: 45 })
+  })
+
+  it('图案默认关闭，未知图案或不透明度为 0 时忽略', () => {
+    const size = { width, height }
+    expect(createCoverSpec({}, size).background.pattern).toBeNull()
+    expect(createCoverSpec({ bgPattern: 'stripes' as never }, size).background.pattern).toBeNull()
+    expect(createCoverSpec({ bgPattern: 'dots', bgPatternOpacity: 0 }, size).background.pattern).toBeNull()
+    expect(createCoverSpec({ bgPattern: 'grid' }, size).background.pattern).toEqual({
+      kind: 'grid',
+      color: '#ffffff',
+      opacity: 0.15,
+      size: 24
+    })
+  })
+})
+
+describe('背景图裁剪与调色', () => {
+  const image = { width: 2000, height: 1000 }
+  const adjust = { brightness: 1, contrast: 1, saturation: 1, grayscale: 0 }
+  const crop = (x: number, y: number, zoom = 1) => ({ focus: { x, y }, zoom })
+
+  it('焦点尽量位于画布中央，且图片始终铺满画布', () => {
+    // 竖版画布只能看到宽图的一部分
+    expect(coverImageRect(image, crop(0.5, 0.5), 600, 800)).toEqual({ x: -500, y: 0, width: 1600, height: 800 })
+    expect(coverImageRect(image, crop(0.25, 0.5), 600, 800).x).toBe(-100)
+    expect(coverImageRect(image, crop(0, 0.5), 600, 800).x).toBe(0)
+    expect(coverImageRect(image, crop(1, 0.5), 600, 800).x).toBe(-1000)
+  })
+
+  it('放大后焦点附近的区域可见', () => {
+    const rect = coverImageRect(image, crop(0.5, 0.25, 2), 1200, 630)
+    expect(rect.width).toBe(2520)
+    expect(rect.height).toBe(1260)
+    expect(rect.y).toBe(0)
+  })
+
+  it('调色与双色调转换为滤镜', () => {
+    const spec = { src: 'a.png', ...crop(0.5, 0.5), adjust, duotone: null }
+    expect(imageFilter(spec, 0)).toBe('none')
+    expect(imageFilter({ ...spec, adjust: { ...adjust, brightness: 1.2, saturation: 0.5 } }, 4)).toBe(
+      'blur(4px) brightness(1.2) saturate(0.5)'
+    )
+    expect(imageFilter({ ...spec, adjust: { ...adjust, saturation: 0.5 }, duotone: ['#000000', '#ffffff'] }, 0)).toBe(
+      'grayscale(1)'
+    )
+  })
+
+  it('SVG 输出中滤镜与双色调的混合', () => {
+    const background = { width: 10, height: 10, src: 'data:image/png;base64,AA==' }
+    const svg = renderToSvg({
+      bgImageUrl: background.src,
+      bgBlur: 0,
+      bgContrast: 150,
+      bgDuotone: ['#112233', '#ffeedd']
+    }, { background })
+    expect(svg).toContain('<feComponentTransfer><feFuncR type="linear" slope="1.5" intercept="-0.25"/>')
+    expect(svg).toContain('<feColorMatrix type="saturate" values="0"/>')
+    expect(svg).toMatch(/mix-blend-mode:multiply"><rect [^>]*fill="#ffeedd"/)
+    expect(svg).toMatch(/mix-blend-mode:lighten"><rect [^>]*fill="#112233"/)
+  })
+})
+
+describe('背景效果', () => {
+  const background = { width: 10, height: 10, src: 'data:image/png;base64,AA==' }
+
+  it('模糊只作用于背景图，遮罩、暗角与颗粒依次绘制在其上', () => {
+    const svg = renderToSvg({
+      text: '',
+      bgImageUrl: background.src,
+      bgBlur: 6,
+      overlayColor: '#ff0000',
+      overlayOpacity: 40,
+      vignette: 50,
+      grain: 30
+    }, { background })
+
+    const image = svg.indexOf('<image ')
+    const overlay = svg.indexOf('<g opacity="0.4"><rect x="0" y="0" width="1200" height="630" fill="#ff0000"/>')
+    const vignette = svg.search(/<rect [^>]*fill="url\(#g\d+\)"/)
+    const grain = svg.indexOf('fill="#ffffff"', vignette)
+    expect(svg).toMatch(/<g filter="url\(#f\d+\)"><image [^>]*\/><\/g>/)
+    expect(image).toBeGreaterThan(-1)
+    expect(overlay).toBeGreaterThan(image)
+    expect(vignette).toBeGreaterThan(overlay)
+    expect(grain).toBeGreaterThan(vignette)
+    expect(svg).toContain('stop-color="rgba(0, 0, 0, 0.425)"')
+  })
+
+  it('模糊时图片向外铺出，画布边缘不透出底色', () => {
+    const svg = renderToSvg({ bgImageUrl: background.src, bgBlur: 5 }, { background })
+    expect(svg).toMatch(/<image [^>]*x="-10" y="-\d+(\.\d+)?" width="1220"/)
+  })
+
+  it('未开启时不绘制任何效果', () => {
+    const svg = renderToSvg({ text: '', bgGradient: null, overlayOpacity: 0 })
+    expect(svg).not.toContain('<radialGradient')
+    expect(svg).not.toContain('<path')
+  })
+})
@@ -0,0 +1,297 @@
+/**
+ * 背景填充：线性、径向、锥形与多点网格渐变，圆点、网格、噪点图案，背景图的裁剪与调色，
+ * 以及背景之上的遮罩、暗角与颗粒
+ * 只使用 RenderContext 的基础能力（渐变、路径、CSS 滤镜与混合模式），浏览器画布与 SVG 画布绘制结果一致
+ */
+
+import { blendColors, parseHexColor, toHexColor, withAlpha } from '../utils/color'
+import { createRandom } from '../utils/random'
+import type {
+  BackgroundImageSpec,
+  CoverSpec,
+  GradientSpec,
+  PatternSpec,
+  RenderContext,
+  RenderGradient,
+  RenderImage
+} from './types'
+
+/** 锥形渐变拆分的扇形数，SVG 没有锥形渐变，用纯色扇形拼接 */
+const CONIC_SEGMENTS = 120
+/** 噪点图案与颗粒的随机种子，固定以保证各端渲染一致 */
+const NOISE_SEED = 0x5eed
+const GRAIN_SEED = 0x9a1
+/** 噪点最多的方块数，限制 SVG 输出的体积 */
+const MAX_NOISE_DOTS = 6000
+
+function addStops(gradient: RenderGradient, colors: string[]): void {
+  colors.forEach((color, i) => gradient.addColorStop(i / (colors.length - 1), color))
+}
+
+// 在均匀分布的色标之间取色；无法解析的颜色不做插值，取较近的色标
+function colorAt(colors: string[], t: number): string {
+  const position = Math.min(1, Math.max(0, t)) * (colors.length - 1)
+  const index = Math.min(colors.length - 2, Math.floor(position))
+  const local = position - index
+  const a = parseHexColor(colors[index])
+  const b = parseHexColor(colors[index + 1])
+  if (!a || !b) return local < 0.5 ? colors[index] : colors[index + 1]
+  return toHexColor(blendColors(b, a, local))
+}
+
+/**
+ * 角度方向上覆盖整个画布的渐变线端点
+ * 在按画布宽高归一化的坐标中计算，135° 恰好是从左上角到右下角的对角线
+ */
+export function gradientLine(angle: number, width: number, height: number) {
+  const radians = (angle * Math.PI) / 180
+  const dx = Math.sin(radians)
+  const dy = -Math.cos(radians)
+  const half = (Math.abs(dx) + Math.abs(dy)) / 2
+  return {
+    x0: (0.5 - dx * half) * width,
+    y0: (0.5 - dy * half) * height,
+    x1: (0.5 + dx * half) * width,
+    y1: (0.5 + dy * half) * height
+  }
+}
+
+function fillConic(ctx: RenderContext, gradient: GradientSpec, width: number, height: number): void {
+  const cx = width / 2
+  const cy = height / 2
+  const radius = Math.hypot(width, height)
+  // CSS 锥形渐变从正上方顺时针开始
+  const start = ((gradient.angle - 90) * Math.PI) / 180
+  const step = (Math.PI * 2) / CONIC_SEGMENTS
+  // 首尾相接：最后一个色标回到第一个颜色
+  const colors = [...gradient.colors, gradient.colors[0]]
+
+  for (let i = 0; i < CONIC_SEGMENTS; i++) {
+    const from = start + i * step
+    ctx.fillStyle = colorAt(colors, (i + 0.5) / CONIC_SEGMENTS)
+    ctx.beginPath()
+    ctx.moveTo(cx, cy)
+    // 相邻扇形略微重叠，避免抗锯齿产生的缝隙
+    ctx.arc(cx, cy, radius, from, from + step * 1.05)
+    ctx.closePath()
+    ctx.fill()
+  }
+}
+
+// 首个颜色铺底，其余颜色作为向外渐隐的光斑分布在以画布中心为圆心的椭圆上
+function fillMesh(ctx: RenderContext, gradient: GradientSpec, width: number, height: number): void {
+  const [base, ...spots] = gradient.colors
+  ctx.fillStyle = base
+  ctx.fillRect(0, 0, width, height)
+
+  const radius = Math.max(width, height) * 0.75
+  spots.forEach((color, i) => {
+    // 与线性渐变一致：第一个光斑位于角度所指的方向
+    const angle = ((gradient.angle - 90) * Math.PI) / 180 + (i / spots.length) * Math.PI * 2
+    const x = width / 2 + (Math.cos(angle) * width) / 2
+    const y = height / 2 + (Math.sin(angle) * height) / 2
+    const spot = ctx.createRadialGradient(x, y, 0, x, y, radius)
+    spot.addColorStop(0, color)
+    // 无法加透明度的颜色（如颜色名）渐隐到透明
+    const clear = withAlpha(color, 0)
+    spot.addColorStop(1, clear === color ? 'transparent' : clear)
+    ctx.fillStyle = spot
+    ctx.fillRect(0, 0, width, height)
+  })
+}
+
+/**
+ * 用渐变填满画布
+ */
+export function fillGradient(ctx: RenderContext, gradient: GradientSpec, width: number, height: number): void {
+  switch (gradient.type) {
+    case 'conic':
+      fillConic(ctx, gradient, width, height)
+      return
+    case 'mesh':
+      fillMesh(ctx, gradient, width, height)
+      return
+    case 'radial': {
+      const fill = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2)
+      addStops(fill, gradient.colors)
+      ctx.fillStyle = fill
+      break
+    }
+    default: {
+      const { x0, y0, x1, y1 } = gradientLine(gradient.angle, width, height)
+      const fill = ctx.createLinearGradient(x0, y0, x1, y1)
+      addStops(fill, gradient.colors)
+      ctx.fillStyle = fill
+    }
+  }
+  ctx.fillRect(0, 0, width, height)
+}
+
+/**
+ * 绘制重复图案；同一种图案合并为少量路径，SVG 输出不会因图案而膨胀
+ */
+export function drawPattern(ctx: RenderContext, pattern: PatternSpec, width: number, height: number): void {
+  const { size } = pattern
+  ctx.save()
+  ctx.fillStyle = pattern.color
+  ctx.globalAlpha *= pattern.opacity
+
+  if (pattern.kind === 'dots') {
+    const radius = Math.max(1, size * 0.12)
+    ctx.beginPath()
+    for (let y = size / 2; y < height; y += size) {
+      for (let x = size / 2; x < width; x += size) {
+        ctx.moveTo(x + radius, y)
+        ctx.arc(x, y, radius, 0, Math.PI * 2)
+        ctx.closePath()
+      }
+    }
+    ctx.fill()
+  } else if (pattern.kind === 'grid') {
+    const line = Math.max(1, size / 24)
+    ctx.beginPath()
+    for (let x = size; x < width; x += size) ctx.rect(x - line / 2, 0, line, height)
+    for (let y = size; y < height; y += size) ctx.rect(0, y - line / 2, width, line)
+    ctx.fill()
+  } else {
+    const dot = Math.max(1, size / 12)
+    fillNoise(ctx, NOISE_SEED, dot, Math.round((width * height) / (dot * dot) / 12), width, height)
+  }
+
+  ctx.restore()
+}
+
+// 随机分布的小方块，按不透明度分成几档，每档一条路径；使用当前的 fillStyle
+function fillNoise(ctx: RenderContext, seed: number, dot: number, count: number, width: number, height: number): void {
+  const random = createRandom(seed)
+  const paths: [number, number][][] = [[], [], [], []]
+  for (let i = 0; i < Math.min(MAX_NOISE_DOTS, count); i++) {
+    paths[Math.floor(random() * paths.length)].push([random() * width, random() * height])
+  }
+  const alpha = ctx.globalAlpha
+  paths.forEach((points, level) => {
+    ctx.globalAlpha = alpha * ((level + 1) / paths.length)
+    ctx.beginPath()
+    points.forEach(([x, y]) => ctx.rect(x, y, dot, dot))
+    ctx.fill()
+  })
+  ctx.globalAlpha = alpha
+}
+
+/**
+ * 背景之上的效果：纯色遮罩 → 暗角 → 颗粒
+ * 颗粒最后绘制，不会被遮罩冲淡；模糊只作用于背景图，不影响这些效果
+ */
+export function drawBackgroundEffects(
+  ctx: RenderContext,
+  overlay: CoverSpec['overlay'],
+  width: number,
+  height: number
+): void {
+  ctx.save()
+
+  if (overlay.opacity > 0) {
+    ctx.globalAlpha = overlay.opacity
+    ctx.fillStyle = overlay.color
+    ctx.fillRect(0, 0, width, height)
+    ctx.globalAlpha = 1
+  }
+
+  if (overlay.vignette > 0) {
+    const cx = width / 2
+    const cy = height / 2
+    const radius = Math.hypot(width, height) / 2
+    // 强度越大，暗角向中心延伸得越多
+    const vignette = ctx.createRadialGradient(cx, cy, radius * (0.75 - overlay.vignette * 0.45), cx, cy, radius)
+    vignette.addColorStop(0, 'rgba(0, 0, 0, 0)')
+    vignette.addColorStop(1, `rgba(0, 0, 0, ${Math.min(1, overlay.vignette * 0.85)})`)
+    ctx.fillStyle = vignette
+    ctx.fillRect(0, 0, width, height)
+  }
+
+  if (overlay.grain > 0) {
+    // 亮、暗两种颗粒各一组，平均亮度基本不变
+    const count = Math.round((width * height) / 48)
+    ctx.globalAlpha = overlay.grain * 0.5
+    ctx.fillStyle = '#ffffff'
+    fillNoise(ctx, GRAIN_SEED, 1.5, count, width, height)
+    ctx.fillStyle = '#000000'
+    fillNoise(ctx, GRAIN_SEED + 1, 1.5, count, width, height)
+  }
+
+  ctx.restore()
+}
+
+/**
+ * 背景图的绘制区域：铺满画布后按 zoom 放大，让焦点尽量落在画布中央，且不露出画布边缘
+ */
+export function coverImageRect(
+  image: Pick<RenderImage, 'width' | 'height'>,
+  crop: Pick<BackgroundImageSpec, 'focus' | 'zoom'>,
+  width: number,
+  height: number
+) {
+  const scale = Math.max(width / image.width, height / image.height) * Math.max(1, crop.zoom)
+  const drawWidth = image.width * scale
+  const drawHeight = image.height * scale
+  const place = (size: number, drawSize: number, focus: number) =>
+    Math.min(0, Math.max(size - drawSize, size / 2 - focus * drawSize))
+  return {
+    x: place(width, drawWidth, crop.focus.x),
+    y: place(height, drawHeight, crop.focus.y),
+    width: drawWidth,
+    height: drawHeight
+  }
+}
+
+/**
+ * 背景图的 CSS 滤镜；双色调需要先去色，此时忽略饱和度
+ */
+export function imageFilter(image: BackgroundImageSpec, blur: number): string {
+  const { brightness, contrast, saturation, grayscale } = image.adjust
+  const filters: string[] = []
+  if (blur > 0) filters.push(`blur(${blur}px)`)
+  if (brightness !== 1) filters.push(`brightness(${brightness})`)
+  if (contrast !== 1) filters.push(`contrast(${contrast})`)
+  if (image.duotone) {
+    filters.push('grayscale(1)')
+  } else {
+    if (saturation !== 1) filters.push(`saturate(${saturation})`)
+    if (grayscale > 0) filters.push(`grayscale(${grayscale})`)
+  }
+  return filters.length ? filters.join(' ') : 'none'
+}
+
+/**
+ * 绘制裁剪、调色后的背景图；blur 为逻辑像素，ratio 为导出倍率
+ * 模糊时图片向外多铺出两倍模糊半径，避免画布边缘透出底色
+ * 双色调：去色后以亮部颜色正片叠底、再以暗部颜色变亮，黑色映射为暗部颜色、白色映射为亮部颜色
+ */
+export function drawBackgroundImage(
+  ctx: RenderContext,
+  img: RenderImage,
+  image: BackgroundImageSpec,
+  blur: number,
+  width: number,
+  height: number,
+  ratio = 1
+): void {
+  const rect = coverImageRect(img, image, width, height)
+  const bleed = blur * 2
+  ctx.save()
+  ctx.filter = imageFilter(image, blur * ratio)
+  ctx.drawImage(img, rect.x - bleed, rect.y - bleed, rect.width + bleed * 2, rect.height + bleed * 2)
+  ctx.restore()
+
+  if (image.duotone) {
+    const [shadow, highlight] = image.duotone
+    ctx.save()
+    ctx.globalCompositeOperation = 'multiply'
+    ctx.fillStyle = highlight
+    ctx.fillRect(0, 0, width, height)
+    ctx.globalCompositeOperation = 'lighten'
+    ctx.fillStyle = shadow
+    ctx.fillRect(0, 0, width, height)
+    ctx.restore()
+  }
+}
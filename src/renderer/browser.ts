@@ -0,0 +1,130 @@
+/**
+ * 浏览器端渲染辅助：离屏画布与图片加载
+ */
+
+import { drawBackgroundLayer, loadCoverAssets, renderCover } from './engine'
+import { createSvgCanvas, loadSvgImage, type SvgCanvas, type SvgCanvasOptions } from './svgCanvas'
+import type { ElementBox } from './layout'
+import type { CoverSpec, RenderSurface } from './types'
+
+const imageCache = new Map<string, Promise<HTMLImageElement>>()
+
+export function createBrowserCanvas(width: number, height: number): RenderSurface {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+/**
+ * 加载图片，同一地址只加载一次
+ */
+export function loadBrowserImage(src: string): Promise<HTMLImageElement> {
+  const cached = imageCache.get(src)
+  if (cached) return cached
+
+  const promise = new Promise<HTMLImageElement>((resolve, reject) => {
+    const img = new Image()
+    img.crossOrigin = 'anonymous'
+    img.onload = () => resolve(img)
+    img.onerror = reject
+    img.src = src
+  })
+  promise.catch(() => imageCache.delete(src))
+  imageCache.set(src, promise)
+  return promise
+}
+
+/**
+ * 在新的画布上渲染完整封面，画布尺寸为逻辑尺寸 × scale，用于按导出倍率输出
+ */
+export async function renderBrowserCover(spec: CoverSpec, scale = 1): Promise<HTMLCanvasElement> {
+  const assets = await loadCoverAssets(spec, loadBrowserImage)
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(spec.width * scale)
+  canvas.height = Math.round(spec.height * scale)
+  const ctx = canvas.getContext('2d')
+  if (!ctx) throw new Error('Failed to get 2d context')
+  renderCover(ctx, spec, assets, { createCanvas: createBrowserCanvas, scale })
+  return canvas
+}
+
+/**
+ * 以矢量形式渲染封面，图片内联为 data URL，便于在设计软件中继续编辑
+ */
+export async function renderBrowserSvg(spec: CoverSpec): Promise<SvgCanvas> {
+  const assets = await loadCoverAssets(spec, loadSvgImage)
+
+  // 用真实画布测量文字宽度，使折行与预览一致；拿不到 2D 上下文时使用估算宽度
+  const measureCtx = document.createElement('canvas').getContext('2d')
+  const options: SvgCanvasOptions = measureCtx
+    ? {
+        measureText: (text, font) => {
+          measureCtx.font = font
+          return measureCtx.measureText(text).width
+        }
+      }
+    : {}
+  const canvas = createSvgCanvas(spec.width, spec.height, options)
+  renderCover(canvas.getContext('2d'), spec, assets, {
+    createCanvas: (width, height) => createSvgCanvas(width, height, options)
+  })
+  return canvas
+}
+
+// 逻辑坐标的区域换算为缩小后画布上的像素范围，至少 1 像素且不越界
+function pixelRegion(region: ElementBox, ratio: number, width: number, height: number) {
+  const x = Math.min(width - 1, Math.max(0, Math.floor(region.x * ratio)))
+  const y = Math.min(height - 1, Math.max(0, Math.floor(region.y * ratio)))
+  return {
+    x,
+    y,
+    w: Math.max(1, Math.min(width - x, Math.ceil(region.width * ratio))),
+    h: Math.max(1, Math.min(height - y, Math.ceil(region.height * ratio)))
+  }
+}
+
+/**
+ * 缩小绘制背景层（含裁剪、缩放、滤镜与模糊，不含遮罩），读取各区域（逻辑坐标）内的像素
+ * 与封面上实际可见的背景一致；遮罩由调用方按颜色与不透明度计算，暗角与颗粒照常绘制
+ * 图片跨域未授权或拿不到 2D 上下文时返回 null
+ */
+export async function sampleCoverRegions(
+  spec: CoverSpec,
+  regions: ElementBox[],
+  resolution = 256
+): Promise<Uint8ClampedArray[] | null> {
+  const image = spec.background.image
+  const assets = image ? { background: await loadBrowserImage(image.src) } : {}
+  const ratio = Math.min(1, resolution / Math.max(spec.width, spec.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(spec.width * ratio))
+  canvas.height = Math.max(1, Math.round(spec.height * ratio))
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  if (!ctx) return null
+
+  ctx.scale(ratio, ratio)
+  drawBackgroundLayer(ctx, { ...spec, overlay: { ...spec.overlay, opacity: 0 } }, assets, { scale: ratio })
+
+  try {
+    return regions.map(region => {
+      const { x, y, w, h } = pixelRegion(region, ratio, canvas.width, canvas.height)
+      return ctx.getImageData(x, y, w, h).data
+    })
+  } catch (error) {
+    console.warn('Failed to read background pixels:', error)
+    return null
+  }
+}
+
+/**
+ * 读取单个区域的背景像素，用于检查文字对比度
+ */
+export async function sampleCoverBackground(
+  spec: CoverSpec,
+  region: ElementBox,
+  resolution = 256
+): Promise<Uint8ClampedArray | null> {
+  const samples = await sampleCoverRegions(spec, [region], resolution)
+  return samples ? samples[0] : null
+}
@@ -0,0 +1,285 @@
+import { describe, it, expect } from 'vitest'
+import { coverFileName, createCoverSpec, createLayer, renderCover, wrapText, createSvgCanvas, DEFAULT_LAYERS } from './index'
+
+const size = { width: 1200, height: 630 }
+
+function renderToSvg(state: Parameters<typeof createCoverSpec>[0], assets = {}): string {
+  const spec = createCoverSpec(state, size)
+  const canvas = createSvgCanvas(size.width, size.height)
+  renderCover(canvas.getContext('2d'), spec, assets, { createCanvas: createSvgCanvas })
+  return canvas.toSVG()
+}
+
+describe('createCoverSpec', () => {
+  it('未提供的字段使用默认值', () => {
+    const spec = createCoverSpec({ text: '标题' }, size)
+    expect(spec.title.text).toBe('标题')
+    expect(spec.title.fontSize).toBe(200)
+    expect(spec.overlay.opacity).toBeCloseTo(0.3)
+    expect(spec.icon).toBeNull()
+  })
+
+  it('表单传入的字符串数值会被转换', () => {
+    const spec = createCoverSpec({ overlayOpacity: '50' as unknown as number, bgBlur: '8' as unknown as number }, size)
+    expect(spec.overlay.opacity).toBe(0.5)
+    expect(spec.background.blur).toBe(8)
+  })
+
+  it('未经校验的字段不会让渲染报错', () => {
+    const state = {
+      text: 123,
+      subtitle: null,
+      watermark: 7,
+      textAlign: 'justify',
+      textGradient: ['#fff'],
+      positions: { title: { x: 'a', y: 0.5 }, icon: { x: 2, y: -1 } },
+      layers: [{ id: 'a', kind: 'text' }, null, ...DEFAULT_LAYERS]
+    } as unknown as Parameters<typeof createCoverSpec>[0]
+    const spec = createCoverSpec(state, size)
+    expect(spec.title.text).toBe('123')
+    expect(spec.subtitle.text).toBe('')
+    expect(spec.watermark?.text).toBe('7')
+    expect(spec.align).toBe('center')
+    expect(spec.title.gradient).toBeNull()
+    expect(spec.positions.title).toBeNull()
+    expect(spec.positions.icon).toEqual({ x: 1, y: 0 })
+    expect(spec.layers.map(l => l.id)).toEqual(DEFAULT_LAYERS.map(l => l.id))
+
+    const canvas = createSvgCanvas(size.width, size.height)
+    renderCover(canvas.getContext('2d'), spec, {}, { createCanvas: createSvgCanvas })
+    expect(canvas.toSVG()).not.toContain('NaN')
+    expect(createCoverSpec({ layers: 'nope' } as unknown as Parameters<typeof createCoverSpec>[0], size).layers).toHaveLength(
+      DEFAULT_LAYERS.length
+    )
+  })
+})
+
+describe('coverFileName', () => {
+  it('使用标题作为文件名', () => {
+    expect(coverFileName('我的封面', 'webp')).toBe('我的封面.webp')
+  })
+
+  it('jpeg 使用 jpg 扩展名，倍率大于 1 时追加后缀', () => {
+    expect(coverFileName('Hello World', 'jpeg', 2)).toBe('Hello-World@2x.jpg')
+  })
+
+  it('去除文件名中不允许的字符', () => {
+    expect(coverFileName('a/b:c*d?', 'png')).toBe('a-b-c-d.png')
+    expect(coverFileName('...hidden', 'png')).toBe('hidden.png')
+    expect(coverFileName('a\u0000\tb', 'png')).toBe('a-b.png')
+  })
+
+  it('标题为空时使用 cover', () => {
+    expect(coverFileName('  ', 'avif', 3)).toBe('cover@3x.avif')
+  })
+
+  it('去掉标题中的标记', () => {
+    expect(coverFileName('**前端** ==周刊==', 'png')).toBe('前端-周刊.png')
+  })
+
+  it('过长的标题被截断', () => {
+    expect(coverFileName('长'.repeat(100), 'png')).toBe(`${'长'.repeat(60)}.png`)
+  })
+})
+
+describe('wrapText', () => {
+  it('保留显式换行并按宽度折行', () => {
+    const ctx = createSvgCanvas(100, 100).getContext('2d')
+    ctx.font = '10px sans-serif'
+    const lines = wrapText(ctx, '一二三四五六\n七', 30)
+    expect(lines).toEqual(['一二三', '四五六', '七'])
+  })
+
+  it('使用画布提供的测量函数', () => {
+    const ctx = createSvgCanvas(100, 100, { measureText: text => text.length * 20 }).getContext('2d')
+    expect(wrapText(ctx, 'abcd', 50)).toEqual(['ab', 'cd'])
+  })
+
+  it('英文按单词折行，中英混排时单词不拆开', () => {
+    const ctx = createSvgCanvas(100, 100, { measureText: text => text.length * 10 }).getContext('2d')
+    expect(wrapText(ctx, 'hello big world', 100)).toEqual(['hello big', 'world'])
+    expect(wrapText(ctx, '学习TypeScript', 100)).toEqual(['学习', 'TypeScript'])
+  })
+
+  it('末行只剩一个字时从上一行移下一个字', () => {
+    const ctx = createSvgCanvas(100, 100, { measureText: text => text.length * 10 }).getContext('2d')
+    expect(wrapText(ctx, '一二三四五', 40)).toEqual(['一二三', '四五'])
+  })
+})
+
+describe('SvgCanvas.toSVG', () => {
+  it('在 defs 中引用样式表', () => {
+    const svg = createSvgCanvas(10, 10).toSVG(['https://example.com/font.css?a=1&b=2'])
+    expect(svg).toContain('<defs><style>@import url("https://example.com/font.css?a=1&amp;b=2");</style></defs>')
+  })
+
+  it('没有样式表与定义时不输出 defs', () => {
+    expect(createSvgCanvas(10, 10).toSVG()).not.toContain('<defs>')
+  })
+})
+
+describe('renderCover', () => {
+  it('绘制主标题、副标题与水印', () => {
+    const svg = renderToSvg({ text: '主标题', subtitle: '副标题', watermark: '@水印' })
+    expect(svg).toContain('>主标题</text>')
+    expect(svg).toContain('>副标题</text>')
+    expect(svg).toContain('>@水印</text>')
+  })
+
+  it('描边绘制在文字填充之下', () => {
+    const svg = renderToSvg({ text: '标题', textStrokeWidth: 4, textStrokeColor: '#112233' })
+    const stroke = svg.indexOf('stroke="#112233" stroke-width="8" stroke-linejoin="round"')
+    expect(stroke).toBeGreaterThan(-1)
+    expect(svg.indexOf('fill="#ffffff"', stroke)).toBeGreaterThan(stroke)
+    expect(renderToSvg({ text: '标题' })).not.toContain('stroke-linejoin')
+  })
+
+  it('标题中的标记按样式片段绘制', () => {
+    const svg = renderToSvg({ text: '学 **Vue** ==3==', highlightColor: '#fbbf24' })
+    expect(svg).not.toContain('**')
+    expect(svg).toMatch(/font-weight="900"[^>]*>Vue<\/text>/)
+    expect(svg).toMatch(/<text x="[\d.]+" y="[\d.]+" fill="#fbbf24"[^>]*>3<\/text>/)
+    expect(svg).not.toContain('text-anchor')
+  })
+
+  it('文字效果：底框、发光、投影与渐变填充依次绘制', () => {
+    const svg = renderToSvg({
+      text: '标题',
+      textBoxOpacity: 50,
+      textBoxColor: '#123456',
+      textGlowSize: 10,
+      textGlowColor: '#00ffff',
+      text3D: 4,
+      textShadowColor: '#ff0000',
+      textShadowOpacity: 50,
+      textShadowOffsetX: -1,
+      textGradient: ['#ffffff', '#fbbf24']
+    })
+    expect(svg).toMatch(/<g opacity="0.5"><path [^>]*fill="#123456"/)
+    const glow = /<filter id="(s\d+)"[^>]*><feDropShadow dx="0" dy="0" stdDeviation="5" flood-color="#00ffff"/.exec(svg)
+    const shadow = /<filter id="(s\d+)"[^>]*><feDropShadow dx="-4" dy="4" stdDeviation="1" flood-color="rgba\(255, 0, 0, 0.5\)"/.exec(svg)
+    expect(glow && shadow).toBeTruthy()
+
+    // 底框在最下面，先画发光，再画带投影的文字
+    const backdrop = svg.indexOf('fill="#123456"')
+    const glowText = svg.indexOf(`<g filter="url(#${glow![1]})"><text`)
+    const shadowText = svg.indexOf(`<g filter="url(#${shadow![1]})"><text`)
+    expect(backdrop).toBeGreaterThan(-1)
+    expect(glowText).toBeGreaterThan(backdrop)
+    expect(shadowText).toBeGreaterThan(glowText)
+    expect(svg).toMatch(/<linearGradient [^>]*x1="0" y1="[\d.]+" x2="0"[^>]*><stop offset="0" stop-color="#ffffff"\/>/)
+    expect(renderToSvg({ text: '标题' })).not.toContain('filter')
+  })
+
+  it('没有背景图片时使用渐变，背景色模式下使用纯色', () => {
+    expect(renderToSvg({ text: 'a' })).toContain('<linearGradient')
+    const svg = renderToSvg({ text: 'a', bgGradient: null, bgColor: '#123456' })
+    expect(svg).not.toContain('<linearGradient')
+    expect(svg).toContain('fill="#123456"')
+  })
+
+  it('模糊只作用于背景图片', () => {
+    const background = { width: 10, height: 10, src: 'data:image/png;base64,AA==' }
+    const svg = renderToSvg({ text: 'a', bgImageUrl: background.src, bgBlur: 6 }, { background })
+    expect(svg).toMatch(/<g filter="url\(#f\d+\)"><image /)
+    expect(svg).toContain('stdDeviation="6"')
+  })
+
+  it('文字绘制在拖动后的位置', () => {
+    const positions = { title: { x: 0.25, y: 0.75 }, subtitle: null, icon: null, watermark: null }
+    const svg = renderToSvg({ text: '标题', textAlign: 'center', positions })
+    expect(svg).toMatch(/<text x="300" y="472.5"[^>]*>标题<\/text>/)
+  })
+
+  it('按图层顺序绘制，跳过隐藏图层并应用透明度与混合模式', () => {
+    const badge = createLayer('shape', { id: 'badge', fill: '#ff0000', opacity: 0.5, blendMode: 'multiply' })
+    const note = createLayer('text', { id: 'note', text: '限时' })
+    const layers = [
+      ...DEFAULT_LAYERS.map(l => (l.id === 'watermark' ? { ...l, visible: false } : l)),
+      badge,
+      note
+    ]
+    const svg = renderToSvg({ text: '主标题', watermark: '@水印', layers })
+
+    expect(svg).not.toContain('@水印')
+    expect(svg).toMatch(/<g opacity="0.5" style="mix-blend-mode:multiply"><path [^>]*fill="#ff0000"/)
+    expect(svg.indexOf('>主标题<')).toBeLessThan(svg.indexOf('#ff0000'))
+    expect(svg.indexOf('#ff0000')).toBeLessThan(svg.indexOf('>限时<'))
+  })
+
+  it('图标按形状裁剪并绘制底色与边框', () => {
+    const icon = { width: 10, height: 10, src: 'data:image/png;base64,AA==' }
+    const state = { text: 'a', squareImageUrl: icon.src, iconBgSize: 5, iconColor: '#abcdef' }
+    const circle = renderToSvg({ ...state, iconShape: 'circle', iconBorderWidth: 4, iconBorderColor: '#fedcba' }, { icon })
+    expect(circle).toContain('<clipPath')
+    expect(circle).toContain('fill="#abcdef"')
+    expect(circle).toMatch(/stroke="#fedcba"[^>]*stroke-width="4"/)
+
+    const none = renderToSvg({ ...state, iconShape: 'none', iconBorderWidth: 4 }, { icon })
+    expect(none).not.toContain('<clipPath')
+    expect(none).not.toContain('#abcdef')
+  })
+
+  it('emoji 图标按文字绘制在图标中央', () => {
+    const svg = renderToSvg({ text: 'a', iconSource: 'emoji', iconEmoji: '🚀', squareSize: 200 })
+    expect(svg).toMatch(/<text x="100" y="100"[^>]*>🚀<\/text>/)
+    expect(renderToSvg({ text: 'a', iconSource: 'emoji', iconEmoji: '★', iconGlyphColor: '#ff00ff' })).toMatch(
+      /<text [^>]*fill="#ff00ff"[^>]*>★<\/text>/
+    )
+    expect(renderToSvg({ text: 'a', iconSource: 'emoji', iconEmoji: ' ' })).not.toContain('<clipPath')
+  })
+
+  it('API 传入的非字符串图标字段不会报错', () => {
+    const state = (fields: object) => ({ text: 'a', ...fields }) as Parameters<typeof createCoverSpec>[0]
+    expect(createCoverSpec(state({ iconSource: 'emoji', iconEmoji: null }), size).icon).toBeNull()
+    expect(createCoverSpec(state({ iconSource: 'emoji', iconEmoji: 1 }), size).icon?.emoji).toBe('1')
+    expect(createCoverSpec(state({ iconSource: 'iconify', iconName: 5, iconGlyphColor: null }), size).icon).toBeNull()
+  })
+
+  it('Iconify 图标转为 SVG data URL', () => {
+    const spec = createCoverSpec({ text: 'a', iconSource: 'iconify', iconName: 'ic:baseline-star' }, size)
+    expect(spec.icon?.image).toMatch(/^data:image\/svg\+xml;base64,/)
+    expect(spec.icon?.glyph).toBe(true)
+    expect(createCoverSpec({ text: 'a', iconSource: 'iconify', iconName: 'ic:missing' }, size).icon).toBeNull()
+  })
+
+  it('水印按不透明度绘制文字与 Logo', () => {
+    const logo = { width: 20, height: 10, src: 'data:image/png;base64,AA==' }
+    const spec = createCoverSpec(
+      { text: 'a', watermark: '@水印', watermarkSize: 24, watermarkOpacity: 50, watermarkImageUrl: logo.src, watermarkImageSize: 40 },
+      size
+    )
+    const canvas = createSvgCanvas(size.width, size.height)
+    renderCover(canvas.getContext('2d'), spec, { watermark: logo }, { createCanvas: createSvgCanvas })
+    const svg = canvas.toSVG()
+
+    expect(svg).toMatch(/<g opacity="0.5"><image [^>]*y="580" width="40" height="20"/)
+    expect(svg).toMatch(/font-size="24"[^>]*>@水印<\/text>/)
+  })
+
+  it('二维码水印为白底深色模块，平铺时旋转后铺满画布', () => {
+    const state = { text: 'a', watermark: '', watermarkQrUrl: 'https://example.com' }
+    const svg = renderToSvg(state)
+    // 版本 2 共 25 个模块，加静区 29 个，每个模块不小于 3px
+    expect(svg).toMatch(/<rect [^>]*width="87" height="87" fill="#ffffff"/)
+    expect(svg.match(/<path [^>]*fill="#000000"/g)).toHaveLength(1)
+
+    const tiled = renderToSvg({ text: 'a', watermark: '@水印', watermarkPosition: 'tiled' })
+    expect(tiled.match(/>@水印<\/text>/g)!.length).toBeGreaterThan(20)
+    expect(tiled).toContain('transform="matrix(0.866 -0.5 0.5 0.866 600 315)"')
+    expect(renderToSvg({ text: 'a', watermark: '', watermarkQrUrl: ' ' })).not.toMatch(/<rect [^>]*fill="#ffffff"/)
+  })
+
+  it('按导出倍率放大坐标、阴影与模糊', () => {
+    const background = { width: 10, height: 10, src: 'data:image/png;base64,AA==' }
+    const spec = createCoverSpec({ text: '标题', text3D: 4, bgImageUrl: background.src, bgBlur: 6 }, size)
+    const canvas = createSvgCanvas(size.width * 2, size.height * 2)
+    renderCover(canvas.getContext('2d'), spec, { background }, { createCanvas: createSvgCanvas, scale: 2 })
+    const svg = canvas.toSVG()
+
+    expect(svg).toContain('width="2400" height="1260"')
+    expect(svg).toContain('stdDeviation="12"')
+    expect(svg).toContain('dx="8" dy="8" stdDeviation="2"')
+    expect(svg).toMatch(/font-size="200"[^>]*transform="matrix\(2 0 0 2 0 0\)">标题/)
+  })
+})
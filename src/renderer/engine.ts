@@ -0,0 +1,546 @@
+/**
+ * 封面渲染引擎
+ * 根据 CoverSpec 在任意 2D 上下文上绘制封面，浏览器预览、分层渲染器和服务端 API 共用
+ */
+
+import { drawBackgroundEffects, drawBackgroundImage, drawPattern, fillGradient } from './background'
+import { blendOperation } from './layers'
+import {
+  computeLayout,
+  elementBox,
+  lineWidth,
+  measureWatermark,
+  textLayerFont,
+  watermarkFont,
+  TEXT_LAYER_LINE_HEIGHT,
+  QR_QUIET_ZONE,
+  type ElementBox,
+  type LineRun,
+  type WatermarkBlock
+} from './layout'
+import { runFont } from './text'
+import type {
+  CoverAssets,
+  CoverSpec,
+  ImageLayer,
+  IconShape,
+  ImageLoader,
+  Layer,
+  RenderContext,
+  RenderGradient,
+  RenderImage,
+  RenderOptions,
+  ShapeLayer,
+  TextLayer,
+  TextShadow,
+  WatermarkSpec
+} from './types'
+
+/**
+ * 加载封面引用的图片，加载失败时忽略该图片
+ */
+export async function loadCoverAssets(spec: CoverSpec, loadImage: ImageLoader): Promise<CoverAssets> {
+  const load = async (src: string | null | undefined) => {
+    if (!src) return undefined
+    try {
+      return await loadImage(src)
+    } catch (error) {
+      console.error('Failed to load cover image:', error)
+      return undefined
+    }
+  }
+
+  const imageLayers = spec.layers.filter(
+    (layer): layer is ImageLayer => layer.kind === 'image' && layer.visible && !!layer.src
+  )
+  const [background, icon, watermark, ...layerImages] = await Promise.all([
+    load(spec.background.image?.src),
+    load(spec.icon?.image),
+    load(spec.watermark?.image),
+    ...imageLayers.map(layer => load(layer.src))
+  ])
+
+  const layers: Record<string, RenderImage> = {}
+  imageLayers.forEach((layer, i) => {
+    const image = layerImages[i]
+    if (image) layers[layer.id] = image
+  })
+  return { background, icon, watermark, layers }
+}
+
+function pixelRatio(options?: Pick<RenderOptions, 'scale'>): number {
+  return options?.scale ?? 1
+}
+
+/**
+ * 背景层：图片（按焦点裁剪并调色）> 渐变 > 纯色，其上依次是图案、遮罩、暗角与颗粒
+ */
+export function drawBackgroundLayer(
+  ctx: RenderContext,
+  spec: CoverSpec,
+  assets: CoverAssets,
+  options?: Pick<RenderOptions, 'scale'>
+): void {
+  const { width, height, background } = spec
+
+  if (assets.background && background.image) {
+    drawBackgroundImage(ctx, assets.background, background.image, background.blur, width, height, pixelRatio(options))
+  } else if (background.gradient) {
+    fillGradient(ctx, background.gradient, width, height)
+  } else {
+    ctx.fillStyle = background.color
+    ctx.fillRect(0, 0, width, height)
+  }
+
+  if (background.pattern) {
+    drawPattern(ctx, background.pattern, width, height)
+  }
+
+  drawBackgroundEffects(ctx, spec.overlay, width, height)
+}
+
+// 阴影不受画布变换影响，按导出倍率换算
+function applyShadow(ctx: RenderContext, shadow: TextShadow | null, ratio: number): void {
+  if (shadow) {
+    ctx.shadowColor = shadow.color
+    ctx.shadowBlur = shadow.blur * ratio
+    ctx.shadowOffsetX = shadow.offsetX * ratio
+    ctx.shadowOffsetY = shadow.offsetY * ratio
+  } else {
+    ctx.shadowColor = 'transparent'
+    ctx.shadowBlur = 0
+    ctx.shadowOffsetX = 0
+    ctx.shadowOffsetY = 0
+  }
+}
+
+/**
+ * 文字层：默认布局下主标题与副标题作为一个整体垂直居中，拖动后各自定位
+ */
+export function drawTextLayer(
+  ctx: RenderContext,
+  spec: CoverSpec,
+  which: 'title' | 'subtitle',
+  options?: Pick<RenderOptions, 'scale'>
+): void {
+  const layout = computeLayout(ctx, spec)
+
+  const text = spec[which]
+  const block = layout[which]
+  if (!block) return
+
+  const { box, lineHeight } = block
+  const ratio = pixelRatio(options)
+  // 自动缩放后描边、发光与底框随字号等比缩小
+  const scale = text.fontSize > 0 ? block.fontSize / text.fontSize : 1
+
+  const anchor = { left: box.x, center: box.x + box.width / 2, right: box.x + box.width }[spec.align]
+
+  // 单一样式的行按对齐方式直接绘制，不依赖测量精度（SVG 画布只能估算字宽）；
+  // 多个样式片段时按对齐方式算出行首，再从左到右逐个绘制
+  const eachRun = (draw: (run: LineRun, x: number, y: number) => void) => {
+    block.runs.forEach((runs, i) => {
+      const y = box.y + lineHeight * i + lineHeight / 2
+      if (runs.length === 1) {
+        ctx.textAlign = spec.align
+        ctx.font = runFont(text, runs[0], block.fontSize)
+        draw(runs[0], anchor, y)
+        return
+      }
+      const width = lineWidth(runs)
+      const left = box.x + { left: 0, center: (box.width - width) / 2, right: box.width - width }[spec.align]
+      ctx.textAlign = 'left'
+      runs.forEach(run => {
+        ctx.font = runFont(text, run, block.fontSize)
+        draw(run, left + run.x, y)
+      })
+    })
+  }
+
+  let textFill: string | RenderGradient = text.color
+  if (text.gradient) {
+    textFill = ctx.createLinearGradient(0, box.y, 0, box.y + box.height)
+    textFill.addColorStop(0, text.gradient[0])
+    textFill.addColorStop(1, text.gradient[1])
+  }
+  const fill = (run: LineRun, x: number, y: number) => {
+    ctx.fillStyle = run.color ?? (run.highlight ? text.highlightColor : textFill)
+    ctx.fillText(run.text, x, y)
+  }
+
+  ctx.save()
+  ctx.textBaseline = 'middle'
+  ctx.globalAlpha *= text.opacity
+  applyShadow(ctx, null, 1)
+
+  if (text.backdrop) {
+    const padding = text.backdrop.padding * scale
+    ctx.save()
+    ctx.globalAlpha *= text.backdrop.opacity
+    ctx.fillStyle = text.backdrop.color
+    roundedRectPath(
+      ctx,
+      box.x - padding,
+      box.y - padding,
+      box.width + padding * 2,
+      box.height + padding * 2,
+      text.backdrop.radius * scale
+    )
+    ctx.fill()
+    ctx.restore()
+  }
+
+  // 外发光：无偏移的阴影，随文字绘制一遍，之后的绘制覆盖在上面
+  if (text.glow) {
+    applyShadow(ctx, { color: text.glow.color, blur: text.glow.size * scale, offsetX: 0, offsetY: 0 }, ratio)
+    eachRun(fill)
+  }
+
+  applyShadow(ctx, text.shadow, ratio)
+
+  // 描边画在填充之下，线宽加倍使外侧露出设定宽度；投影随描边绘制一次即可
+  if (text.strokeWidth > 0) {
+    ctx.strokeStyle = text.strokeColor
+    ctx.lineWidth = text.strokeWidth * scale * 2
+    ctx.lineJoin = 'round'
+    eachRun((run, x, y) => ctx.strokeText(run.text, x, y))
+    applyShadow(ctx, null, 1)
+  }
+  eachRun(fill)
+  ctx.restore()
+}
+
+function roundedRectPath(ctx: RenderContext, x: number, y: number, width: number, height: number, radius: number): void {
+  const r = Math.max(0, Math.min(radius, width / 2, height / 2))
+  ctx.beginPath()
+  ctx.moveTo(x + r, y)
+  ctx.arcTo(x + width, y, x + width, y + r, r)
+  ctx.arcTo(x + width, y + height, x + width - r, y + height, r)
+  ctx.arcTo(x, y + height, x, y + height - r, r)
+  ctx.arcTo(x, y, x + r, y, r)
+  ctx.closePath()
+}
+
+/** 图标四周留给底色与投影的边距 */
+const ICON_MARGIN = 20
+/** 图标与 emoji 在形状内所占的比例 */
+const GLYPH_SCALE = 0.7
+const EMOJI_FONT = '"Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif'
+/** 超椭圆的指数与采样点数 */
+const SQUIRCLE_EXPONENT = 4
+const SQUIRCLE_POINTS = 64
+
+// 图标形状的路径，start / end 为正方形的两个对角坐标
+function iconShapePath(ctx: RenderContext, shape: IconShape, start: number, end: number, radius: number): void {
+  const size = end - start
+  const center = start + size / 2
+  const half = size / 2
+
+  if (shape === 'circle') {
+    ctx.beginPath()
+    ctx.arc(center, center, half, 0, Math.PI * 2)
+    ctx.closePath()
+  } else if (shape === 'squircle') {
+    ctx.beginPath()
+    for (let i = 0; i < SQUIRCLE_POINTS; i++) {
+      const t = (i / SQUIRCLE_POINTS) * Math.PI * 2
+      const cos = Math.cos(t)
+      const sin = Math.sin(t)
+      const x = center + half * Math.sign(cos) * Math.abs(cos) ** (2 / SQUIRCLE_EXPONENT)
+      const y = center + half * Math.sign(sin) * Math.abs(sin) ** (2 / SQUIRCLE_EXPONENT)
+      if (i === 0) ctx.moveTo(x, y)
+      else ctx.lineTo(x, y)
+    }
+    ctx.closePath()
+  } else if (shape === 'hexagon') {
+    // 顶点朝上
+    ctx.beginPath()
+    for (let i = 0; i < 6; i++) {
+      const angle = -Math.PI / 2 + (i * Math.PI) / 3
+      const x = center + half * Math.cos(angle)
+      const y = center + half * Math.sin(angle)
+      if (i === 0) ctx.moveTo(x, y)
+      else ctx.lineTo(x, y)
+    }
+    ctx.closePath()
+  } else {
+    roundedRectPath(ctx, start, start, size, size, radius)
+  }
+}
+
+/**
+ * 图标层：图片、Iconify 图标或 emoji，按形状裁剪，可选底色与边框，整体带投影并可旋转
+ */
+export function drawIconLayer(ctx: RenderContext, spec: CoverSpec, assets: CoverAssets, options: RenderOptions): void {
+  const icon = spec.icon
+  const image = assets.icon
+  if (!icon || (!image && !icon.emoji)) return
+
+  const box = computeLayout(ctx, spec).icon
+  if (!box) return
+
+  const totalSize = icon.size
+  const start = ICON_MARGIN
+  const end = totalSize - ICON_MARGIN
+  const size = end - start
+  const shaped = icon.shape !== 'none'
+  const { x, y } = box
+
+  const ratio = pixelRatio(options)
+
+  // 先在离屏画布上合成底色、裁剪后的图片与边框，再整体投影；离屏画布按导出倍率放大以保持清晰
+  const temp = options.createCanvas(Math.ceil(totalSize * ratio), Math.ceil(totalSize * ratio))
+  const tempCtx = temp.getContext('2d')
+  if (!tempCtx) return
+  tempCtx.scale(ratio, ratio)
+
+  if (shaped && icon.backgroundPadding > 0) {
+    const padding = icon.backgroundPadding
+    tempCtx.fillStyle = icon.backgroundColor
+    iconShapePath(tempCtx, icon.shape, start - padding, end + padding, icon.radius + padding)
+    tempCtx.fill()
+  }
+
+  tempCtx.save()
+  if (shaped) {
+    iconShapePath(tempCtx, icon.shape, start, end, icon.radius)
+    tempCtx.clip()
+  }
+
+  const content = icon.glyph ? size * GLYPH_SCALE : size
+  const inset = start + (size - content) / 2
+  if (image) {
+    const aspectRatio = image.width / image.height
+    const scaledWidth = aspectRatio > 1 ? content : content * aspectRatio
+    const scaledHeight = aspectRatio > 1 ? content / aspectRatio : content
+    tempCtx.drawImage(image, inset + (content - scaledWidth) / 2, inset + (content - scaledHeight) / 2, scaledWidth, scaledHeight)
+  } else if (icon.emoji) {
+    tempCtx.font = `${Math.round(content)}px ${EMOJI_FONT}`
+    tempCtx.textAlign = 'center'
+    tempCtx.textBaseline = 'middle'
+    tempCtx.fillStyle = icon.glyphColor
+    tempCtx.fillText(icon.emoji, totalSize / 2, totalSize / 2)
+  }
+  tempCtx.restore()
+
+  // 边框沿形状内侧绘制，不超出图标区域
+  if (shaped && icon.border) {
+    const inner = icon.border.width / 2
+    tempCtx.strokeStyle = icon.border.color
+    tempCtx.lineWidth = icon.border.width
+    iconShapePath(tempCtx, icon.shape, start + inner, end - inner, Math.max(0, icon.radius - inner))
+    tempCtx.stroke()
+  }
+
+  ctx.save()
+  ctx.shadowColor = icon.shadow.color
+  ctx.shadowBlur = icon.shadow.blur * ratio
+  ctx.shadowOffsetX = icon.shadow.offsetX * ratio
+  ctx.shadowOffsetY = icon.shadow.offsetY * ratio
+
+  ctx.translate(x + totalSize / 2, y + totalSize / 2)
+  ctx.rotate((icon.rotation * Math.PI) / 180)
+  ctx.translate(-(x + totalSize / 2), -(y + totalSize / 2))
+
+  ctx.drawImage(temp, x, y, totalSize, totalSize)
+  ctx.restore()
+}
+
+/** 平铺水印的旋转角度与水印之间的间距 */
+const WATERMARK_TILE_ANGLE = -30
+const WATERMARK_TILE_GAP = 80
+
+// 白底黑码以保证可扫描；模块按比例缩放到 size，所有深色模块合为一条路径填充，避免相邻模块间出现缝隙
+function drawQrCode(ctx: RenderContext, modules: boolean[][], x: number, y: number, size: number): void {
+  const cell = size / (modules.length + QR_QUIET_ZONE * 2)
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(x, y, size, size)
+
+  ctx.fillStyle = '#000000'
+  ctx.beginPath()
+  const originX = x + QR_QUIET_ZONE * cell
+  const originY = y + QR_QUIET_ZONE * cell
+  modules.forEach((row, r) => {
+    for (let c = 0; c < row.length; c++) {
+      if (!row[c]) continue
+      const start = c
+      while (c + 1 < row.length && row[c + 1]) c++
+      ctx.rect(originX + start * cell, originY + r * cell, (c - start + 1) * cell, cell)
+    }
+  })
+  ctx.fill()
+}
+
+// 在 (x, y) 处绘制一组水印，各项垂直居中
+function drawWatermarkBlock(
+  ctx: RenderContext,
+  watermark: WatermarkSpec,
+  block: WatermarkBlock,
+  image: CoverAssets['watermark'],
+  x: number,
+  y: number
+): void {
+  const middle = y + block.height / 2
+  for (const item of block.items) {
+    const left = x + item.x
+    if (item.kind === 'text') {
+      ctx.font = watermarkFont(watermark.fontFamily, watermark.fontSize)
+      ctx.fillStyle = watermark.color
+      ctx.textAlign = 'left'
+      ctx.textBaseline = 'middle'
+      ctx.fillText(watermark.text, left, middle)
+    } else if (item.kind === 'qr' && watermark.qr) {
+      drawQrCode(ctx, watermark.qr, left, middle - item.width / 2, item.width)
+    } else if (item.kind === 'image' && image) {
+      const scale = Math.min(item.width / image.width, item.width / image.height)
+      const w = image.width * scale
+      const h = image.height * scale
+      ctx.drawImage(image, left + (item.width - w) / 2, middle - h / 2, w, h)
+    }
+  }
+}
+
+/**
+ * 水印层：Logo、二维码与文字，放在四角或中央，或旋转后错行平铺整个画布
+ */
+export function drawWatermarkLayer(ctx: RenderContext, spec: CoverSpec, assets: CoverAssets): void {
+  const watermark = spec.watermark
+  if (!watermark) return
+  const block = measureWatermark(ctx, watermark)
+  if (!block.items.length) return
+
+  ctx.save()
+  ctx.globalAlpha *= watermark.opacity
+
+  if (watermark.position === 'tiled') {
+    const stepX = block.width + WATERMARK_TILE_GAP
+    const stepY = block.height + WATERMARK_TILE_GAP
+    // 旋转后仍要覆盖画布四角，按对角线的一半铺满
+    const reach = Math.hypot(spec.width, spec.height) / 2
+    const rows = Math.ceil(reach / stepY)
+    const cols = Math.ceil(reach / stepX) + 1
+    ctx.translate(spec.width / 2, spec.height / 2)
+    ctx.rotate((WATERMARK_TILE_ANGLE * Math.PI) / 180)
+    for (let row = -rows; row <= rows; row++) {
+      const shift = row % 2 === 0 ? 0 : stepX / 2
+      for (let col = -cols; col <= cols; col++) {
+        const x = col * stepX + shift - block.width / 2
+        drawWatermarkBlock(ctx, watermark, block, assets.watermark, x, row * stepY - block.height / 2)
+      }
+    }
+  } else {
+    const box = computeLayout(ctx, spec).watermark
+    if (box) drawWatermarkBlock(ctx, watermark, block, assets.watermark, box.x, box.y)
+  }
+  ctx.restore()
+}
+
+// 以包围盒中心为原点旋转
+function rotateAround(ctx: RenderContext, box: ElementBox, degrees: number): void {
+  if (!degrees) return
+  const cx = box.x + box.width / 2
+  const cy = box.y + box.height / 2
+  ctx.translate(cx, cy)
+  ctx.rotate((degrees * Math.PI) / 180)
+  ctx.translate(-cx, -cy)
+}
+
+function drawCustomTextLayer(ctx: RenderContext, layer: TextLayer, box: ElementBox): void {
+  const lineHeight = layer.fontSize * TEXT_LAYER_LINE_HEIGHT
+  ctx.font = textLayerFont(layer)
+  ctx.fillStyle = layer.color
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  layer.text.split('\n').forEach((line, i) => {
+    ctx.fillText(line, box.x + box.width / 2, box.y + lineHeight * i + lineHeight / 2)
+  })
+}
+
+function drawImageLayer(ctx: RenderContext, image: RenderImage | undefined, box: ElementBox): void {
+  if (!image) return
+  // contain：完整显示图片并居中
+  const scale = Math.min(box.width / image.width, box.height / image.height)
+  const width = image.width * scale
+  const height = image.height * scale
+  ctx.drawImage(image, box.x + (box.width - width) / 2, box.y + (box.height - height) / 2, width, height)
+}
+
+const ELLIPSE_SEGMENTS = 72
+
+function drawShapeLayer(ctx: RenderContext, layer: ShapeLayer, box: ElementBox): void {
+  ctx.fillStyle = layer.fill
+  if (layer.shape === 'ellipse') {
+    // 用多边形近似椭圆，SVG 画布与 canvas 结果一致
+    const cx = box.x + box.width / 2
+    const cy = box.y + box.height / 2
+    ctx.beginPath()
+    for (let i = 0; i < ELLIPSE_SEGMENTS; i++) {
+      const angle = (i / ELLIPSE_SEGMENTS) * Math.PI * 2
+      const px = cx + (Math.cos(angle) * box.width) / 2
+      const py = cy + (Math.sin(angle) * box.height) / 2
+      if (i === 0) ctx.moveTo(px, py)
+      else ctx.lineTo(px, py)
+    }
+    ctx.closePath()
+  } else {
+    roundedRectPath(ctx, box.x, box.y, box.width, box.height, layer.radius)
+  }
+  ctx.fill()
+}
+
+/**
+ * 绘制单个图层的内容，不处理图层的可见性、透明度与混合模式
+ */
+export function drawLayerContent(
+  ctx: RenderContext,
+  spec: CoverSpec,
+  layer: Layer,
+  assets: CoverAssets,
+  options: RenderOptions
+): void {
+  switch (layer.kind) {
+    case 'background':
+      return drawBackgroundLayer(ctx, spec, assets, options)
+    case 'title':
+    case 'subtitle':
+      return drawTextLayer(ctx, spec, layer.kind, options)
+    case 'icon':
+      return drawIconLayer(ctx, spec, assets, options)
+    case 'watermark':
+      return drawWatermarkLayer(ctx, spec, assets)
+  }
+
+  const box = elementBox(computeLayout(ctx, spec), layer.id)
+  if (!box) return
+
+  ctx.save()
+  rotateAround(ctx, box, layer.rotation)
+  if (layer.kind === 'text') {
+    drawCustomTextLayer(ctx, layer, box)
+  } else if (layer.kind === 'image') {
+    drawImageLayer(ctx, assets.layers?.[layer.id], box)
+  } else {
+    drawShapeLayer(ctx, layer, box)
+  }
+  ctx.restore()
+}
+
+/**
+ * 在单个上下文上按图层顺序渲染完整封面
+ * 画布尺寸应为逻辑尺寸 × options.scale
+ */
+export function renderCover(ctx: RenderContext, spec: CoverSpec, assets: CoverAssets, options: RenderOptions): void {
+  const ratio = pixelRatio(options)
+  ctx.clearRect(0, 0, spec.width * ratio, spec.height * ratio)
+  ctx.save()
+  ctx.scale(ratio, ratio)
+  for (const layer of spec.layers) {
+    if (!layer.visible) continue
+    ctx.save()
+    ctx.globalAlpha = layer.opacity
+    ctx.globalCompositeOperation = blendOperation(layer.blendMode)
+    drawLayerContent(ctx, spec, layer, assets, options)
+    ctx.restore()
+  }
+  ctx.restore()
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest'
+import { FontMetricsError, createFontMeasurer, parseFontMetrics } from './fontMetrics'
+
+// 构造只含 head / hhea / hmtx / cmap（格式 4）的最小 TTF，glyphs 为 [码位, 宽度]，0 号字形宽 500
+function buildFont(glyphs: [number, number][], unitsPerEm = 1000): Uint8Array {
+  const head = new Uint8Array(54)
+  new DataView(head.buffer).setUint16(18, unitsPerEm)
+
+  const hhea = new Uint8Array(36)
+  new DataView(hhea.buffer).setUint16(34, glyphs.length + 1)
+
+  const hmtx = new Uint8Array((glyphs.length + 1) * 4)
+  const hmtxView = new DataView(hmtx.buffer)
+  hmtxView.setUint16(0, 500)
+  glyphs.forEach(([, width], i) => hmtxView.setUint16((i + 1) * 4, width))
+
+  // 每个字符一段，最后是 0xffff 结束段
+  const segments = [...glyphs.map(([code], i) => [code, i + 1]), [0xffff, 0]]
+  const segCount = segments.length
+  const subtable = new Uint8Array(16 + segCount * 8)
+  const sub = new DataView(subtable.buffer)
+  sub.setUint16(0, 4)
+  sub.setUint16(2, subtable.length)
+  sub.setUint16(6, segCount * 2)
+  segments.forEach(([code, glyph], i) => {
+    sub.setUint16(14 + i * 2, code)
+    sub.setUint16(16 + segCount * 2 + i * 2, code)
+    sub.setUint16(16 + segCount * 4 + i * 2, glyph ? (glyph - code) & 0xffff : 1)
+  })
+  const cmap = new Uint8Array(12 + subtable.length)
+  const cmapView = new DataView(cmap.buffer)
+  cmapView.setUint16(2, 1)
+  cmapView.setUint16(4, 3)
+  cmapView.setUint16(6, 1)
+  cmapView.setUint32(8, 12)
+  cmap.set(subtable, 12)
+
+  const tables: [string, Uint8Array][] = [['cmap', cmap], ['head', head], ['hhea', hhea], ['hmtx', hmtx]]
+  const font = new Uint8Array(12 + tables.length * 16 + tables.reduce((sum, [, data]) => sum + data.length, 0))
+  const view = new DataView(font.buffer)
+  view.setUint32(0, 0x00010000)
+  view.setUint16(4, tables.length)
+  let offset = 12 + tables.length * 16
+  tables.forEach(([tag, data], i) => {
+    const record = 12 + i * 16
+    for (let j = 0; j < 4; j++) view.setUint8(record + j, tag.charCodeAt(j))
+    view.setUint32(record + 8, offset)
+    view.setUint32(record + 12, data.length)
+    font.set(data, offset)
+    offset += data.length
+  })
+  return font
+}
+
+describe('parseFontMetrics', () => {
+  it('读取字符的前进宽度，没有的字符返回 null', () => {
+    const metrics = parseFontMetrics(buildFont([[0x41, 600], [0x4e2d, 950]], 2048))
+    expect(metrics.unitsPerEm).toBe(2048)
+    expect(metrics.advance(0x41)).toBe(600)
+    expect(metrics.advance(0x4e2d)).toBe(950)
+    expect(metrics.advance(0x42)).toBeNull()
+    expect(metrics.missingAdvance).toBe(500)
+  })
+
+  it('不支持的格式与损坏的文件抛出 FontMetricsError', () => {
+    const woff = new TextEncoder().encode('wOFF0000000000000000')
+    expect(() => parseFontMetrics(woff)).toThrow(FontMetricsError)
+    expect(() => parseFontMetrics(buildFont([[0x41, 600]]).slice(0, 40))).toThrow('字体文件已损坏')
+  })
+})
+
+describe('createFontMeasurer', () => {
+  it('按字号换算宽度，缺字时依次回退到后面的字体', () => {
+    const latin = parseFontMetrics(buildFont([[0x41, 600]]))
+    const cjk = parseFontMetrics(buildFont([[0x4e2d, 1000]]))
+    const measure = createFontMeasurer([latin, cjk])
+
+    expect(measure('AA', '600 20px yozai, sans-serif')).toBe(24)
+    expect(measure('A中', '20px sans-serif')).toBe(32)
+    // 两个字体都没有时使用第一个字体的缺字字形
+    expect(measure('B', '20px sans-serif')).toBe(10)
+  })
+})
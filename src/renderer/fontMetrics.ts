@@ -0,0 +1,170 @@
+/**
+ * 字体度量
+ * 从 TTF/OTF 读取字符的前进宽度，服务端没有画布可用时按真实字宽测量文字，使折行与自动缩放和浏览器预览一致
+ * 只读取 head / hhea / hmtx / cmap 表，不处理字距与连字
+ */
+
+import { parseFont } from './svgCanvas'
+
+export interface FontMetrics {
+  unitsPerEm: number
+  /** 码位对应的前进宽度（字体单位），字体中没有该字符时返回 null */
+  advance(codePoint: number): number | null
+  /** 缺字字形（0 号字形）的前进宽度 */
+  missingAdvance: number
+}
+
+export class FontMetricsError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'FontMetricsError'
+  }
+}
+
+const SFNT_VERSIONS = new Set([0x00010000, 0x4f54544f, 0x74727565]) // 1.0 / 'OTTO' / 'true'
+const TTC_TAG = 0x74746366 // 'ttcf'
+
+function readTables(view: DataView): Map<string, number> {
+  let base = 0
+  // 字体集合只读取第一个字体
+  if (view.getUint32(0) === TTC_TAG) base = view.getUint32(12)
+  if (!SFNT_VERSIONS.has(view.getUint32(base))) {
+    throw new FontMetricsError('不支持的字体格式，需要 TTF 或 OTF')
+  }
+
+  const tables = new Map<string, number>()
+  const count = view.getUint16(base + 4)
+  for (let i = 0; i < count; i++) {
+    const record = base + 12 + i * 16
+    const tag = String.fromCharCode(
+      view.getUint8(record),
+      view.getUint8(record + 1),
+      view.getUint8(record + 2),
+      view.getUint8(record + 3)
+    )
+    tables.set(tag, view.getUint32(record + 8))
+  }
+  for (const tag of ['head', 'hhea', 'hmtx', 'cmap']) {
+    if (!tables.has(tag)) throw new FontMetricsError(`字体缺少 ${tag} 表`)
+  }
+  return tables
+}
+
+type GlyphLookup = (codePoint: number) => number
+
+// 格式 4：BMP 内的分段映射
+function format4(view: DataView, offset: number): GlyphLookup {
+  const segCount = view.getUint16(offset + 6) / 2
+  const endCodes = offset + 14
+  const startCodes = endCodes + segCount * 2 + 2
+  const idDeltas = startCodes + segCount * 2
+  const idRangeOffsets = idDeltas + segCount * 2
+
+  return codePoint => {
+    if (codePoint > 0xffff) return 0
+    for (let i = 0; i < segCount; i++) {
+      if (view.getUint16(endCodes + i * 2) < codePoint) continue
+      const start = view.getUint16(startCodes + i * 2)
+      if (start > codePoint) return 0
+      const delta = view.getUint16(idDeltas + i * 2)
+      const rangeOffset = view.getUint16(idRangeOffsets + i * 2)
+      if (rangeOffset === 0) return (codePoint + delta) & 0xffff
+      const glyph = view.getUint16(idRangeOffsets + i * 2 + rangeOffset + (codePoint - start) * 2)
+      return glyph === 0 ? 0 : (glyph + delta) & 0xffff
+    }
+    return 0
+  }
+}
+
+// 格式 12：覆盖全部码位的分组映射
+function format12(view: DataView, offset: number): GlyphLookup {
+  const groups = view.getUint32(offset + 12)
+  return codePoint => {
+    for (let i = 0; i < groups; i++) {
+      const group = offset + 16 + i * 12
+      const start = view.getUint32(group)
+      if (codePoint < start) return 0
+      if (codePoint <= view.getUint32(group + 4)) return view.getUint32(group + 8) + codePoint - start
+    }
+    return 0
+  }
+}
+
+// 优先使用 Unicode 完整字符集的子表，其次是 BMP 子表
+function readCmap(view: DataView, cmap: number): GlyphLookup {
+  const count = view.getUint16(cmap + 2)
+  let best: { offset: number; format: number } | null = null
+  for (let i = 0; i < count; i++) {
+    const record = cmap + 4 + i * 8
+    const platform = view.getUint16(record)
+    const encoding = view.getUint16(record + 2)
+    const offset = cmap + view.getUint32(record + 4)
+    const format = view.getUint16(offset)
+    const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10))
+    if (!unicode || (format !== 4 && format !== 12)) continue
+    if (!best || (format === 12 && best.format !== 12)) best = { offset, format }
+  }
+  if (!best) throw new FontMetricsError('字体缺少 Unicode 字符映射')
+  return best.format === 12 ? format12(view, best.offset) : format4(view, best.offset)
+}
+
+/**
+ * 解析字体文件
+ */
+export function parseFontMetrics(bytes: Uint8Array): FontMetrics {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  try {
+    const tables = readTables(view)
+    const unitsPerEm = view.getUint16(tables.get('head')! + 18)
+    const metricsCount = view.getUint16(tables.get('hhea')! + 34)
+    const hmtx = tables.get('hmtx')!
+    const glyphOf = readCmap(view, tables.get('cmap')!)
+
+    // 超出 numberOfHMetrics 的字形沿用最后一个宽度
+    const advanceOf = (glyph: number) => view.getUint16(hmtx + Math.min(glyph, metricsCount - 1) * 4)
+
+    return {
+      unitsPerEm,
+      advance: codePoint => {
+        const glyph = glyphOf(codePoint)
+        return glyph === 0 ? null : advanceOf(glyph)
+      },
+      missingAdvance: advanceOf(0)
+    }
+  } catch (error) {
+    if (error instanceof RangeError) throw new FontMetricsError('字体文件已损坏')
+    throw error
+  }
+}
+
+/**
+ * 按字体度量测量文字，签名与 SvgCanvasOptions.measureText 一致
+ * 与栅格化时的字体回退一致：逐个字符取第一个包含它的字体，都没有时按第一个字体的缺字字形计算
+ */
+export function createFontMeasurer(fonts: readonly FontMetrics[]): (text: string, font: string) => number {
+  if (fonts.length === 0) throw new FontMetricsError('没有可用的字体')
+  const cache = new Map<number, number>()
+
+  const emWidth = (codePoint: number): number => {
+    const cached = cache.get(codePoint)
+    if (cached !== undefined) return cached
+    let width: number | null = null
+    for (const metrics of fonts) {
+      const advance = metrics.advance(codePoint)
+      if (advance !== null) {
+        width = advance / metrics.unitsPerEm
+        break
+      }
+    }
+    width ??= fonts[0].missingAdvance / fonts[0].unitsPerEm
+    cache.set(codePoint, width)
+    return width
+  }
+
+  return (text, font) => {
+    const { size } = parseFont(font)
+    let width = 0
+    for (const ch of text) width += emWidth(ch.codePointAt(0)!)
+    return width * size
+  }
+}
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest'
+import { hasIcon, iconDataUrl, iconNames, iconSvg, registerIconCollection } from './icons'
+import { loadSvgImage } from './svgCanvas'
+
+describe('icons', () => {
+  it('内置图标按 Iconify 名称查找', () => {
+    expect(iconNames()).toContain('ic:baseline-star')
+    expect(hasIcon('ic:baseline-star')).toBe(true)
+    expect(hasIcon('ic:missing')).toBe(false)
+    expect(hasIcon('baseline-star')).toBe(false)
+  })
+
+  it('生成的 SVG 使用指定颜色与尺寸', () => {
+    const svg = iconSvg('ic:baseline-check', '#ff0000', 48)
+    expect(svg).toContain('width="48" height="48" viewBox="0 0 24 24"')
+    expect(svg).toContain('fill="#ff0000"')
+    expect(svg).not.toContain('currentColor')
+    expect(iconSvg('ic:missing', '#ff0000')).toBeNull()
+  })
+
+  it('注册的集合支持别名与非正方形图标', () => {
+    registerIconCollection({
+      prefix: 'test',
+      height: 16,
+      icons: { wide: { body: '<rect fill="currentColor" width="32" height="16"/>', width: 32 } },
+      aliases: { alias: { parent: 'wide' } }
+    })
+    expect(iconSvg('test:alias', '#000', 64)).toContain('width="64" height="32" viewBox="0 0 32 16"')
+  })
+
+  it('data URL 可作为 SVG 图片加载并读出尺寸', async () => {
+    const src = iconDataUrl('ic:baseline-star', '#ffffff', 200)
+    expect(src).toMatch(/^data:image\/svg\+xml;base64,/)
+    const image = await loadSvgImage(src as string)
+    expect(image).toMatchObject({ width: 200, height: 200 })
+  })
+})
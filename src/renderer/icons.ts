@@ -0,0 +1,143 @@
+/**
+ * 离线图标
+ * 使用 Iconify JSON 格式的图标数据，按 "前缀:名称" 查找并生成 SVG，不请求 Iconify API；
+ * 内置一组 Google Material Icons（Apache-2.0），可注册 @iconify-json/* 等集合扩充
+ */
+
+export interface IconData {
+  body: string
+  width?: number
+  height?: number
+  left?: number
+  top?: number
+}
+
+/** Iconify JSON 的子集，@iconify-json/* 包中的 icons.json 可直接注册 */
+export interface IconCollection {
+  prefix: string
+  icons: Record<string, IconData>
+  aliases?: Record<string, { parent: string }>
+  width?: number
+  height?: number
+  left?: number
+  top?: number
+}
+
+const materialPath = (d: string) => ({ body: `<path fill="currentColor" d="${d}"/>` })
+
+/** 内置图标，名称与 Iconify 的 ic 集合一致 */
+export const BUILTIN_ICONS: IconCollection = {
+  prefix: 'ic',
+  width: 24,
+  height: 24,
+  icons: {
+    'baseline-star': materialPath('M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z'),
+    'baseline-favorite': materialPath(
+      'M12 21.35l-1.45-1.32C5.4 15.36 2 12.28 2 8.5 2 5.42 4.42 3 7.5 3c1.74 0 3.41.81 4.5 2.09C13.09 3.81 14.76 3 16.5 3 19.58 3 22 5.42 22 8.5c0 3.78-3.4 6.86-8.55 11.54L12 21.35z'
+    ),
+    'baseline-check': materialPath('M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z'),
+    'baseline-code': materialPath('M9.4 16.6L4.8 12l4.6-4.6L8 6l-6 6 6 6 1.4-1.4zm5.2 0l4.6-4.6-4.6-4.6L16 6l6 6-6 6-1.4-1.4z'),
+    'baseline-flash-on': materialPath('M7 2v11h3v9l7-12h-4l4-8z'),
+    'baseline-home': materialPath('M10 20v-6h4v6h5v-8h3L12 3 2 12h3v8z'),
+    'baseline-play-arrow': materialPath('M8 5v14l11-7z'),
+    'baseline-bookmark': materialPath('M17 3H7c-1.1 0-2 .9-2 2v16l7-3 7 3V5c0-1.1-.9-2-2-2z'),
+    'baseline-chat-bubble': materialPath('M20 2H4c-1.1 0-2 .9-2 2v18l4-4h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2z'),
+    'baseline-search': materialPath(
+      'M15.5 14h-.79l-.28-.27C15.41 12.59 16 11.11 16 9.5 16 5.91 13.09 3 9.5 3S3 5.91 3 9.5 5.91 16 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z'
+    ),
+    'baseline-music-note': materialPath(
+      'M12 3v10.55c-.59-.34-1.27-.55-2-.55-2.21 0-4 1.79-4 4s1.79 4 4 4 4-1.79 4-4V7h4V3h-6z'
+    ),
+    'baseline-trending-up': materialPath('M16 6l2.29 2.29-4.88 4.88-4-4L2 16.59 3.41 18l6-6 4 4 6.3-6.29L22 12V6z'),
+    'baseline-lock': materialPath(
+      'M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z'
+    )
+  }
+}
+
+const collections = new Map<string, IconCollection>()
+
+/**
+ * 注册图标集合；前缀已存在时合并，后注册的同名图标覆盖先前的
+ */
+export function registerIconCollection(collection: IconCollection): void {
+  if (!collection.prefix) throw new Error('Icon collection prefix is required')
+  const existing = collections.get(collection.prefix)
+  collections.set(
+    collection.prefix,
+    existing
+      ? {
+          ...existing,
+          icons: { ...existing.icons, ...collection.icons },
+          aliases: { ...existing.aliases, ...collection.aliases }
+        }
+      : collection
+  )
+}
+
+registerIconCollection(BUILTIN_ICONS)
+
+/** 已注册的全部图标名称（前缀:名称） */
+export function iconNames(): string[] {
+  return [...collections.values()].flatMap(({ prefix, icons }) => Object.keys(icons).map(name => `${prefix}:${name}`))
+}
+
+/** 已注册的图标集合，供界面组件注册到 @iconify/vue 的离线模式 */
+export function iconCollections(): IconCollection[] {
+  return [...collections.values()]
+}
+
+function resolveIcon(name: string): (Required<Omit<IconData, 'body'>> & { body: string }) | null {
+  const separator = name.indexOf(':')
+  if (separator <= 0) return null
+  const collection = collections.get(name.slice(0, separator))
+  if (!collection) return null
+
+  let key = name.slice(separator + 1)
+  // 别名最多跟随几层，避免循环引用
+  for (let depth = 0; depth < 5 && !collection.icons[key] && collection.aliases?.[key]; depth++) {
+    key = collection.aliases[key].parent
+  }
+  const icon = collection.icons[key]
+  if (!icon) return null
+  return {
+    body: icon.body,
+    left: icon.left ?? collection.left ?? 0,
+    top: icon.top ?? collection.top ?? 0,
+    width: icon.width ?? collection.width ?? 16,
+    height: icon.height ?? collection.height ?? 16
+  }
+}
+
+export function hasIcon(name: string): boolean {
+  return resolveIcon(name) !== null
+}
+
+/**
+ * 生成图标的 SVG；单色图标中的 currentColor 替换为 color，长边为 size 像素
+ */
+export function iconSvg(name: string, color: string, size = 256): string | null {
+  const icon = resolveIcon(name)
+  if (!icon) return null
+  const scale = size / Math.max(icon.width, icon.height)
+  const body = icon.body.replace(/currentColor/g, color.replace(/"/g, ''))
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(icon.width * scale)}" ` +
+    `height="${Math.round(icon.height * scale)}" viewBox="${icon.left} ${icon.top} ${icon.width} ${icon.height}">` +
+    `${body}</svg>`
+  )
+}
+
+/**
+ * 图标的 data URL，可像普通图片一样加载；浏览器与服务端都能直接使用
+ */
+export function iconDataUrl(name: string, color: string, size?: number): string | null {
+  const svg = iconSvg(name, color, size)
+  if (!svg) return null
+  const bytes = new TextEncoder().encode(svg)
+  let binary = ''
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte)
+  })
+  return `data:image/svg+xml;base64,${btoa(binary)}`
+}
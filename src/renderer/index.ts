@@ -0,0 +1,13 @@
+export * from './types'
+export * from './engine'
+export * from './background'
+export * from './icons'
+export * from './layers'
+export * from './layout'
+export * from './text'
+export * from './linebreak'
+export * from './fontMetrics'
+export * from './richText'
+export * from './spec'
+export { SvgCanvas, SvgRenderingContext, createSvgCanvas, loadSvgImage } from './svgCanvas'
+export type { SvgCanvasOptions, SvgImage } from './svgCanvas'
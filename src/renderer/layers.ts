@@ -0,0 +1,175 @@
+/**
+ * 图层列表
+ * 背景、主标题、副标题、图标、水印是内置图层，另外可以添加任意数量的文字、图片与形状图层
+ */
+
+import type {
+  BlendMode,
+  BuiltinLayer,
+  BuiltinLayerKind,
+  CustomLayer,
+  CustomLayerKind,
+  ImageLayer,
+  Layer,
+  ShapeLayer,
+  TextLayer
+} from './types'
+
+export const BUILTIN_LAYER_NAMES: Record<BuiltinLayerKind, string> = {
+  background: '背景',
+  title: '主标题',
+  subtitle: '副标题',
+  icon: '图标',
+  watermark: '水印'
+}
+
+export const CUSTOM_LAYER_NAMES: Record<CustomLayerKind, string> = {
+  text: '文字',
+  image: '图片',
+  shape: '形状'
+}
+
+export const BLEND_MODES: readonly BlendMode[] = [
+  'normal',
+  'multiply',
+  'screen',
+  'overlay',
+  'darken',
+  'lighten',
+  'color-dodge',
+  'color-burn',
+  'hard-light',
+  'soft-light',
+  'difference',
+  'exclusion'
+]
+
+function builtinLayer(kind: BuiltinLayerKind): BuiltinLayer {
+  return {
+    id: kind,
+    kind,
+    name: BUILTIN_LAYER_NAMES[kind],
+    visible: true,
+    locked: kind === 'background',
+    opacity: 1,
+    blendMode: 'normal'
+  }
+}
+
+export const DEFAULT_LAYERS: readonly Layer[] = (
+  ['background', 'title', 'subtitle', 'icon', 'watermark'] as const
+).map(builtinLayer)
+
+export function isBuiltinLayer(layer: Layer): layer is BuiltinLayer {
+  return layer.kind in BUILTIN_LAYER_NAMES
+}
+
+export function blendOperation(mode: BlendMode): GlobalCompositeOperation {
+  return mode === 'normal' ? 'source-over' : mode
+}
+
+function layerId(kind: CustomLayerKind): string {
+  return `${kind}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+}
+
+/**
+ * 创建自定义图层，默认位于画布中央
+ */
+export function createLayer(kind: 'text', props?: Partial<TextLayer>): TextLayer
+export function createLayer(kind: 'image', props?: Partial<ImageLayer>): ImageLayer
+export function createLayer(kind: 'shape', props?: Partial<ShapeLayer>): ShapeLayer
+export function createLayer(kind: CustomLayerKind, props?: Partial<CustomLayer>): CustomLayer
+export function createLayer(kind: CustomLayerKind, props: Partial<CustomLayer> = {}): CustomLayer {
+  const common = {
+    id: layerId(kind),
+    name: CUSTOM_LAYER_NAMES[kind],
+    visible: true,
+    locked: false,
+    opacity: 1,
+    blendMode: 'normal' as BlendMode,
+    x: 0.5,
+    y: 0.5,
+    rotation: 0
+  }
+
+  switch (kind) {
+    case 'text':
+      return {
+        ...common,
+        kind,
+        text: '文字',
+        color: '#ffffff',
+        fontFamily: '',
+        fontWeight: '600',
+        fontSize: 48,
+        ...(props as Partial<TextLayer>)
+      }
+    case 'image':
+      return { ...common, kind, src: '', width: 160, height: 160, ...(props as Partial<ImageLayer>) }
+    case 'shape':
+      return {
+        ...common,
+        kind,
+        shape: 'rect',
+        width: 240,
+        height: 80,
+        fill: '#ef4444',
+        radius: 40,
+        ...(props as Partial<ShapeLayer>)
+      }
+  }
+}
+
+// 自定义图层绘制时直接读取的字段
+const LAYER_NUMBER_FIELDS: Record<CustomLayerKind, readonly string[]> = {
+  text: ['x', 'y', 'rotation', 'fontSize'],
+  image: ['x', 'y', 'rotation', 'width', 'height'],
+  shape: ['x', 'y', 'rotation', 'width', 'height', 'radius']
+}
+
+const LAYER_STRING_FIELDS: Record<CustomLayerKind, readonly string[]> = {
+  text: ['text', 'color', 'fontFamily', 'fontWeight'],
+  image: ['src'],
+  shape: ['shape', 'fill']
+}
+
+/**
+ * 能否直接绘制：API 传入的图层未经校验，缺少字段或类型不对的图层在渲染前丢弃
+ */
+export function isRenderableLayer(value: unknown): value is Layer {
+  if (typeof value !== 'object' || value === null) return false
+  const layer = value as Record<string, unknown>
+  if (typeof layer.id !== 'string' || typeof layer.opacity !== 'number' || !Number.isFinite(layer.opacity)) {
+    return false
+  }
+  if (!BLEND_MODES.includes(layer.blendMode as BlendMode)) return false
+  if (layer.kind === layer.id && (layer.kind as string) in BUILTIN_LAYER_NAMES) return true
+  if (!((layer.kind as string) in CUSTOM_LAYER_NAMES)) return false
+
+  const kind = layer.kind as CustomLayerKind
+  return (
+    LAYER_NUMBER_FIELDS[kind].every(key => typeof layer[key] === 'number' && Number.isFinite(layer[key])) &&
+    LAYER_STRING_FIELDS[kind].every(key => typeof layer[key] === 'string')
+  )
+}
+
+/**
+ * 补齐缺失的内置图层，保证每个内置图层恰好出现一次
+ */
+export function normalizeLayers(layers: readonly Layer[]): Layer[] {
+  const seen = new Set<string>()
+  const result = layers.filter(layer => {
+    if (seen.has(layer.id)) return false
+    seen.add(layer.id)
+    return true
+  })
+  for (const layer of DEFAULT_LAYERS) {
+    if (seen.has(layer.id)) continue
+    if (layer.kind === 'background') {
+      result.unshift({ ...layer })
+    } else {
+      result.push({ ...layer })
+    }
+  }
+  return result
+}
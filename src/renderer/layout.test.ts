@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest'
+import { computeLayout, createCoverSpec, createLayer, createSvgCanvas, DEFAULT_LAYERS, hitTest, snapToGuides, textBounds } from './index'
+
+const size = { width: 1200, height: 600 }
+
+function layoutOf(state: Parameters<typeof createCoverSpec>[0]) {
+  const ctx = createSvgCanvas(size.width, size.height).getContext('2d')
+  return computeLayout(ctx, createCoverSpec(state, size))
+}
+
+describe('computeLayout', () => {
+  it('默认布局下主标题与副标题整体垂直居中', () => {
+    const layout = layoutOf({ text: '主标题', subtitle: '副标题', textSize: 100 })
+    const title = layout.title!.box
+    const subtitle = layout.subtitle!.box
+    expect(title.x + title.width / 2).toBeCloseTo(600)
+    expect(subtitle.y).toBeGreaterThan(title.y + title.height)
+    expect(title.y - 0).toBeCloseTo(600 - (subtitle.y + subtitle.height))
+  })
+
+  it('文字包围盒覆盖主标题与副标题', () => {
+    const layout = layoutOf({ text: '主标题', subtitle: '副标题', textSize: 100 })
+    const bounds = textBounds(layout)!
+    expect(bounds.y).toBeCloseTo(layout.title!.box.y)
+    expect(bounds.y + bounds.height).toBeCloseTo(layout.subtitle!.box.y + layout.subtitle!.box.height)
+    expect(bounds.width).toBeCloseTo(Math.max(layout.title!.box.width, layout.subtitle!.box.width))
+    expect(textBounds(layoutOf({ text: '', subtitle: '' }))).toBeNull()
+  })
+
+  it('自动缩放时缩小字号，使标题不超过最多行数且不超出画布', () => {
+    const text = '这是一个很长很长的标题，需要自动缩小字号才能放得下'
+    const fitted = layoutOf({ text, subtitle: '副标题', textSize: 200, maxLines: 2 })
+    expect(fitted.title!.fontSize).toBeLessThan(200)
+    expect(fitted.title!.lines.length).toBeLessThanOrEqual(2)
+    expect(fitted.subtitle!.fontSize / fitted.title!.fontSize).toBeCloseTo(0.44, 1)
+    expect(textBounds(fitted)!.height).toBeLessThanOrEqual(size.height - 120)
+
+    const fixed = layoutOf({ text, textSize: 200, textFit: false })
+    expect(fixed.title!.fontSize).toBe(200)
+    expect(fixed.title!.lines.length).toBeGreaterThan(2)
+  })
+
+  it('放得下的标题保持设定字号', () => {
+    expect(layoutOf({ text: '标题', textSize: 100 }).title!.fontSize).toBe(100)
+  })
+
+  it('水印按预设位置放置，Logo、二维码与文字排成一行', () => {
+    const logo = 'data:image/png;base64,AA=='
+    const state = { text: 'a', watermarkImageUrl: logo, watermarkQrUrl: 'https://example.com', watermarkImageSize: 40 }
+    const corner = layoutOf({ ...state, watermarkPosition: 'top-left' }).watermark!
+    // 二维码模块过小时放大到每个模块 3px：(25 + 4) × 3
+    expect(corner).toMatchObject({ x: 20, y: 20, height: 87 })
+    expect(corner.width).toBe(40 + 8 + 87)
+
+    const center = layoutOf({ ...state, watermarkPosition: 'center' }).watermark!
+    expect(center.x + center.width / 2).toBeCloseTo(600)
+    expect(center.y + center.height / 2).toBeCloseTo(300)
+
+    const text = layoutOf({ text: 'a', watermark: '@水印', watermarkSize: 20 }).watermark!
+    expect(text.x + text.width).toBe(1180)
+    expect(text.y + text.height).toBe(580)
+    expect(layoutOf({ ...state, watermarkPosition: 'tiled' }).watermark).toBeNull()
+  })
+
+  it('拖动后的位置以元素中心为准', () => {
+    const layout = layoutOf({
+      text: '标题',
+      squareImageUrl: 'icon.png',
+      squareSize: 200,
+      positions: { title: { x: 0.25, y: 0.5 }, subtitle: null, icon: { x: 0.75, y: 0.25 }, watermark: null }
+    })
+    const title = layout.title!.box
+    expect(title.x + title.width / 2).toBeCloseTo(300)
+    expect(title.y + title.height / 2).toBeCloseTo(300)
+    expect(layout.icon).toEqual({ x: 800, y: 50, width: 200, height: 200 })
+  })
+})
+
+describe('hitTest', () => {
+  it('返回最上层的元素', () => {
+    const layout = layoutOf({ text: '标题', squareImageUrl: 'icon.png', squareSize: 200, watermark: '@水印' })
+    expect(hitTest(layout, { x: 600, y: 300 })).toBe('icon')
+    const watermark = layout.watermark!
+    expect(hitTest(layout, { x: watermark.x + 1, y: watermark.y + 1 })).toBe('watermark')
+    expect(hitTest(layout, { x: 5, y: 5 })).toBeNull()
+    expect(hitTest(layout, { x: 495, y: 300 })).toBe('title')
+    expect(hitTest(layout, { x: 495, y: 300 }, 10)).toBe('icon')
+  })
+})
+
+describe('hitTest 与图层', () => {
+  it('按图层顺序命中，忽略锁定与隐藏的图层', () => {
+    const logo = createLayer('image', { id: 'logo', src: 'logo.png', width: 100, height: 100 })
+    const layers = [...DEFAULT_LAYERS, logo]
+    const point = { x: 600, y: 300 }
+
+    expect(hitTest(layoutOf({ text: '标题', layers }), point)).toBe('logo')
+    expect(hitTest(layoutOf({ text: '标题', layers: [...DEFAULT_LAYERS, { ...logo, locked: true }] }), point)).toBe('title')
+    expect(hitTest(layoutOf({ text: '标题', layers: [logo, ...DEFAULT_LAYERS] }), point)).toBe('title')
+    expect(
+      hitTest(layoutOf({ text: '标题', layers: DEFAULT_LAYERS.map(l => ({ ...l, visible: false })) }), point)
+    ).toBeNull()
+  })
+})
+
+describe('snapToGuides', () => {
+  it('吸附到最近的中线或三等分线', () => {
+    const result = snapToGuides({ x: 596, y: 205 }, size, 10)
+    expect(result.point).toEqual({ x: 600, y: 200 })
+    expect(result.guides).toEqual({ x: 0.5, y: 1 / 3 })
+  })
+
+  it('超出吸附距离时保持原位', () => {
+    const result = snapToGuides({ x: 500, y: 100 }, size, 10)
+    expect(result.point).toEqual({ x: 500, y: 100 })
+    expect(result.guides).toEqual({ x: null, y: null })
+  })
+})
@@ -0,0 +1,415 @@
+/**
+ * 元素布局：计算标题、副标题、图标与水印的包围盒，供绘制、拖动命中测试与吸附参考线共用
+ */
+
+import { breakRanges } from './linebreak'
+import { parseRichText, sliceRuns, type TextRun } from './richText'
+import { fontStack, runFont } from './text'
+import type {
+  CoverSpec,
+  CustomLayer,
+  ElementId,
+  Point,
+  RenderContext,
+  TextLayer,
+  TextSpec,
+  WatermarkSpec
+} from './types'
+
+export interface ElementBox {
+  x: number
+  y: number
+  width: number
+  height: number
+}
+
+/** 一行中的样式片段，x 为相对行首的偏移 */
+export interface LineRun extends TextRun {
+  x: number
+  width: number
+}
+
+export interface TextBlock {
+  /** 去掉标记后的各行文字 */
+  lines: string[]
+  /** 各行的样式片段 */
+  runs: LineRun[][]
+  /** 实际使用的字号，自动缩放时可能小于 TextSpec.fontSize */
+  fontSize: number
+  lineHeight: number
+  box: ElementBox
+}
+
+export interface CoverLayout {
+  title: TextBlock | null
+  subtitle: TextBlock | null
+  icon: ElementBox | null
+  watermark: ElementBox | null
+  /** 自定义图层的包围盒，按图层 id 索引 */
+  layers: Record<string, ElementBox>
+  /** 可拖动的图层 id（可见且未锁定），上层在前 */
+  hitOrder: string[]
+}
+
+/** 水印中一项的横向位置，x 为相对水印左边的偏移 */
+export interface WatermarkItem {
+  kind: 'image' | 'qr' | 'text'
+  x: number
+  width: number
+}
+
+export interface WatermarkBlock {
+  items: WatermarkItem[]
+  width: number
+  height: number
+}
+
+export const WATERMARK_FONT_SIZE = 14
+/** 自动缩放时标题字号的下限 */
+export const MIN_FIT_FONT_SIZE = 12
+const WATERMARK_MARGIN = 20
+/** 水印中 Logo、二维码与文字之间的间距 */
+const WATERMARK_GAP = 8
+/** 二维码四周的静区，单位为模块 */
+export const QR_QUIET_ZONE = 2
+/** 二维码模块的最小边长，再小扫码时难以识别 */
+const MIN_QR_MODULE_SIZE = 3
+
+/**
+ * 二维码（含静区）的边长：按 imageSize，模块过小时放大
+ */
+export function qrBoxSize(watermark: WatermarkSpec): number {
+  const count = (watermark.qr?.length ?? 0) + QR_QUIET_ZONE * 2
+  return Math.max(watermark.imageSize, count * MIN_QR_MODULE_SIZE)
+}
+
+/** 吸附参考线：水平与垂直方向的三等分线和中线 */
+export const SNAP_GUIDES = [1 / 3, 1 / 2, 2 / 3]
+
+export function contentPadding(spec: CoverSpec): number {
+  return Math.round(spec.width * 0.05)
+}
+
+export function watermarkFont(fontFamily: string, fontSize = WATERMARK_FONT_SIZE): string {
+  return `italic ${fontSize}px ${fontStack(fontFamily)}`
+}
+
+/**
+ * 水印的尺寸与各项位置；Logo 按正方形占位，绘制时在其中等比缩放
+ */
+export function measureWatermark(ctx: RenderContext, watermark: WatermarkSpec): WatermarkBlock {
+  const items: WatermarkItem[] = []
+  let x = 0
+  const add = (kind: WatermarkItem['kind'], width: number) => {
+    if (items.length) x += WATERMARK_GAP
+    items.push({ kind, x, width })
+    x += width
+  }
+
+  if (watermark.image) add('image', watermark.imageSize)
+  const qrSize = watermark.qr ? qrBoxSize(watermark) : 0
+  if (watermark.qr) add('qr', qrSize)
+  if (watermark.text) {
+    ctx.save()
+    ctx.font = watermarkFont(watermark.fontFamily, watermark.fontSize)
+    add('text', ctx.measureText(watermark.text).width)
+    ctx.restore()
+  }
+
+  const textHeight = watermark.text ? watermark.fontSize * 1.3 : 0
+  const imageHeight = watermark.image ? watermark.imageSize : 0
+  return { items, width: x, height: Math.max(textHeight, imageHeight, qrSize) }
+}
+
+// 按预设位置放置水印，距画布边缘留出边距
+function watermarkBox(spec: CoverSpec, block: WatermarkBlock): ElementBox {
+  const { width, height } = spec
+  const position = spec.watermark?.position
+  const left = position === 'top-left' || position === 'bottom-left'
+  const top = position === 'top-left' || position === 'top-right'
+  const box = { x: 0, y: 0, width: block.width, height: block.height }
+  if (position === 'center') {
+    box.x = (width - block.width) / 2
+    box.y = (height - block.height) / 2
+  } else {
+    box.x = left ? WATERMARK_MARGIN : width - WATERMARK_MARGIN - block.width
+    box.y = top ? WATERMARK_MARGIN : height - WATERMARK_MARGIN - block.height
+  }
+  return box
+}
+
+/** 文字图层的行高倍数 */
+export const TEXT_LAYER_LINE_HEIGHT = 1.2
+
+export function textLayerFont(layer: TextLayer): string {
+  return `${layer.fontWeight} ${layer.fontSize}px ${fontStack(layer.fontFamily)}`
+}
+
+function customLayerBox(ctx: RenderContext, spec: CoverSpec, layer: CustomLayer): ElementBox {
+  let width: number
+  let height: number
+  if (layer.kind === 'text') {
+    ctx.font = textLayerFont(layer)
+    const lines = layer.text.split('\n')
+    width = Math.max(0, ...lines.map(line => ctx.measureText(line).width))
+    height = lines.length * layer.fontSize * TEXT_LAYER_LINE_HEIGHT
+  } else {
+    width = layer.width
+    height = layer.height
+  }
+  return { x: layer.x * spec.width - width / 2, y: layer.y * spec.height - height / 2, width, height }
+}
+
+// 把包围盒移动到指定的中心点（比例坐标）
+function placeBox(box: ElementBox, position: Point | null, spec: CoverSpec): ElementBox {
+  if (!position) return box
+  return {
+    ...box,
+    x: position.x * spec.width - box.width / 2,
+    y: position.y * spec.height - box.height / 2
+  }
+}
+
+type MeasuredLines = ReturnType<typeof measureLines>
+
+// 按片段排列一行，每个片段使用自己的字重测量
+function placeRuns(ctx: RenderContext, text: TextSpec, runs: TextRun[], fontSize: number): LineRun[] {
+  let x = 0
+  return runs.map(run => {
+    ctx.font = runFont(text, run, fontSize)
+    const width = ctx.measureText(run.text).width
+    const placed = { ...run, x, width }
+    x += width
+    return placed
+  })
+}
+
+/** 一行样式片段的总宽度 */
+export function lineWidth(runs: LineRun[]): number {
+  const last = runs[runs.length - 1]
+  return last ? last.x + last.width : 0
+}
+
+function measureLines(ctx: RenderContext, text: TextSpec, maxWidth: number, fontSize = text.fontSize) {
+  const runs = parseRichText(text.text)
+  const plain = runs.map(run => run.text).join('')
+  const place = (start: number, end: number) => placeRuns(ctx, text, sliceRuns(runs, start, end), fontSize)
+  const ranges = plain ? breakRanges(plain, maxWidth, (start, end) => lineWidth(place(start, end))) : []
+  const lines = ranges.map(range => plain.slice(range.start, range.end))
+  const lineRuns = ranges.map(range => place(range.start, range.end))
+  const width = Math.max(0, ...lineRuns.map(lineWidth))
+  return { lines, runs: lineRuns, width, fontSize, lineHeight: fontSize * text.lineHeight }
+}
+
+// 按标题字号排版主标题与副标题，副标题保持与标题的字号比例
+function measureText(ctx: RenderContext, spec: CoverSpec, maxWidth: number, titleSize: number) {
+  const { title, subtitle } = spec
+  const ratio = title.fontSize > 0 ? titleSize / title.fontSize : 1
+  const t = measureLines(ctx, title, maxWidth, titleSize)
+  const s = measureLines(ctx, subtitle, maxWidth, Math.round(subtitle.fontSize * ratio))
+  const gap = t.lines.length && s.lines.length ? s.fontSize * 0.8 : 0
+  return { t, s, gap, height: t.lines.length * t.lineHeight + gap + s.lines.length * s.lineHeight }
+}
+
+function fitsBox(text: ReturnType<typeof measureText>, maxWidth: number, maxHeight: number, maxLines: number) {
+  const within = (m: MeasuredLines) => m.lines.length <= maxLines && m.width <= maxWidth
+  return within(text.t) && within(text.s) && text.height <= maxHeight
+}
+
+/**
+ * 自动缩放：在 MIN_FIT_FONT_SIZE 与设定字号之间二分查找能排下的最大标题字号，
+ * 排不下时使用下限字号
+ */
+function fitText(ctx: RenderContext, spec: CoverSpec, maxWidth: number) {
+  const maxSize = spec.title.fontSize
+  const fitted = measureText(ctx, spec, maxWidth, maxSize)
+  if (!spec.textFit) return fitted
+
+  const maxHeight = spec.height - contentPadding(spec) * 2
+  const { maxLines } = spec.textFit
+  if (fitsBox(fitted, maxWidth, maxHeight, maxLines)) return fitted
+
+  // low 为已知可用（或下限）的字号，high 为已知排不下的字号
+  let low = Math.min(MIN_FIT_FONT_SIZE, maxSize)
+  let high = maxSize
+  let best = measureText(ctx, spec, maxWidth, low)
+  while (high - low > 1) {
+    const size = Math.floor((low + high) / 2)
+    const candidate = measureText(ctx, spec, maxWidth, size)
+    if (fitsBox(candidate, maxWidth, maxHeight, maxLines)) {
+      best = candidate
+      low = size
+    } else {
+      high = size
+    }
+  }
+  return best
+}
+
+function alignedX(spec: CoverSpec, width: number): number {
+  const padding = contentPadding(spec)
+  switch (spec.align) {
+    case 'left':
+      return padding
+    case 'right':
+      return spec.width - padding - width
+    default:
+      return (spec.width - width) / 2
+  }
+}
+
+/**
+ * 计算所有元素的位置
+ * 默认布局下主标题与副标题作为一个整体垂直居中，图标居中，水印位于预设位置
+ */
+export function computeLayout(ctx: RenderContext, spec: CoverSpec): CoverLayout {
+  const { width, height, positions } = spec
+  const maxWidth = width - contentPadding(spec) * 2
+
+  ctx.save()
+  const { t, s, gap } = fitText(ctx, spec, maxWidth)
+  const watermark = spec.watermark ? measureWatermark(ctx, spec.watermark) : null
+
+  const layerBoxes: Record<string, ElementBox> = {}
+  for (const layer of spec.layers) {
+    if (layer.kind === 'text' || layer.kind === 'image' || layer.kind === 'shape') {
+      layerBoxes[layer.id] = customLayerBox(ctx, spec, layer)
+    }
+  }
+  ctx.restore()
+
+  const titleHeight = t.lines.length * t.lineHeight
+  const subtitleHeight = s.lines.length * s.lineHeight
+  const top = (height - titleHeight - gap - subtitleHeight) / 2
+
+  const layout: CoverLayout = {
+    title: null,
+    subtitle: null,
+    icon: null,
+    watermark: null,
+    layers: layerBoxes,
+    hitOrder: spec.layers
+      .filter(layer => layer.visible && !layer.locked && layer.kind !== 'background')
+      .map(layer => layer.id)
+      .reverse()
+  }
+
+  if (t.lines.length) {
+    const box = { x: alignedX(spec, t.width), y: top, width: t.width, height: titleHeight }
+    layout.title = {
+      lines: t.lines,
+      runs: t.runs,
+      fontSize: t.fontSize,
+      lineHeight: t.lineHeight,
+      box: placeBox(box, positions.title, spec)
+    }
+  }
+
+  if (s.lines.length) {
+    const box = { x: alignedX(spec, s.width), y: top + titleHeight + gap, width: s.width, height: subtitleHeight }
+    layout.subtitle = {
+      lines: s.lines,
+      runs: s.runs,
+      fontSize: s.fontSize,
+      lineHeight: s.lineHeight,
+      box: placeBox(box, positions.subtitle, spec)
+    }
+  }
+
+  if (spec.icon) {
+    const size = spec.icon.size
+    const box = { x: (width - size) / 2, y: (height - size) / 2, width: size, height: size }
+    layout.icon = placeBox(box, positions.icon, spec)
+  }
+
+  // 平铺的水印覆盖整个画布，不能拖动
+  if (watermark?.items.length && spec.watermark?.position !== 'tiled') {
+    layout.watermark = placeBox(watermarkBox(spec, watermark), positions.watermark, spec)
+  }
+
+  return layout
+}
+
+/**
+ * 主标题与副标题合起来的包围盒，没有文字时为 null
+ */
+export function textBounds(layout: CoverLayout): ElementBox | null {
+  const boxes = [layout.title?.box, layout.subtitle?.box].filter((box): box is ElementBox => !!box)
+  if (!boxes.length) return null
+  const x = Math.min(...boxes.map(box => box.x))
+  const y = Math.min(...boxes.map(box => box.y))
+  return {
+    x,
+    y,
+    width: Math.max(...boxes.map(box => box.x + box.width)) - x,
+    height: Math.max(...boxes.map(box => box.y + box.height)) - y
+  }
+}
+
+const ELEMENT_IDS: readonly string[] = ['title', 'subtitle', 'icon', 'watermark']
+
+export function isElementId(id: string): id is ElementId {
+  return ELEMENT_IDS.includes(id)
+}
+
+/**
+ * 元素或自定义图层的包围盒
+ */
+export function elementBox(layout: CoverLayout, id: string): ElementBox | null {
+  if (!isElementId(id)) return layout.layers[id] ?? null
+  const item = layout[id]
+  if (!item) return null
+  return 'box' in item ? item.box : item
+}
+
+/**
+ * 命中测试，返回指定点（像素坐标）下最上层的可拖动图层 id
+ * @param tolerance 包围盒向外扩展的像素，方便选中细小的文字
+ */
+export function hitTest(layout: CoverLayout, point: Point, tolerance = 0): string | null {
+  for (const id of layout.hitOrder) {
+    const box = elementBox(layout, id)
+    if (
+      box &&
+      point.x >= box.x - tolerance &&
+      point.x <= box.x + box.width + tolerance &&
+      point.y >= box.y - tolerance &&
+      point.y <= box.y + box.height + tolerance
+    ) {
+      return id
+    }
+  }
+  return null
+}
+
+export interface SnapResult {
+  point: Point
+  /** 命中的参考线（比例坐标），没有吸附时为 null */
+  guides: { x: number | null; y: number | null }
+}
+
+function snapAxis(value: number, length: number, threshold: number): number | null {
+  let best: number | null = null
+  for (const guide of SNAP_GUIDES) {
+    const distance = Math.abs(value - guide * length)
+    if (distance <= threshold && (best === null || distance < Math.abs(value - best * length))) {
+      best = guide
+    }
+  }
+  return best
+}
+
+/**
+ * 把元素中心点（像素坐标）吸附到中线与三等分线
+ */
+export function snapToGuides(center: Point, size: { width: number; height: number }, threshold: number): SnapResult {
+  const x = snapAxis(center.x, size.width, threshold)
+  const y = snapAxis(center.y, size.height, threshold)
+  return {
+    point: {
+      x: x === null ? center.x : x * size.width,
+      y: y === null ? center.y : y * size.height
+    },
+    guides: { x, y }
+  }
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest'
+import { breakLines, breakUnits, graphemes } from './linebreak'
+
+// 每个字素按 10 宽计算
+const measure = (text: string) => graphemes(text).length * 10
+
+describe('graphemes', () => {
+  it('emoji 序列、国旗与组合字符不被拆开', () => {
+    expect(graphemes('👨‍👩‍👧👍🏽🇨🇳é')).toEqual(['👨‍👩‍👧', '👍🏽', '🇨🇳', 'é'])
+    expect(graphemes('1️⃣好')).toEqual(['1️⃣', '好'])
+  })
+})
+
+describe('breakUnits', () => {
+  it('拉丁文字按单词切分，中文逐字切分', () => {
+    expect(breakUnits('用 Vue 3.4 写')).toEqual(['用 ', 'Vue ', '3.4 ', '写'])
+  })
+
+  it('句末标点并入前一个单元，开括号并入后一个单元', () => {
+    expect(breakUnits('好，「对」！')).toEqual(['好，', '「对」！'])
+    expect(breakUnits('Hello, (world)!')).toEqual(['Hello, ', '(world)!'])
+  })
+})
+
+describe('breakLines', () => {
+  it('句末标点不出现在行首', () => {
+    expect(breakLines('一二三四，五六', 40, measure)).toEqual(['一二三', '四，五六'])
+  })
+
+  it('开括号不留在行尾', () => {
+    expect(breakLines('一二三「四」', 40, measure)).toEqual(['一二三', '「四」'])
+  })
+
+  it('英文单词不从中间断开，行首不留空格', () => {
+    expect(breakLines('hello big world', 100, measure)).toEqual(['hello big', 'world'])
+  })
+
+  it('超出整行宽度的单词按字素拆分，不拆开 emoji', () => {
+    expect(breakLines('abcdef', 30, measure)).toEqual(['abc', 'def'])
+    expect(breakLines('👨‍👩‍👧👍🏽🇨🇳😀', 20, measure)).toEqual(['👨‍👩‍👧👍🏽', '🇨🇳😀'])
+  })
+
+  it('保留显式换行与空行', () => {
+    expect(breakLines('一\n\n二', 100, measure)).toEqual(['一', '', '二'])
+    expect(breakLines('一\r\n二', 100, measure)).toEqual(['一', '二'])
+  })
+})
@@ -0,0 +1,158 @@
+/**
+ * 折行规则：按字素切分保证 emoji 与组合字符不被拆开，拉丁文字按单词折行，
+ * 中日文逐字折行并遵守避头尾（句末标点不出现在行首、开括号不留在行尾）
+ * 所有渲染器（预览、导出、服务端）共用，保证各处折行结果一致
+ */
+
+/** 测量一段文字的宽度 */
+export type MeasureText = (text: string) => number
+
+// 字素簇：国旗（成对的区域指示符）、带组合符号、肤色修饰、标签序列与零宽连接的 emoji 序列
+// 不使用 Intl.Segmenter，避免不同运行环境的切分结果不一致
+const GRAPHEME_PATTERN =
+  /\p{RI}{2}|[^\p{M}\u200D](?:[\p{M}\u{1F3FB}-\u{1F3FF}\u{E0020}-\u{E007F}]|\u200D[^\p{M}\s])*|[\p{M}\u200D]+/gsu
+
+// 组成单词的字符，连续出现时不在中间折行
+const WORD_CHAR = /^[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}\p{N}'’_.-]/u
+
+/** 不能出现在行首的字符：句末与句中标点、闭括号、小写假名与长音符 */
+export const NO_LINE_START = new Set(Array.from(
+  '，。！？、；：」』）】》〉〕］｝”’…‥·・ー々〜～ぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ,.!?;:)]}%'
+))
+
+/** 不能出现在行尾的字符：开括号与开引号 */
+export const NO_LINE_END = new Set(Array.from('「『（【《〈〔［｛“‘([{'))
+
+/**
+ * 按字素切分文字
+ */
+export function graphemes(text: string): string[] {
+  return text.match(GRAPHEME_PATTERN) ?? []
+}
+
+/**
+ * 把一段文字切成不可拆分的排版单元：单词连同其后的空格为一个单元，其余每个字素为一个单元；
+ * 不能出现在行首的标点并入前一个单元，开括号并入后一个单元
+ */
+export function breakUnits(paragraph: string): string[] {
+  const units: string[] = []
+  let inWord = false
+  let joinNext = false
+
+  for (const grapheme of graphemes(paragraph)) {
+    const last = units.length - 1
+    const isSpace = /^\s+$/.test(grapheme)
+    const isWord = WORD_CHAR.test(grapheme)
+
+    if (last >= 0 && (joinNext || isSpace || NO_LINE_START.has(grapheme) || (isWord && inWord))) {
+      units[last] += grapheme
+    } else {
+      units.push(grapheme)
+    }
+
+    joinNext = NO_LINE_END.has(grapheme)
+    // 空格之后的单词另起一个单元，标点并入单词后单词仍可继续（如 e.g、v1.0）
+    inWord = isWord || (inWord && !isSpace && NO_LINE_START.has(grapheme))
+  }
+
+  return units
+}
+
+/** 一行在原文中的位置，end 不含行尾空白 */
+export interface LineRange {
+  start: number
+  end: number
+}
+
+/** 测量原文 [start, end) 的宽度，供带样式的文字按片段测量 */
+export type MeasureRange = (start: number, end: number) => number
+
+const isSpaceAt = (text: string, index: number) => /\s/.test(text[index] ?? '')
+
+/**
+ * 单段折行：单元不拆开，超出整行宽度的单元才按字素拆分；
+ * 末行只剩一个字时从上一行移下一个单元，避免孤字
+ */
+function breakParagraph(
+  text: string,
+  paragraph: LineRange,
+  maxWidth: number,
+  measure: MeasureRange
+): LineRange[] {
+  const trimEnd = (start: number, end: number) => {
+    while (end > start && isSpaceAt(text, end - 1)) end--
+    return end
+  }
+  const fits = (start: number, end: number) => measure(start, trimEnd(start, end)) <= maxWidth
+  const lines: LineRange[][] = []
+  let line: LineRange[] = []
+
+  const place = (piece: LineRange) => {
+    if (line.length && !fits(line[0].start, piece.end)) {
+      lines.push(line)
+      line = []
+      let start = piece.start
+      while (start < piece.end && isSpaceAt(text, start)) start++
+      if (start === piece.end) return
+      piece = { start, end: piece.end }
+    }
+    line.push(piece)
+  }
+
+  let offset = paragraph.start
+  for (const unit of breakUnits(text.slice(paragraph.start, paragraph.end))) {
+    const piece = { start: offset, end: offset + unit.length }
+    offset = piece.end
+    if (fits(piece.start, piece.end)) {
+      place(piece)
+      continue
+    }
+    let start = piece.start
+    for (const grapheme of graphemes(unit)) {
+      place({ start, end: start + grapheme.length })
+      start += grapheme.length
+    }
+  }
+  lines.push(line)
+
+  const last = lines[lines.length - 1]
+  const previous = lines[lines.length - 2]
+  const lastText = last.length ? text.slice(last[0].start, last[last.length - 1].end).trim() : ''
+  if (previous && previous.length > 1 && graphemes(lastText).length === 1) {
+    const moved = [previous[previous.length - 1], ...last]
+    if (fits(moved[0].start, moved[moved.length - 1].end)) {
+      lines[lines.length - 2] = previous.slice(0, -1)
+      lines[lines.length - 1] = moved
+    }
+  }
+
+  return lines.map(pieces => {
+    if (!pieces.length) return { start: paragraph.start, end: paragraph.start }
+    const start = pieces[0].start
+    return { start, end: trimEnd(start, pieces[pieces.length - 1].end) }
+  })
+}
+
+/**
+ * 按可用宽度折行，返回每行在原文中的位置；显式换行（\n 或 \r\n）总是另起一行
+ */
+export function breakRanges(text: string, maxWidth: number, measure: MeasureRange): LineRange[] {
+  const ranges: LineRange[] = []
+  const newline = /\r?\n/g
+  let start = 0
+  for (let match = newline.exec(text); ; match = newline.exec(text)) {
+    const end = match ? match.index : text.length
+    ranges.push(...breakParagraph(text, { start, end }, maxWidth, measure))
+    if (!match) break
+    start = end + match[0].length
+  }
+  return ranges
+}
+
+/**
+ * 按可用宽度折行，保留显式换行
+ */
+export function breakLines(text: string, maxWidth: number, measure: MeasureText): string[] {
+  return breakRanges(text, maxWidth, (start, end) => measure(text.slice(start, end)))
+    .map(range => text.slice(range.start, range.end))
+}
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { parseRichText, sliceRuns, stripRichText } from './richText'
+
+const plain = { bold: false, highlight: false, color: null }
+
+describe('parseRichText', () => {
+  it('没有标记时得到单个片段', () => {
+    expect(parseRichText('普通标题')).toEqual([{ text: '普通标题', ...plain }])
+  })
+
+  it('解析加粗、强调色与指定颜色，支持嵌套', () => {
+    expect(parseRichText('学会 **Vue** 的 =={color:#f00}响应式{/color}原理==')).toEqual([
+      { text: '学会 ', ...plain },
+      { text: 'Vue', ...plain, bold: true },
+      { text: ' 的 ', ...plain },
+      { text: '响应式', ...plain, highlight: true, color: '#f00' },
+      { text: '原理', ...plain, highlight: true }
+    ])
+  })
+
+  it('落单的标记按原文显示', () => {
+    expect(parseRichText('2**3 == 8')).toEqual([{ text: '2**3 == 8', ...plain }])
+    expect(parseRichText('**a** ** b{/color}')).toEqual([
+      { text: 'a', ...plain, bold: true },
+      { text: ' ** b{/color}', ...plain }
+    ])
+  })
+})
+
+describe('stripRichText / sliceRuns', () => {
+  it('去掉标记得到纯文字', () => {
+    expect(stripRichText('**前端** =={color:red}周刊{/color}==')).toBe('前端 周刊')
+  })
+
+  it('按纯文字位置截取片段', () => {
+    const runs = parseRichText('ab**cd**ef')
+    expect(sliceRuns(runs, 1, 5)).toEqual([
+      { text: 'b', ...plain },
+      { text: 'cd', ...plain, bold: true },
+      { text: 'e', ...plain }
+    ])
+  })
+})
@@ -0,0 +1,100 @@
+/**
+ * 标题内联标记：**加粗**、==强调色==、{color:#f00}指定颜色{/color}
+ * 解析为带样式的文字片段，折行与绘制按片段进行
+ */
+
+export interface TextRun {
+  text: string
+  bold: boolean
+  /** 使用强调色绘制 */
+  highlight: boolean
+  /** 指定颜色，优先于强调色 */
+  color: string | null
+}
+
+const TOKEN_PATTERN = /\*\*|==|\{color:([^{}]+)\}|\{\/color\}/g
+
+// 成对出现的标记才生效，落单的最后一个按原文显示
+function pairedCount(markup: string, marker: string): number {
+  const count = markup.split(marker).length - 1
+  return count - (count % 2)
+}
+
+/**
+ * 解析标记；没有标记的文字得到单个片段
+ */
+export function parseRichText(markup: string): TextRun[] {
+  const runs: TextRun[] = []
+  const remaining = { '**': pairedCount(markup, '**'), '==': pairedCount(markup, '==') }
+  const colors: string[] = []
+  let bold = false
+  let highlight = false
+  let text = ''
+
+  const flush = () => {
+    if (!text) return
+    const color = colors[colors.length - 1] ?? null
+    const last = runs[runs.length - 1]
+    if (last && last.bold === bold && last.highlight === highlight && last.color === color) {
+      last.text += text
+    } else {
+      runs.push({ text, bold, highlight, color })
+    }
+    text = ''
+  }
+
+  let index = 0
+  for (const match of markup.matchAll(TOKEN_PATTERN)) {
+    const at = match.index ?? 0
+    text += markup.slice(index, at)
+    index = at + match[0].length
+    const token = match[0]
+
+    if (token === '**' || token === '==') {
+      if (remaining[token] === 0) {
+        text += token
+        continue
+      }
+      remaining[token]--
+      flush()
+      if (token === '**') bold = !bold
+      else highlight = !highlight
+    } else if (token === '{/color}') {
+      if (!colors.length) {
+        text += token
+        continue
+      }
+      flush()
+      colors.pop()
+    } else {
+      flush()
+      colors.push(match[1].trim())
+    }
+  }
+  text += markup.slice(index)
+  flush()
+
+  return runs
+}
+
+/**
+ * 去掉标记后的纯文字，用于文件名、分类等
+ */
+export function stripRichText(markup: string): string {
+  return parseRichText(markup).map(run => run.text).join('')
+}
+
+/**
+ * 取纯文字 [start, end) 范围内的片段
+ */
+export function sliceRuns(runs: TextRun[], start: number, end: number): TextRun[] {
+  const result: TextRun[] = []
+  let offset = 0
+  for (const run of runs) {
+    const from = Math.max(start, offset)
+    const to = Math.min(end, offset + run.text.length)
+    if (from < to) result.push({ ...run, text: run.text.slice(from - offset, to - offset) })
+    offset += run.text.length
+  }
+  return result
+}
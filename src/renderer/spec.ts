@@ -0,0 +1,521 @@
+/**
+ * 封面状态 → 渲染描述
+ * 编辑器 store、服务端 API 参数都先整理成 CoverState，再由 createCoverSpec 生成 CoverSpec
+ */
+
+import { withAlpha } from '../utils/color'
+import { encodeQrCode } from '../utils/qrcode'
+import { iconDataUrl } from './icons'
+import { DEFAULT_LAYERS, isRenderableLayer, normalizeLayers } from './layers'
+import { stripRichText } from './richText'
+import type {
+  BackgroundImageSpec,
+  CoverSpec,
+  ElementId,
+  ElementPositions,
+  GradientSpec,
+  GradientType,
+  IconShape,
+  IconSource,
+  IconSpec,
+  Layer,
+  PatternKind,
+  PatternSpec,
+  TextAlign,
+  TextSpec,
+  WatermarkPosition,
+  WatermarkSpec
+} from './types'
+
+export interface CoverState {
+  bgImageUrl: string | null
+  bgColor: string
+  /** 渐变色标，2–6 个颜色；null 时使用纯色 */
+  bgGradient: string[] | null
+  bgGradientType: GradientType
+  bgGradientAngle: number
+  bgPattern: PatternKind
+  bgPatternColor: string
+  /** 图案不透明度，百分比 */
+  bgPatternOpacity: number
+  bgPatternSize: number
+  bgBlur: number
+  /** 背景图焦点，0~1 */
+  bgFocusX: number
+  bgFocusY: number
+  /** 背景图放大倍数，1 为刚好铺满 */
+  bgZoom: number
+  /** 背景图调色，百分比，100 为原图 */
+  bgBrightness: number
+  bgContrast: number
+  bgSaturation: number
+  bgGrayscale: number
+  /** 双色调 [暗部, 亮部]，null 时不使用 */
+  bgDuotone: [string, string] | null
+  overlayColor: string
+  overlayOpacity: number
+  /** 暗角与颗粒强度，百分比 */
+  vignette: number
+  grain: number
+
+  squareImageUrl: string | null
+  squareSize: number
+  rotation: number
+  iconColor: string
+  iconBgSize: number
+  /** 图标来源：上传的图片、Iconify 图标名（前缀:名称）或 emoji */
+  iconSource: IconSource
+  iconName: string
+  iconEmoji: string
+  /** Iconify 单色图标的颜色 */
+  iconGlyphColor: string
+  iconShape: IconShape
+  iconRadius: number
+  iconBorderWidth: number
+  iconBorderColor: string
+
+  shadowColor: string
+  shadowBlur: number
+  shadowOffsetX: number
+  shadowOffsetY: number
+  shadowStrength: number
+
+  text: string
+  subtitle: string
+  textColor: string
+  textSize: number
+  lineHeight: number
+  textFit: boolean
+  maxLines: number
+  /** 投影强度，0 为关闭 */
+  text3D: number
+  textShadowColor: string
+  /** 投影不透明度，百分比 */
+  textShadowOpacity: number
+  /** 投影方向：每单位强度的水平、垂直位移 */
+  textShadowOffsetX: number
+  textShadowOffsetY: number
+  textGlowColor: string
+  /** 外发光半径，0 为关闭 */
+  textGlowSize: number
+  textGradient: [string, string] | null
+  textBoxColor: string
+  /** 文字底框不透明度，百分比，0 为关闭 */
+  textBoxOpacity: number
+  textBoxPadding: number
+  textBoxRadius: number
+  textStrokeWidth: number
+  textStrokeColor: string
+  /** ==强调== 标记的文字颜色 */
+  highlightColor: string
+  selectedFont: string
+  textAlign: TextAlign
+
+  watermark: string
+  watermarkColor: string
+  watermarkPosition: WatermarkPosition
+  /** 水印文字字号 */
+  watermarkSize: number
+  /** 0–100 */
+  watermarkOpacity: number
+  watermarkImageUrl: string | null
+  /** Logo 与二维码的边长 */
+  watermarkImageSize: number
+  /** 二维码内容（通常为文章链接），为空时不显示二维码 */
+  watermarkQrUrl: string
+
+  positions: ElementPositions
+  layers: Layer[]
+}
+
+export const DEFAULT_GRADIENT: string[] = ['#667eea', '#764ba2']
+
+/** 渐变最多的色标数 */
+export const MAX_GRADIENT_STOPS = 6
+
+export const DEFAULT_POSITIONS: ElementPositions = {
+  title: null,
+  subtitle: null,
+  icon: null,
+  watermark: null
+}
+
+export const DEFAULT_COVER_STATE: CoverState = {
+  bgImageUrl: null,
+  bgColor: '#ffffff',
+  bgGradient: DEFAULT_GRADIENT,
+  bgGradientType: 'linear',
+  bgGradientAngle: 135,
+  bgPattern: 'none',
+  bgPatternColor: '#ffffff',
+  bgPatternOpacity: 15,
+  bgPatternSize: 24,
+  bgBlur: 3,
+  bgFocusX: 0.5,
+  bgFocusY: 0.5,
+  bgZoom: 1,
+  bgBrightness: 100,
+  bgContrast: 100,
+  bgSaturation: 100,
+  bgGrayscale: 0,
+  bgDuotone: null,
+  overlayColor: '#000000',
+  overlayOpacity: 30,
+  vignette: 0,
+  grain: 0,
+
+  squareImageUrl: null,
+  squareSize: 300,
+  rotation: 0,
+  iconColor: '#eeeeee',
+  iconBgSize: 0,
+  iconSource: 'image',
+  iconName: 'ic:baseline-star',
+  iconEmoji: '✨',
+  iconGlyphColor: '#ffffff',
+  iconShape: 'rounded',
+  iconRadius: 30,
+  iconBorderWidth: 0,
+  iconBorderColor: '#ffffff',
+
+  shadowColor: '#646464',
+  shadowBlur: 120,
+  shadowOffsetX: 1,
+  shadowOffsetY: 1,
+  shadowStrength: 60,
+
+  text: '',
+  subtitle: '',
+  textColor: '#ffffff',
+  textSize: 200,
+  lineHeight: 1,
+  textFit: true,
+  maxLines: 3,
+  text3D: 0,
+  textShadowColor: '#000000',
+  textShadowOpacity: 40,
+  textShadowOffsetX: 1,
+  textShadowOffsetY: 1,
+  textGlowColor: '#ffffff',
+  textGlowSize: 0,
+  textGradient: null,
+  textBoxColor: '#000000',
+  textBoxOpacity: 0,
+  textBoxPadding: 24,
+  textBoxRadius: 999,
+  textStrokeWidth: 0,
+  textStrokeColor: '#000000',
+  highlightColor: '#fbbf24',
+  selectedFont: '',
+  textAlign: 'center',
+
+  watermark: '',
+  watermarkColor: '#dddddd',
+  watermarkPosition: 'bottom-right',
+  watermarkSize: 14,
+  watermarkOpacity: 100,
+  watermarkImageUrl: null,
+  watermarkImageSize: 64,
+  watermarkQrUrl: '',
+
+  positions: DEFAULT_POSITIONS,
+  layers: [...DEFAULT_LAYERS]
+}
+
+/** 导出倍率：按逻辑尺寸的 1x / 2x / 3x 输出 */
+export const EXPORT_SCALES = [1, 2, 3] as const
+export type ExportScale = (typeof EXPORT_SCALES)[number]
+
+/** 导出格式；avif 仅在浏览器支持编码时可用 */
+export const EXPORT_FORMATS = ['png', 'jpeg', 'webp', 'avif'] as const
+export type ExportFormat = (typeof EXPORT_FORMATS)[number]
+
+export const EXPORT_EXTENSIONS: Record<ExportFormat, string> = {
+  png: 'png',
+  jpeg: 'jpg',
+  webp: 'webp',
+  avif: 'avif'
+}
+
+/** 文件名中不允许出现的字符，控制字符另由 replaceControlChars 处理 */
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|]+/g
+const MAX_FILENAME_LENGTH = 60
+
+// 控制字符（U+0000–U+001F）替换为空格
+function replaceControlChars(text: string): string {
+  return Array.from(text, char => (char.charCodeAt(0) < 0x20 ? ' ' : char)).join('')
+}
+
+/**
+ * 由封面标题生成文件名，如 `我的标题@2x.webp`；标题为空时使用 cover
+ */
+export function coverFileName(title: string, format: ExportFormat | 'svg', scale = 1): string {
+  const base =
+    Array.from(
+      replaceControlChars(stripRichText(title))
+        .replace(UNSAFE_FILENAME_CHARS, ' ')
+        .trim()
+        .replace(/\s+/g, '-')
+        .replace(/^\.+/, '')
+    )
+      .slice(0, MAX_FILENAME_LENGTH)
+      .join('') || 'cover'
+  const suffix = scale > 1 ? `@${scale}x` : ''
+  return `${base}${suffix}.${format === 'svg' ? 'svg' : EXPORT_EXTENSIONS[format]}`
+}
+
+const TEXT_ALIGNS: readonly TextAlign[] = ['center', 'left', 'right']
+
+const WATERMARK_POSITIONS: readonly WatermarkPosition[] = [
+  'bottom-right',
+  'bottom-left',
+  'top-right',
+  'top-left',
+  'center',
+  'tiled'
+]
+
+// 每次重绘都会生成 CoverSpec，缓存最近一次的二维码避免重复编码
+let lastQrCode: { text: string; modules: boolean[][] | null } | null = null
+
+function qrModules(text: string): boolean[][] | null {
+  if (lastQrCode?.text !== text) {
+    let modules: boolean[][] | null = null
+    try {
+      modules = encodeQrCode(text).modules
+    } catch (error) {
+      console.warn('Failed to encode watermark QR code:', error)
+    }
+    lastQrCode = { text, modules }
+  }
+  return lastQrCode.modules
+}
+
+// 文字、Logo 与二维码都没有时不显示水印
+function watermarkSpec(state: CoverState): WatermarkSpec | null {
+  const d = DEFAULT_COVER_STATE
+  const qrText = toText(state.watermarkQrUrl).trim()
+  const qr = qrText ? qrModules(qrText) : null
+  const image = state.watermarkImageUrl || null
+  const text = toText(state.watermark)
+  if (!text && !image && !qr) return null
+
+  return {
+    text,
+    color: state.watermarkColor,
+    fontFamily: state.selectedFont,
+    fontSize: Math.max(1, toNumber(state.watermarkSize, d.watermarkSize)),
+    opacity: clamp(toNumber(state.watermarkOpacity, d.watermarkOpacity) / 100, 0, 1),
+    position: WATERMARK_POSITIONS.includes(state.watermarkPosition) ? state.watermarkPosition : d.watermarkPosition,
+    image,
+    qr,
+    imageSize: Math.max(1, toNumber(state.watermarkImageSize, d.watermarkImageSize))
+  }
+}
+
+/** 副标题字号相对主标题的比例 */
+const SUBTITLE_SCALE = 0.44
+
+// 表单控件（range 等）绑定的值可能是字符串
+function toNumber(value: unknown, fallback: number): number {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : fallback
+}
+
+// API 传入的文字字段可能不是字符串：数字转为文字，其余按空字符串处理
+function toText(value: unknown): string {
+  if (typeof value === 'string') return value
+  return typeof value === 'number' ? String(value) : ''
+}
+
+// 主标题与副标题共用的文字效果，描边、发光与底框随字号按 scale 缩放
+function textEffects(state: CoverState, scale: number): Pick<
+  TextSpec,
+  'gradient' | 'shadow' | 'glow' | 'backdrop' | 'strokeWidth' | 'strokeColor' | 'highlightColor'
+> {
+  const d = DEFAULT_COVER_STATE
+  const depth = toNumber(state.text3D, d.text3D)
+  const glow = toNumber(state.textGlowSize, d.textGlowSize) * scale
+  const boxOpacity = toNumber(state.textBoxOpacity, d.textBoxOpacity)
+  return {
+    gradient: textGradient(state),
+    shadow: depth > 0
+      ? {
+          color: withAlpha(state.textShadowColor, toNumber(state.textShadowOpacity, d.textShadowOpacity) / 100),
+          blur: depth * 0.5,
+          offsetX: depth * toNumber(state.textShadowOffsetX, d.textShadowOffsetX),
+          offsetY: depth * toNumber(state.textShadowOffsetY, d.textShadowOffsetY)
+        }
+      : null,
+    glow: glow > 0 ? { color: state.textGlowColor, size: glow } : null,
+    backdrop: boxOpacity > 0
+      ? {
+          color: state.textBoxColor,
+          opacity: Math.min(100, boxOpacity) / 100,
+          padding: toNumber(state.textBoxPadding, d.textBoxPadding) * scale,
+          radius: toNumber(state.textBoxRadius, d.textBoxRadius) * scale
+        }
+      : null,
+    strokeWidth: toNumber(state.textStrokeWidth, d.textStrokeWidth) * scale,
+    strokeColor: state.textStrokeColor,
+    highlightColor: state.highlightColor
+  }
+}
+
+const PATTERN_KINDS: readonly PatternKind[] = ['dots', 'grid', 'noise']
+
+// 少于两个色标时不构成渐变，回退到纯色
+function backgroundGradient(state: CoverState): GradientSpec | null {
+  if (!Array.isArray(state.bgGradient) || state.bgGradient.length < 2) return null
+  return {
+    type: state.bgGradientType,
+    colors: state.bgGradient.slice(0, MAX_GRADIENT_STOPS),
+    angle: toNumber(state.bgGradientAngle, DEFAULT_COVER_STATE.bgGradientAngle)
+  }
+}
+
+// 文字渐变需要两个颜色
+function textGradient(state: CoverState): [string, string] | null {
+  const colors = state.textGradient
+  if (!Array.isArray(colors) || colors.length < 2) return null
+  return colors.every(color => typeof color === 'string') ? [colors[0], colors[1]] : null
+}
+
+// 位置必须是 0~1 之间的比例，无效的位置使用默认布局
+function elementPositions(state: CoverState): ElementPositions {
+  const positions: ElementPositions = { ...DEFAULT_POSITIONS }
+  if (typeof state.positions !== 'object' || state.positions === null) return positions
+  for (const id of Object.keys(positions) as ElementId[]) {
+    const point = state.positions[id]
+    if (point && Number.isFinite(point.x) && Number.isFinite(point.y)) {
+      positions[id] = { x: clamp(point.x, 0, 1), y: clamp(point.y, 0, 1) }
+    }
+  }
+  return positions
+}
+
+function backgroundPattern(state: CoverState): PatternSpec | null {
+  const d = DEFAULT_COVER_STATE
+  const opacity = Math.min(100, toNumber(state.bgPatternOpacity, d.bgPatternOpacity))
+  if (!PATTERN_KINDS.includes(state.bgPattern) || opacity <= 0) return null
+  return {
+    kind: state.bgPattern as PatternSpec['kind'],
+    color: state.bgPatternColor,
+    opacity: opacity / 100,
+    size: Math.max(4, toNumber(state.bgPatternSize, d.bgPatternSize))
+  }
+}
+
+const clamp = (value: number, min: number, max: number) => Math.min(max, Math.max(min, value))
+
+function backgroundImage(state: CoverState): BackgroundImageSpec | null {
+  if (!state.bgImageUrl) return null
+  const d = DEFAULT_COVER_STATE
+  const percent = (value: number, fallback: number, max: number) => clamp(toNumber(value, fallback), 0, max) / 100
+  return {
+    src: state.bgImageUrl,
+    focus: {
+      x: clamp(toNumber(state.bgFocusX, d.bgFocusX), 0, 1),
+      y: clamp(toNumber(state.bgFocusY, d.bgFocusY), 0, 1)
+    },
+    zoom: Math.max(1, toNumber(state.bgZoom, d.bgZoom)),
+    adjust: {
+      brightness: percent(state.bgBrightness, d.bgBrightness, 200),
+      contrast: percent(state.bgContrast, d.bgContrast, 200),
+      saturation: percent(state.bgSaturation, d.bgSaturation, 200),
+      grayscale: percent(state.bgGrayscale, d.bgGrayscale, 100)
+    },
+    duotone: Array.isArray(state.bgDuotone) && state.bgDuotone.length === 2 ? state.bgDuotone : null
+  }
+}
+
+const ICON_SHAPES: readonly IconShape[] = ['rounded', 'circle', 'squircle', 'hexagon', 'none']
+
+// 没有可绘制的内容（未上传图片、图标名无效、emoji 为空）时不显示图标
+function iconSpec(state: CoverState): IconSpec | null {
+  const d = DEFAULT_COVER_STATE
+  const source = state.iconSource ?? d.iconSource
+  const glyphColor = toText(state.iconGlyphColor) || d.iconGlyphColor
+  const image =
+    source === 'iconify'
+      ? iconDataUrl(toText(state.iconName), glyphColor)
+      : source === 'image'
+        ? state.squareImageUrl
+        : null
+  const emoji = source === 'emoji' ? toText(state.iconEmoji).trim() || null : null
+  if (!image && !emoji) return null
+
+  const borderWidth = Math.max(0, toNumber(state.iconBorderWidth, d.iconBorderWidth))
+  return {
+    image,
+    emoji,
+    glyph: source !== 'image',
+    glyphColor,
+    size: toNumber(state.squareSize, d.squareSize),
+    rotation: toNumber(state.rotation, d.rotation),
+    backgroundColor: state.iconColor,
+    backgroundPadding: toNumber(state.iconBgSize, d.iconBgSize),
+    shape: ICON_SHAPES.includes(state.iconShape) ? state.iconShape : d.iconShape,
+    radius: Math.max(0, toNumber(state.iconRadius, d.iconRadius)),
+    border: borderWidth > 0 ? { width: borderWidth, color: state.iconBorderColor } : null,
+    shadow: {
+      color: state.shadowColor,
+      blur: toNumber(state.shadowBlur, d.shadowBlur),
+      offsetX: toNumber(state.shadowOffsetX, d.shadowOffsetX),
+      offsetY: toNumber(state.shadowOffsetY, d.shadowOffsetY)
+    }
+  }
+}
+
+export function createCoverSpec(
+  partial: Partial<CoverState>,
+  size: { width: number; height: number }
+): CoverSpec {
+  const state: CoverState = { ...DEFAULT_COVER_STATE, ...partial }
+  const d = DEFAULT_COVER_STATE
+  const textSize = toNumber(state.textSize, d.textSize)
+
+  return {
+    width: size.width,
+    height: size.height,
+    background: {
+      color: state.bgColor,
+      gradient: backgroundGradient(state),
+      pattern: backgroundPattern(state),
+      image: backgroundImage(state),
+      blur: toNumber(state.bgBlur, d.bgBlur)
+    },
+    overlay: {
+      color: state.overlayColor,
+      opacity: toNumber(state.overlayOpacity, d.overlayOpacity) / 100,
+      vignette: clamp(toNumber(state.vignette, d.vignette), 0, 100) / 100,
+      grain: clamp(toNumber(state.grain, d.grain), 0, 100) / 100
+    },
+    align: TEXT_ALIGNS.includes(state.textAlign) ? state.textAlign : d.textAlign,
+    textFit: state.textFit ? { maxLines: Math.max(1, Math.round(toNumber(state.maxLines, d.maxLines))) } : null,
+    title: {
+      text: toText(state.text),
+      color: state.textColor,
+      fontFamily: state.selectedFont,
+      fontWeight: '600',
+      fontSize: textSize,
+      lineHeight: toNumber(state.lineHeight, d.lineHeight),
+      opacity: 1,
+      ...textEffects(state, 1)
+    },
+    subtitle: {
+      text: toText(state.subtitle),
+      color: state.textColor,
+      fontFamily: state.selectedFont,
+      fontWeight: '400',
+      fontSize: Math.round(textSize * SUBTITLE_SCALE),
+      lineHeight: 1.25,
+      opacity: 0.8,
+      ...textEffects(state, SUBTITLE_SCALE)
+    },
+    icon: iconSpec(state),
+    watermark: watermarkSpec(state),
+    positions: elementPositions(state),
+    layers: normalizeLayers(Array.isArray(state.layers) ? state.layers.filter(isRenderableLayer) : [])
+  }
+}
@@ -0,0 +1,674 @@
+/**
+ * SVG画布
+ * 模拟 2D 绘图上下文，把绘制指令记录为 SVG 元素。
+ * 服务端（没有原生 canvas 的边缘运行时）用它渲染封面，再交给 resvg 栅格化
+ */
+
+import { graphemes } from './linebreak'
+import type { RenderContext, RenderGradient, RenderImage, RenderSurface } from './types'
+
+type Matrix = [number, number, number, number, number, number]
+
+interface Point {
+  x: number
+  y: number
+}
+
+interface ContextState {
+  fillStyle: string | RenderGradient | CanvasPattern
+  strokeStyle: string | RenderGradient | CanvasPattern
+  lineWidth: number
+  lineJoin: CanvasLineJoin
+  globalAlpha: number
+  globalCompositeOperation: GlobalCompositeOperation
+  font: string
+  textAlign: CanvasTextAlign
+  textBaseline: CanvasTextBaseline
+  filter: string
+  shadowColor: string
+  shadowBlur: number
+  shadowOffsetX: number
+  shadowOffsetY: number
+  transform: Matrix
+  clipId: string | null
+}
+
+export interface SvgImage extends RenderImage {
+  readonly src: string
+}
+
+export interface SvgCanvasOptions {
+  /** 自定义文字宽度测量；浏览器中可传入真实画布的测量结果，使折行与预览一致 */
+  measureText?: (text: string, font: string) => number
+}
+
+const XML_ESCAPES: Record<string, string> = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+}
+
+const BLEND_MODES = new Set([
+  'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+  'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+])
+
+// 嵌套画布的定义会合并到同一个文档中，ID 必须全局唯一
+let idCounter = 0
+
+function nextId(prefix: string): string {
+  idCounter += 1
+  return `${prefix}${idCounter}`
+}
+
+export function escapeXml(value: string): string {
+  return value.replace(/[&<>"']/g, ch => XML_ESCAPES[ch])
+}
+
+function num(value: number): string {
+  return Number.isInteger(value) ? String(value) : value.toFixed(3).replace(/\.?0+$/, '')
+}
+
+function isIdentity([a, b, c, d, e, f]: Matrix): boolean {
+  return a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0
+}
+
+function isTransparent(color: string): boolean {
+  return color === 'transparent' || /^rgba\(.*,\s*0\s*\)$/.test(color)
+}
+
+/**
+ * 解析 CSS font 简写，例如 "italic bold 72px Roboto, sans-serif"
+ */
+export function parseFont(font: string): { style: string; weight: string; size: number; family: string } {
+  const match = /^\s*(?:(italic|oblique|normal)\s+)?(?:(normal|bold|bolder|lighter|\d{3})\s+)?(\d+(?:\.\d+)?)px\s+(.+)$/.exec(font)
+  if (!match) {
+    return { style: 'normal', weight: 'normal', size: 10, family: 'sans-serif' }
+  }
+  return {
+    style: match[1] || 'normal',
+    weight: match[2] || 'normal',
+    size: parseFloat(match[3]),
+    family: match[4].trim()
+  }
+}
+
+/**
+ * 估算字符宽度（单位: em）
+ * SVG 画布没有字体度量信息，按字符类别近似；emoji 序列等字素簇按首个码位计一个字宽
+ */
+function charWidth(ch: string): number {
+  const code = ch.codePointAt(0) ?? 0
+  if (code >= 0x1100 && (
+    code <= 0x115f ||
+    (code >= 0x2e80 && code <= 0xa4cf) ||
+    (code >= 0xac00 && code <= 0xd7a3) ||
+    (code >= 0xf900 && code <= 0xfaff) ||
+    (code >= 0xfe30 && code <= 0xfe4f) ||
+    (code >= 0xff00 && code <= 0xff60) ||
+    (code >= 0xffe0 && code <= 0xffe6) ||
+    code >= 0x1f300
+  )) {
+    return 1
+  }
+  if (ch === ' ') return 0.28
+  if (/[A-Z]/.test(ch)) return 0.64
+  if (/[a-z]/.test(ch)) return 0.52
+  if (/[0-9]/.test(ch)) return 0.56
+  return 0.34
+}
+
+const FILTER_FUNCTION = /(blur|brightness|contrast|saturate|grayscale)\((\d+(?:\.\d+)?)(px|%)?\)/g
+
+/**
+ * 把 canvas 的 CSS filter 转为 SVG 滤镜原语，按书写顺序依次应用；不支持的函数忽略
+ */
+function filterPrimitives(filter: string): string {
+  const primitives: string[] = []
+  const linear = (slope: number, intercept = 0) =>
+    ['R', 'G', 'B']
+      .map(c => `<feFunc${c} type="linear" slope="${num(slope)}" intercept="${num(intercept)}"/>`)
+      .join('')
+
+  for (const [, name, raw, unit] of filter.matchAll(FILTER_FUNCTION)) {
+    const value = unit === '%' ? parseFloat(raw) / 100 : parseFloat(raw)
+    switch (name) {
+      case 'blur':
+        if (value > 0) primitives.push(`<feGaussianBlur stdDeviation="${num(value)}"/>`)
+        break
+      case 'brightness':
+        if (value !== 1) primitives.push(`<feComponentTransfer>${linear(value)}</feComponentTransfer>`)
+        break
+      case 'contrast':
+        if (value !== 1) primitives.push(`<feComponentTransfer>${linear(value, (1 - value) / 2)}</feComponentTransfer>`)
+        break
+      case 'saturate':
+        if (value !== 1) primitives.push(`<feColorMatrix type="saturate" values="${num(value)}"/>`)
+        break
+      case 'grayscale':
+        // CSS 的 grayscale(g) 与 saturate(1 - g) 是同一个矩阵
+        if (value > 0) primitives.push(`<feColorMatrix type="saturate" values="${num(1 - Math.min(1, value))}"/>`)
+        break
+    }
+  }
+  return primitives.join('')
+}
+
+class SvgGradient implements RenderGradient {
+  readonly id = nextId('g')
+  private stops: { offset: number; color: string }[] = []
+
+  constructor(
+    private type: 'linear' | 'radial',
+    private coords: Record<string, number>
+  ) {}
+
+  addColorStop(offset: number, color: string): void {
+    this.stops.push({ offset, color })
+  }
+
+  toSVG(): string {
+    const stops = this.stops
+      .map(s => `<stop offset="${num(s.offset)}" stop-color="${escapeXml(s.color)}"/>`)
+      .join('')
+    const attrs = Object.entries(this.coords)
+      .map(([key, value]) => `${key}="${num(value)}"`)
+      .join(' ')
+    const tag = this.type === 'radial' ? 'radialGradient' : 'linearGradient'
+    return `<${tag} id="${this.id}" gradientUnits="userSpaceOnUse" ${attrs}>${stops}</${tag}>`
+  }
+}
+
+export class SvgRenderingContext implements RenderContext {
+  fillStyle: string | RenderGradient | CanvasPattern = '#000000'
+  strokeStyle: string | RenderGradient | CanvasPattern = '#000000'
+  lineWidth = 1
+  lineJoin: CanvasLineJoin = 'miter'
+  globalAlpha = 1
+  globalCompositeOperation: GlobalCompositeOperation = 'source-over'
+  font = '10px sans-serif'
+  textAlign: CanvasTextAlign = 'start'
+  textBaseline: CanvasTextBaseline = 'alphabetic'
+  filter = 'none'
+  shadowColor = 'rgba(0, 0, 0, 0)'
+  shadowBlur = 0
+  shadowOffsetX = 0
+  shadowOffsetY = 0
+
+  /** 渐变的色标在创建后才添加，因此延迟到输出时再序列化 */
+  readonly defs: (string | SvgGradient)[] = []
+  elements: string[] = []
+
+  private transform: Matrix = [1, 0, 0, 1, 0, 0]
+  private clipId: string | null = null
+  private stack: ContextState[] = []
+  private path: string[] = []
+  private current: Point | null = null
+  private subpathStart: Point | null = null
+
+  constructor(private surface: SvgCanvas) {}
+
+  save(): void {
+    this.stack.push({
+      fillStyle: this.fillStyle,
+      strokeStyle: this.strokeStyle,
+      lineWidth: this.lineWidth,
+      lineJoin: this.lineJoin,
+      globalAlpha: this.globalAlpha,
+      globalCompositeOperation: this.globalCompositeOperation,
+      font: this.font,
+      textAlign: this.textAlign,
+      textBaseline: this.textBaseline,
+      filter: this.filter,
+      shadowColor: this.shadowColor,
+      shadowBlur: this.shadowBlur,
+      shadowOffsetX: this.shadowOffsetX,
+      shadowOffsetY: this.shadowOffsetY,
+      transform: [...this.transform],
+      clipId: this.clipId
+    })
+  }
+
+  restore(): void {
+    const state = this.stack.pop()
+    if (state) Object.assign(this, state)
+  }
+
+  translate(x: number, y: number): void {
+    const [a, b, c, d, e, f] = this.transform
+    this.transform = [a, b, c, d, e + a * x + c * y, f + b * x + d * y]
+  }
+
+  rotate(angle: number): void {
+    const [a, b, c, d, e, f] = this.transform
+    const cos = Math.cos(angle)
+    const sin = Math.sin(angle)
+    this.transform = [a * cos + c * sin, b * cos + d * sin, c * cos - a * sin, d * cos - b * sin, e, f]
+  }
+
+  scale(x: number, y: number): void {
+    const [a, b, c, d, e, f] = this.transform
+    this.transform = [a * x, b * x, c * y, d * y, e, f]
+  }
+
+  createLinearGradient(x0: number, y0: number, x1: number, y1: number): RenderGradient {
+    const gradient = new SvgGradient('linear', { x1: x0, y1: y0, x2: x1, y2: y1 })
+    this.defs.push(gradient)
+    return gradient
+  }
+
+  createRadialGradient(x0: number, y0: number, r0: number, x1: number, y1: number, r1: number): RenderGradient {
+    const gradient = new SvgGradient('radial', { fx: x0, fy: y0, fr: r0, cx: x1, cy: y1, r: r1 })
+    this.defs.push(gradient)
+    return gradient
+  }
+
+  // ---- 路径 ----
+  // 路径点在记录时即按当前变换换算为画布坐标
+
+  private apply({ x, y }: Point): Point {
+    const [a, b, c, d, e, f] = this.transform
+    return { x: a * x + c * y + e, y: b * x + d * y + f }
+  }
+
+  private scaleFactor(): number {
+    const [a, b, c, d] = this.transform
+    return Math.sqrt(Math.abs(a * d - b * c))
+  }
+
+  beginPath(): void {
+    this.path = []
+    this.current = null
+    this.subpathStart = null
+  }
+
+  closePath(): void {
+    if (this.path.length) {
+      this.path.push('Z')
+      this.current = this.subpathStart
+    }
+  }
+
+  moveTo(x: number, y: number): void {
+    const p = this.apply({ x, y })
+    this.path.push(`M${num(p.x)} ${num(p.y)}`)
+    this.current = p
+    this.subpathStart = p
+  }
+
+  lineTo(x: number, y: number): void {
+    if (!this.current) {
+      this.moveTo(x, y)
+      return
+    }
+    const p = this.apply({ x, y })
+    this.path.push(`L${num(p.x)} ${num(p.y)}`)
+    this.current = p
+  }
+
+  private lineToAbsolute(p: Point): void {
+    if (this.current) {
+      this.path.push(`L${num(p.x)} ${num(p.y)}`)
+    } else {
+      this.path.push(`M${num(p.x)} ${num(p.y)}`)
+      this.subpathStart = p
+    }
+    this.current = p
+  }
+
+  arc(x: number, y: number, radius: number, startAngle: number, endAngle: number, counterclockwise = false): void {
+    let sweep = endAngle - startAngle
+    if (counterclockwise) sweep = -sweep
+    const full = sweep >= Math.PI * 2
+    if (!full) {
+      sweep = ((sweep % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2)
+    }
+
+    const pointAt = (angle: number): Point => this.apply({
+      x: x + radius * Math.cos(angle),
+      y: y + radius * Math.sin(angle)
+    })
+
+    const [a, b, c, d] = this.transform
+    const mirrored = a * d - b * c < 0
+    const sweepFlag = (counterclockwise !== mirrored) ? 0 : 1
+    const r = num(radius * this.scaleFactor())
+    const direction = counterclockwise ? -1 : 1
+
+    this.lineToAbsolute(pointAt(startAngle))
+
+    if (full) {
+      const mid = pointAt(startAngle + direction * Math.PI)
+      const end = pointAt(startAngle)
+      this.path.push(`A${r} ${r} 0 0 ${sweepFlag} ${num(mid.x)} ${num(mid.y)}`)
+      this.path.push(`A${r} ${r} 0 0 ${sweepFlag} ${num(end.x)} ${num(end.y)}`)
+      this.current = end
+      return
+    }
+
+    const end = pointAt(startAngle + direction * sweep)
+    const largeArc = sweep > Math.PI ? 1 : 0
+    this.path.push(`A${r} ${r} 0 ${largeArc} ${sweepFlag} ${num(end.x)} ${num(end.y)}`)
+    this.current = end
+  }
+
+  arcTo(x1: number, y1: number, x2: number, y2: number, radius: number): void {
+    const p1 = this.apply({ x: x1, y: y1 })
+    if (!this.current) {
+      this.lineToAbsolute(p1)
+      return
+    }
+    const p0 = this.current
+    const p2 = this.apply({ x: x2, y: y2 })
+    const r = radius * this.scaleFactor()
+
+    const v1 = { x: p0.x - p1.x, y: p0.y - p1.y }
+    const v2 = { x: p2.x - p1.x, y: p2.y - p1.y }
+    const len1 = Math.hypot(v1.x, v1.y)
+    const len2 = Math.hypot(v2.x, v2.y)
+    const cross = v1.x * v2.y - v1.y * v2.x
+
+    if (r === 0 || len1 === 0 || len2 === 0 || Math.abs(cross) < 1e-9) {
+      this.lineToAbsolute(p1)
+      return
+    }
+
+    const angle = Math.acos(Math.max(-1, Math.min(1, (v1.x * v2.x + v1.y * v2.y) / (len1 * len2))))
+    const tangent = r / Math.tan(angle / 2)
+    const t1 = { x: p1.x + (v1.x / len1) * tangent, y: p1.y + (v1.y / len1) * tangent }
+    const t2 = { x: p1.x + (v2.x / len2) * tangent, y: p1.y + (v2.y / len2) * tangent }
+    const sweepFlag = cross < 0 ? 1 : 0
+
+    this.lineToAbsolute(t1)
+    this.path.push(`A${num(r)} ${num(r)} 0 0 ${sweepFlag} ${num(t2.x)} ${num(t2.y)}`)
+    this.current = t2
+  }
+
+  rect(x: number, y: number, width: number, height: number): void {
+    this.moveTo(x, y)
+    this.lineTo(x + width, y)
+    this.lineTo(x + width, y + height)
+    this.lineTo(x, y + height)
+    this.closePath()
+  }
+
+  fill(): void {
+    if (!this.path.length) return
+    this.emit(`<path d="${this.path.join('')}" fill="${this.paint(this.fillStyle)}"/>`)
+  }
+
+  stroke(): void {
+    if (!this.path.length) return
+    const width = num(this.lineWidth * this.scaleFactor())
+    this.emit(`<path d="${this.path.join('')}" fill="none" stroke="${this.paint(this.strokeStyle)}" stroke-width="${width}"/>`)
+  }
+
+  clip(): void {
+    if (!this.path.length) return
+    const id = nextId('c')
+    const parent = this.clipId ? ` clip-path="url(#${this.clipId})"` : ''
+    this.defs.push(`<clipPath id="${id}"${parent}><path d="${this.path.join('')}"/></clipPath>`)
+    this.clipId = id
+  }
+
+  // ---- 绘制 ----
+
+  private paint(style: string | RenderGradient | CanvasPattern): string {
+    return style instanceof SvgGradient ? `url(#${style.id})` : escapeXml(String(style))
+  }
+
+  private transformAttr(): string {
+    return isIdentity(this.transform)
+      ? ''
+      : ` transform="matrix(${this.transform.map(num).join(' ')})"`
+  }
+
+  /**
+   * 按 canvas 的合成顺序包装元素：滤镜 → 阴影 → 透明度/混合 → 裁剪
+   */
+  private emit(element: string): void {
+    let out = element
+
+    const primitives = filterPrimitives(this.filter)
+    if (primitives) {
+      const id = nextId('f')
+      // canvas 的滤镜在 sRGB 空间计算
+      this.defs.push(
+        `<filter id="${id}" x="-10%" y="-10%" width="120%" height="120%" color-interpolation-filters="sRGB">${primitives}</filter>`
+      )
+      out = `<g filter="url(#${id})">${out}</g>`
+    }
+
+    const attrs: string[] = []
+    const hasShadow = !isTransparent(this.shadowColor) &&
+      (this.shadowBlur > 0 || this.shadowOffsetX !== 0 || this.shadowOffsetY !== 0)
+    if (hasShadow) {
+      const id = nextId('s')
+      this.defs.push(
+        `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%"><feDropShadow dx="${num(this.shadowOffsetX)}" dy="${num(this.shadowOffsetY)}" stdDeviation="${num(this.shadowBlur / 2)}" flood-color="${escapeXml(this.shadowColor)}"/></filter>`
+      )
+      attrs.push(`filter="url(#${id})"`)
+    }
+    if (this.globalAlpha < 1) {
+      attrs.push(`opacity="${num(this.globalAlpha)}"`)
+    }
+    if (BLEND_MODES.has(this.globalCompositeOperation)) {
+      attrs.push(`style="mix-blend-mode:${this.globalCompositeOperation}"`)
+    }
+    if (attrs.length) {
+      out = `<g ${attrs.join(' ')}>${out}</g>`
+    }
+
+    if (this.clipId) {
+      out = `<g clip-path="url(#${this.clipId})">${out}</g>`
+    }
+
+    this.elements.push(out)
+  }
+
+  clearRect(x: number, y: number, width: number, height: number): void {
+    if (x <= 0 && y <= 0 && width >= this.surface.width && height >= this.surface.height) {
+      this.elements = []
+    }
+  }
+
+  fillRect(x: number, y: number, width: number, height: number): void {
+    this.emit(
+      `<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" fill="${this.paint(this.fillStyle)}"${this.transformAttr()}/>`
+    )
+  }
+
+  drawImage(image: CanvasImageSource | RenderImage, dx: number, dy: number, dw: number, dh: number): void {
+    if (image instanceof SvgCanvas) {
+      const inner = image.getContext('2d')
+      this.defs.push(...inner.defs)
+      this.emit(
+        `<g${this.transformAttr()}><svg x="${num(dx)}" y="${num(dy)}" width="${num(dw)}" height="${num(dh)}" viewBox="0 0 ${image.width} ${image.height}" preserveAspectRatio="none">${inner.elements.join('')}</svg></g>`
+      )
+      return
+    }
+
+    const source = image as { src?: string; toDataURL?: () => string }
+    const href = source.src ?? source.toDataURL?.()
+    if (!href) return
+    this.emit(
+      `<image href="${escapeXml(href)}" x="${num(dx)}" y="${num(dy)}" width="${num(dw)}" height="${num(dh)}" preserveAspectRatio="none"${this.transformAttr()}/>`
+    )
+  }
+
+  measureText(text: string): { width: number } {
+    const measure = this.surface.options.measureText
+    if (measure) return { width: measure(text, this.font) }
+
+    const { size, weight } = parseFont(this.font)
+    const boldFactor = weight === 'bold' || Number(weight) >= 600 ? 1.05 : 1
+    let width = 0
+    for (const ch of graphemes(text)) width += charWidth(ch)
+    return { width: width * size * boldFactor }
+  }
+
+  private text(text: string, x: number, y: number, paint: string[]): void {
+    const font = parseFont(this.font)
+    const anchor = ({ center: 'middle', right: 'end', end: 'end' } as Record<string, string>)[this.textAlign]
+    const baseline = ({ middle: 'central', top: 'hanging', hanging: 'hanging' } as Record<string, string>)[this.textBaseline]
+    const attrs = [
+      `x="${num(x)}"`,
+      `y="${num(y)}"`,
+      ...paint,
+      `font-family="${escapeXml(font.family)}"`,
+      `font-size="${num(font.size)}"`,
+      font.weight !== 'normal' ? `font-weight="${font.weight}"` : '',
+      font.style !== 'normal' ? `font-style="${font.style}"` : '',
+      anchor ? `text-anchor="${anchor}"` : '',
+      baseline ? `dominant-baseline="${baseline}"` : '',
+      'xml:space="preserve"'
+    ].filter(Boolean)
+    this.emit(`<text ${attrs.join(' ')}${this.transformAttr()}>${escapeXml(text)}</text>`)
+  }
+
+  fillText(text: string, x: number, y: number): void {
+    this.text(text, x, y, [`fill="${this.paint(this.fillStyle)}"`])
+  }
+
+  strokeText(text: string, x: number, y: number): void {
+    this.text(text, x, y, [
+      'fill="none"',
+      `stroke="${this.paint(this.strokeStyle)}"`,
+      `stroke-width="${num(this.lineWidth)}"`,
+      this.lineJoin !== 'miter' ? `stroke-linejoin="${this.lineJoin}"` : ''
+    ])
+  }
+}
+
+export class SvgCanvas implements RenderSurface {
+  private context: SvgRenderingContext | null = null
+
+  constructor(
+    readonly width: number,
+    readonly height: number,
+    readonly options: SvgCanvasOptions = {}
+  ) {}
+
+  getContext(_type: '2d'): SvgRenderingContext {
+    if (!this.context) this.context = new SvgRenderingContext(this)
+    return this.context
+  }
+
+  /**
+   * 序列化为 SVG 文档
+   * @param stylesheets 需要 @import 的样式表（如网络字体），供设计软件或浏览器打开时加载字体
+   */
+  toSVG(stylesheets: string[] = []): string {
+    const ctx = this.getContext('2d')
+    const style = stylesheets.length
+      ? `<style>${stylesheets.map(url => `@import url("${escapeXml(url)}");`).join('')}</style>`
+      : ''
+    const defs =
+      style || ctx.defs.length
+        ? `<defs>${style}${ctx.defs.map(d => (typeof d === 'string' ? d : d.toSVG())).join('')}</defs>`
+        : ''
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">${defs}${ctx.elements.join('')}</svg>`
+  }
+}
+
+/**
+ * 创建SVG画布
+ */
+export function createSvgCanvas(width: number, height: number, options?: SvgCanvasOptions): SvgCanvas {
+  return new SvgCanvas(width, height, options)
+}
+
+/**
+ * 从文件头读取图片尺寸（PNG/JPEG/GIF/WebP）
+ */
+function readImageSize(bytes: Uint8Array): { width: number; height: number; type: string } {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  // PNG: IHDR 紧跟在签名之后
+  if (bytes[0] === 0x89 && bytes[1] === 0x50) {
+    return { width: view.getUint32(16), height: view.getUint32(20), type: 'image/png' }
+  }
+
+  // GIF
+  if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) {
+    return { width: view.getUint16(6, true), height: view.getUint16(8, true), type: 'image/gif' }
+  }
+
+  // WebP: RIFF....WEBP
+  if (bytes[0] === 0x52 && bytes[8] === 0x57 && bytes[9] === 0x45) {
+    const chunk = String.fromCharCode(bytes[12], bytes[13], bytes[14], bytes[15])
+    if (chunk === 'VP8 ') {
+      return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff, type: 'image/webp' }
+    }
+    if (chunk === 'VP8L') {
+      const bits = view.getUint32(21, true)
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1, type: 'image/webp' }
+    }
+    if (chunk === 'VP8X') {
+      const width = 1 + (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16))
+      const height = 1 + (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16))
+      return { width, height, type: 'image/webp' }
+    }
+  }
+
+  // JPEG: 查找 SOF 段
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2
+    while (offset < bytes.length) {
+      if (bytes[offset] !== 0xff) {
+        offset++
+        continue
+      }
+      const marker = bytes[offset + 1]
+      const length = view.getUint16(offset + 2)
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5), type: 'image/jpeg' }
+      }
+      offset += 2 + length
+    }
+  }
+
+  // SVG：取根元素的 width / height，缺少时使用 viewBox
+  const head = new TextDecoder().decode(bytes.subarray(0, 1024))
+  const root = /<svg\b[^>]*>/.exec(head)?.[0]
+  if (root) {
+    const attr = (name: string) => new RegExp(`\\s${name}="([^"]*)"`).exec(root)?.[1]
+    const viewBox = attr('viewBox')?.split(/[\s,]+/).map(Number) ?? []
+    const width = parseFloat(attr('width') ?? '') || viewBox[2]
+    const height = parseFloat(attr('height') ?? '') || viewBox[3]
+    if (width > 0 && height > 0) return { width, height, type: 'image/svg+xml' }
+  }
+
+  throw new Error('Unsupported image format')
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+/**
+ * 加载图片
+ * 下载远程图片（或解析 data URL），读取尺寸并内联为 data URL
+ */
+export async function loadSvgImage(src: string): Promise<SvgImage> {
+  let bytes: Uint8Array
+  if (src.startsWith('data:')) {
+    const base64 = src.slice(src.indexOf(',') + 1)
+    bytes = Uint8Array.from(atob(base64), ch => ch.charCodeAt(0))
+  } else {
+    const response = await fetch(src)
+    if (!response.ok) {
+      throw new Error(`Failed to load image: ${response.status}`)
+    }
+    bytes = new Uint8Array(await response.arrayBuffer())
+  }
+
+  const { width, height, type } = readImageSize(bytes)
+  return { width, height, src: `data:${type};base64,${toBase64(bytes)}` }
+}
@@ -0,0 +1,55 @@
+/**
+ * 文字排版辅助：字体栈、字体声明与折行
+ */
+
+import { breakLines } from './linebreak'
+import type { TextRun } from './richText'
+import type { CoverSpec, RenderContext, TextSpec } from './types'
+
+const FALLBACK_FONTS = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+
+/**
+ * 拼接字体栈，所选字体不可用时回退到系统字体
+ */
+export function fontStack(family: string): string {
+  if (!family) return FALLBACK_FONTS
+  const quoted = /[\s,]/.test(family) && !/^["']/.test(family) ? `"${family}"` : family
+  return `${quoted}, ${FALLBACK_FONTS}`
+}
+
+export function textFont(spec: TextSpec): string {
+  return `${spec.fontWeight} ${spec.fontSize}px ${fontStack(spec.fontFamily)}`
+}
+
+/** **加粗** 片段的字重：在基础字重上加重 300，最重 900 */
+export function boldWeight(weight: string): string {
+  const base = Number(weight)
+  return String(Math.min(900, (Number.isFinite(base) ? base : 400) + 300))
+}
+
+/**
+ * 样式片段的字体声明
+ */
+export function runFont(spec: TextSpec, run: TextRun, fontSize = spec.fontSize): string {
+  return textFont({ ...spec, fontSize, fontWeight: run.bold ? boldWeight(spec.fontWeight) : spec.fontWeight })
+}
+
+/**
+ * 按可用宽度折行，保留显式换行，规则见 linebreak.ts
+ */
+export function wrapText(ctx: RenderContext, text: string, maxWidth: number): string[] {
+  return breakLines(text, maxWidth, line => ctx.measureText(line).width)
+}
+
+/**
+ * 封面中实际出现的文字所用的字体，按出现顺序去重
+ */
+export function coverFontFamilies(spec: CoverSpec): string[] {
+  const families = [spec.title.fontFamily]
+  if (spec.subtitle.text) families.push(spec.subtitle.fontFamily)
+  if (spec.watermark?.text) families.push(spec.watermark.fontFamily)
+  for (const layer of spec.layers) {
+    if (layer.kind === 'text' && layer.visible && layer.text) families.push(layer.fontFamily)
+  }
+  return [...new Set(families.filter(Boolean))]
+}
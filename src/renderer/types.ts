@@ -0,0 +1,340 @@
+/**
+ * 渲染引擎类型定义
+ * 引擎只依赖这里声明的 2D 上下文子集，浏览器 canvas 与 SVG 画布都满足该接口
+ */
+
+export type TextAlign = 'center' | 'left' | 'right'
+
+export interface RenderGradient {
+  addColorStop(offset: number, color: string): void
+}
+
+export interface RenderImage {
+  readonly width: number
+  readonly height: number
+}
+
+export interface RenderContext {
+  fillStyle: string | RenderGradient | CanvasPattern
+  strokeStyle: string | RenderGradient | CanvasPattern
+  lineWidth: number
+  lineJoin: CanvasLineJoin
+  globalAlpha: number
+  globalCompositeOperation: GlobalCompositeOperation
+  font: string
+  textAlign: CanvasTextAlign
+  textBaseline: CanvasTextBaseline
+  filter: string
+  shadowColor: string
+  shadowBlur: number
+  shadowOffsetX: number
+  shadowOffsetY: number
+
+  save(): void
+  restore(): void
+  translate(x: number, y: number): void
+  rotate(angle: number): void
+  scale(x: number, y: number): void
+
+  beginPath(): void
+  closePath(): void
+  moveTo(x: number, y: number): void
+  lineTo(x: number, y: number): void
+  arc(x: number, y: number, radius: number, startAngle: number, endAngle: number, counterclockwise?: boolean): void
+  arcTo(x1: number, y1: number, x2: number, y2: number, radius: number): void
+  rect(x: number, y: number, width: number, height: number): void
+  fill(): void
+  stroke(): void
+  clip(): void
+
+  clearRect(x: number, y: number, width: number, height: number): void
+  fillRect(x: number, y: number, width: number, height: number): void
+  fillText(text: string, x: number, y: number): void
+  strokeText(text: string, x: number, y: number): void
+  measureText(text: string): { width: number }
+  drawImage(image: CanvasImageSource | RenderImage, dx: number, dy: number, dw: number, dh: number): void
+
+  createLinearGradient(x0: number, y0: number, x1: number, y1: number): RenderGradient
+  createRadialGradient(x0: number, y0: number, r0: number, x1: number, y1: number, r1: number): RenderGradient
+}
+
+export interface RenderSurface extends RenderImage {
+  getContext(type: '2d'): RenderContext | null
+}
+
+export type GradientType = 'linear' | 'radial' | 'conic' | 'mesh'
+export type PatternKind = 'none' | 'dots' | 'grid' | 'noise'
+
+export interface GradientSpec {
+  type: GradientType
+  /** 均匀分布的色标，至少两个 */
+  colors: string[]
+  /** 线性渐变的方向与锥形渐变的起始角，单位度，按 CSS 约定（90 为从左到右），在按画布比例归一化的坐标中计算 */
+  angle: number
+}
+
+export interface PatternSpec {
+  kind: Exclude<PatternKind, 'none'>
+  color: string
+  /** 0~1 */
+  opacity: number
+  /** 图案间距，像素 */
+  size: number
+}
+
+/** 背景图调色，数值为比例，1 表示不调整 */
+export interface ImageAdjustments {
+  brightness: number
+  contrast: number
+  saturation: number
+  /** 0~1 */
+  grayscale: number
+}
+
+/**
+ * 背景图的裁剪与调色
+ * 裁剪按比例保存，切换画布尺寸后重新计算，焦点尽量保持在画布中央
+ */
+export interface BackgroundImageSpec {
+  src: string
+  /** 焦点在图片中的位置，0~1 */
+  focus: Point
+  /** 在铺满画布的基础上再放大的倍数，≥ 1 */
+  zoom: number
+  adjust: ImageAdjustments
+  /** 双色调：[暗部颜色, 亮部颜色]，null 时不使用 */
+  duotone: [string, string] | null
+}
+
+export interface TextShadow {
+  color: string
+  blur: number
+  offsetX: number
+  offsetY: number
+}
+
+/** 文字背后的圆角底框，圆角不超过高度一半时即为胶囊形 */
+export interface TextBackdrop {
+  color: string
+  /** 0~1 */
+  opacity: number
+  padding: number
+  radius: number
+}
+
+export interface TextSpec {
+  text: string
+  color: string
+  /** 自上而下的渐变填充，设置后代替 color；标记指定的颜色仍然优先 */
+  gradient: [string, string] | null
+  fontFamily: string
+  fontWeight: string
+  fontSize: number
+  lineHeight: number
+  opacity: number
+  /** 投影，null 为关闭 */
+  shadow: TextShadow | null
+  /** 外发光，null 为关闭 */
+  glow: { color: string; size: number } | null
+  backdrop: TextBackdrop | null
+  /** 描边宽度，0 为关闭 */
+  strokeWidth: number
+  strokeColor: string
+  /** 标题中 ==强调== 标记的颜色 */
+  highlightColor: string
+}
+
+export type IconShape = 'rounded' | 'circle' | 'squircle' | 'hexagon' | 'none'
+export type IconSource = 'image' | 'iconify' | 'emoji'
+
+export interface IconSpec {
+  /** 图片地址；Iconify 图标已转为 SVG data URL */
+  image: string | null
+  /** emoji 图标，按文字绘制 */
+  emoji: string | null
+  /** 图标与 emoji 为字形，在形状内留白绘制；图片铺满形状 */
+  glyph: boolean
+  /** 字形颜色：Iconify 图标已写入 SVG；emoji 在没有彩色 emoji 字体时按此颜色显示 */
+  glyphColor: string
+  size: number
+  rotation: number
+  backgroundColor: string
+  backgroundPadding: number
+  /** 裁剪与底色的形状，none 时不裁剪、不画底色与边框 */
+  shape: IconShape
+  /** rounded 的圆角半径 */
+  radius: number
+  border: { width: number; color: string } | null
+  shadow: {
+    color: string
+    blur: number
+    offsetX: number
+    offsetY: number
+  }
+}
+
+/** 水印位置：四角、居中，或旋转后平铺整个画布 */
+export type WatermarkPosition = 'bottom-right' | 'bottom-left' | 'top-right' | 'top-left' | 'center' | 'tiled'
+
+/** 水印由 Logo、二维码与文字自左向右排成一行，至少包含其中一项 */
+export interface WatermarkSpec {
+  /** 为空时不绘制文字 */
+  text: string
+  color: string
+  fontFamily: string
+  fontSize: number
+  /** 0~1 */
+  opacity: number
+  position: WatermarkPosition
+  /** Logo 图片地址 */
+  image: string | null
+  /** 二维码模块，按行排列，true 为深色 */
+  qr: boolean[][] | null
+  /** Logo 与二维码的边长；二维码模块小于 3px 时放大 */
+  imageSize: number
+}
+
+/** 可拖动的封面元素 */
+export type ElementId = 'title' | 'subtitle' | 'icon' | 'watermark'
+
+export interface Point {
+  x: number
+  y: number
+}
+
+/**
+ * 元素中心点位置，取值为相对画布宽高的比例（0~1），null 表示使用默认布局
+ */
+export type ElementPositions = Record<ElementId, Point | null>
+
+export type BlendMode =
+  | 'normal'
+  | 'multiply'
+  | 'screen'
+  | 'overlay'
+  | 'darken'
+  | 'lighten'
+  | 'color-dodge'
+  | 'color-burn'
+  | 'hard-light'
+  | 'soft-light'
+  | 'difference'
+  | 'exclusion'
+
+/** 内置图层的内容来自封面字段，图层 id 与 kind 相同 */
+export type BuiltinLayerKind = 'background' | ElementId
+
+export type CustomLayerKind = 'text' | 'image' | 'shape'
+
+interface LayerCommon {
+  id: string
+  name: string
+  visible: boolean
+  /** 锁定后不能拖动 */
+  locked: boolean
+  /** 0~1 */
+  opacity: number
+  blendMode: BlendMode
+}
+
+/**
+ * 自定义图层的位置：x / y 为中心点相对画布的比例，宽高与字号为像素
+ */
+interface PlacedLayer extends LayerCommon {
+  x: number
+  y: number
+  rotation: number
+}
+
+export interface BuiltinLayer extends LayerCommon {
+  kind: BuiltinLayerKind
+}
+
+export interface TextLayer extends PlacedLayer {
+  kind: 'text'
+  text: string
+  color: string
+  fontFamily: string
+  fontWeight: string
+  fontSize: number
+}
+
+export interface ImageLayer extends PlacedLayer {
+  kind: 'image'
+  src: string
+  width: number
+  height: number
+}
+
+export interface ShapeLayer extends PlacedLayer {
+  kind: 'shape'
+  shape: 'rect' | 'ellipse'
+  width: number
+  height: number
+  fill: string
+  /** 矩形圆角 */
+  radius: number
+}
+
+export type CustomLayer = TextLayer | ImageLayer | ShapeLayer
+
+export type Layer = BuiltinLayer | CustomLayer
+
+/**
+ * 封面的声明式描述，渲染引擎的唯一输入
+ */
+export interface CoverSpec {
+  width: number
+  height: number
+  background: {
+    color: string
+    gradient: GradientSpec | null
+    /** 叠加在背景之上、遮罩之下的图案 */
+    pattern: PatternSpec | null
+    image: BackgroundImageSpec | null
+    blur: number
+  }
+  /** 背景之上的效果，按遮罩 → 暗角 → 颗粒的顺序绘制，都在文字之下 */
+  overlay: {
+    color: string
+    /** 0~1 */
+    opacity: number
+    /** 暗角强度，0~1 */
+    vignette: number
+    /** 颗粒强度，0~1 */
+    grain: number
+  }
+  align: TextAlign
+  /** 自动缩放文字：字号以 title.fontSize 为上限，找出能在画布内排下且不超过 maxLines 行的最大字号 */
+  textFit: { maxLines: number } | null
+  title: TextSpec
+  subtitle: TextSpec
+  icon: IconSpec | null
+  watermark: WatermarkSpec | null
+  positions: ElementPositions
+  /** 自底向上的绘制顺序 */
+  layers: Layer[]
+}
+
+/**
+ * 渲染所需的已加载图片资源
+ */
+export interface CoverAssets {
+  background?: RenderImage
+  icon?: RenderImage
+  watermark?: RenderImage
+  /** 图片图层，按图层 id 索引 */
+  layers?: Record<string, RenderImage>
+}
+
+export interface RenderOptions {
+  /** 创建离屏画布，用于图标裁剪后整体投影 */
+  createCanvas: (width: number, height: number) => RenderSurface
+  /**
+   * 输出像素与逻辑坐标之比（导出倍率），默认 1
+   * 坐标变换不影响阴影与模糊，引擎按该倍率放大它们
+   */
+  scale?: number
+}
+
+export type ImageLoader = (src: string) => Promise<RenderImage>
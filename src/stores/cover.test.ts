@@ -1,5 +1,6 @@
 import { setActivePinia, createPinia } from 'pinia'
 import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { nextTick } from 'vue'
 import { useCoverStore } from './cover'
 
 // Mock import.meta.env for config
@@ -85,6 +86,16 @@ describe('useCoverStore', () => {
       store.setBgImage('https://example.com/image.jpg')
       expect(store.bgImageUrl).toBe('https://example.com/image.jpg')
     })
+
+    it('换图时重置裁剪，保留调色', () => {
+      const store = useCoverStore()
+      store.bgFocusX = 0.2
+      store.bgZoom = 2
+      store.bgBrightness = 120
+      store.setBgImage('https://example.com/other.jpg')
+      expect([store.bgFocusX, store.bgFocusY, store.bgZoom]).toEqual([0.5, 0.5, 1])
+      expect(store.bgBrightness).toBe(120)
+    })
   })
 
   describe('setSquareImage', () => {
@@ -203,6 +214,19 @@ describe('useCoverStore', () => {
       expect(store.exportFormat).toBe('jpeg')
     })
 
+    it('导出倍率随设置保存与读取', () => {
+      const store = useCoverStore()
+      store.setExportScale(3)
+      store.saveSettingsToStorage()
+
+      setActivePinia(createPinia())
+      const reloaded = useCoverStore()
+      reloaded.loadSettingsFromStorage()
+      expect(reloaded.exportScale).toBe(3)
+      reloaded.resetSettings()
+      expect(reloaded.exportScale).toBe(1)
+    })
+
     it('resetSettings 重置设置', () => {
       const store = useCoverStore()
       
@@ -235,4 +259,153 @@ describe('useCoverStore', () => {
       expect(store.hasMultipleLines).toBe(true)
     })
   })
-})
\ No newline at end of file
+
+  describe('封面文档', () => {
+    it('导出后再导入可以还原全部字段与画布尺寸', () => {
+      const store = useCoverStore()
+      store.setField('text', '导出测试')
+      store.setBgColor('#123456')
+      store.setCanvasSize(1280, 720)
+      const json = JSON.stringify(store.exportDocument())
+
+      store.resetState()
+      store.setCanvasSize(900, 383)
+      expect(store.importDocument(json)).toEqual([])
+
+      expect(store.text).toBe('导出测试')
+      expect(store.bgColor).toBe('#123456')
+      expect(store.bgGradient).toBeNull()
+      expect(store.canvasWidth).toBe(1280)
+      expect(store.canvasHeight).toBe(720)
+    })
+
+    it('无效文档不会修改当前状态', () => {
+      const store = useCoverStore()
+      store.setField('text', '保持不变')
+      const doc = { ...store.exportDocument(), cover: { text: 42 } }
+      expect(() => store.importDocument(doc)).toThrow('text 必须是字符串')
+      expect(store.text).toBe('保持不变')
+    })
+  })
+
+  describe('撤销 / 重做', () => {
+    it('撤销与重做字段修改', async () => {
+      const store = useCoverStore()
+      store.setField('textColor', '#ff0000')
+      await nextTick()
+      expect(store.canUndo).toBe(true)
+
+      expect(store.undo()).toBe(true)
+      expect(store.textColor).toBe('#ffffff')
+      await nextTick()
+      expect(store.canRedo).toBe(true)
+
+      expect(store.redo()).toBe(true)
+      expect(store.textColor).toBe('#ff0000')
+    })
+
+    it('连续拖动滑块只产生一步历史', async () => {
+      const store = useCoverStore()
+      for (const strength of [10, 20, 30, 40]) {
+        store.setField('shadowStrength', strength)
+        store.setField('shadowBlur', strength * 2)
+        await nextTick()
+      }
+      store.undo()
+      expect(store.shadowStrength).toBe(60)
+      expect(store.shadowBlur).toBe(120)
+      expect(store.canUndo).toBe(false)
+    })
+
+    it('重置本身可以撤销', async () => {
+      const store = useCoverStore()
+      store.setField('text', '精心设计')
+      store.setField('bgBlur', 12)
+      await nextTick()
+      store.resetState()
+      await nextTick()
+
+      store.undo()
+      expect(store.text).toBe('精心设计')
+      expect(store.bgBlur).toBe(12)
+    })
+
+    it('撤销恢复图层与位置后仍可重做', async () => {
+      const store = useCoverStore()
+      store.setElementPosition('title', { x: 0.2, y: 0.3 })
+      await nextTick()
+      store.setBgImage('data:image/png;base64,AAAA')
+      await nextTick()
+
+      store.undo()
+      await nextTick()
+      store.undo()
+      await nextTick()
+      expect(store.positions.title).toBeNull()
+      expect(store.canRedo).toBe(true)
+
+      store.redo()
+      await nextTick()
+      store.redo()
+      await nextTick()
+      expect(store.positions.title).toEqual({ x: 0.2, y: 0.3 })
+      expect(store.bgImageUrl).toBe('data:image/png;base64,AAAA')
+      expect(store.canRedo).toBe(false)
+    })
+
+    it('没有可撤销的步骤时返回 false', () => {
+      const store = useCoverStore()
+      expect(store.undo()).toBe(false)
+      expect(store.redo()).toBe(false)
+    })
+  })
+
+  describe('元素位置', () => {
+    it('setElementPosition 限制在画布范围内，null 恢复默认布局', () => {
+      const store = useCoverStore()
+      store.setElementPosition('title', { x: 1.5, y: -0.2 })
+      expect(store.positions.title).toEqual({ x: 1, y: 0 })
+      expect(store.coverState.positions.title).toEqual({ x: 1, y: 0 })
+
+      store.setElementPosition('title', null)
+      expect(store.positions.title).toBeNull()
+    })
+
+    it('resetState 恢复默认布局', () => {
+      const store = useCoverStore()
+      store.setElementPosition('icon', { x: 0.2, y: 0.2 })
+      store.resetState()
+      expect(store.positions.icon).toBeNull()
+    })
+  })
+
+  describe('图层', () => {
+    it('添加、更新、移动与删除自定义图层', () => {
+      const store = useCoverStore()
+      const id = store.addLayer('text', { text: '新品' })
+      expect(store.layers[store.layers.length - 1]).toMatchObject({ id, kind: 'text', text: '新品' })
+
+      store.updateLayer(id, { opacity: 0.5, blendMode: 'multiply' })
+      expect(store.coverState.layers.find(l => l.id === id)).toMatchObject({ opacity: 0.5, blendMode: 'multiply' })
+
+      store.moveLayer(id, 1)
+      expect(store.layers[1].id).toBe(id)
+
+      expect(store.removeLayer(id)).toBe(true)
+      expect(store.layers.some(l => l.id === id)).toBe(false)
+    })
+
+    it('内置图层不能删除', () => {
+      const store = useCoverStore()
+      expect(store.removeLayer('title')).toBe(false)
+      expect(store.layers.map(l => l.id)).toContain('title')
+    })
+
+    it('moveElement 移动自定义图层并限制在画布内', () => {
+      const store = useCoverStore()
+      const id = store.addLayer('shape')
+      store.moveElement(id, { x: 0.2, y: 1.4 })
+      expect(store.layers.find(l => l.id === id)).toMatchObject({ x: 0.2, y: 1 })
+    })
+  })
+})
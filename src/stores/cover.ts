@@ -1,17 +1,72 @@
 import { defineStore } from 'pinia'
-import { ref, computed, type Ref, type ComputedRef } from 'vue'
+import { ref, computed, watch, type Ref, type ComputedRef } from 'vue'
 import { defaultConfig } from '../config'
+import {
+  DEFAULT_GRADIENT,
+  DEFAULT_POSITIONS,
+  EXPORT_FORMATS,
+  EXPORT_SCALES,
+  type CoverState,
+  type ExportFormat,
+  type ExportScale
+} from '../renderer/spec'
+import { DEFAULT_LAYERS, createLayer, isBuiltinLayer, normalizeLayers } from '../renderer/layers'
+import { isElementId } from '../renderer/layout'
+import type {
+  CustomLayer,
+  CustomLayerKind,
+  ElementId,
+  ElementPositions,
+  GradientType,
+  IconShape,
+  IconSource,
+  Layer,
+  PatternKind,
+  Point,
+  WatermarkPosition
+} from '../renderer/types'
+import {
+  DEFAULT_CANVAS_SIZE,
+  changedDocumentFields,
+  createCoverDocument,
+  parseCoverDocument,
+  type CoverDocument
+} from './coverDocument'
+import { History } from './history'
 
 export const useCoverStore = defineStore('cover', () => {
   const bgImageUrl: Ref<string | null> = ref(null)
   const bgColor: Ref<string> = ref('#ffffff')
+  const bgGradient: Ref<string[] | null> = ref([...DEFAULT_GRADIENT])
+  const bgGradientType: Ref<GradientType> = ref('linear')
+  const bgGradientAngle: Ref<number> = ref(135)
+  const bgPattern: Ref<PatternKind> = ref('none')
+  const bgPatternColor: Ref<string> = ref('#ffffff')
+  const bgPatternOpacity: Ref<number> = ref(15)
+  const bgPatternSize: Ref<number> = ref(24)
   const bgBlur: Ref<number> = ref(3)
+  const bgFocusX: Ref<number> = ref(0.5)
+  const bgFocusY: Ref<number> = ref(0.5)
+  const bgZoom: Ref<number> = ref(1)
+  const bgBrightness: Ref<number> = ref(100)
+  const bgContrast: Ref<number> = ref(100)
+  const bgSaturation: Ref<number> = ref(100)
+  const bgGrayscale: Ref<number> = ref(0)
+  const bgDuotone: Ref<[string, string] | null> = ref(null)
 
   const squareImageUrl: Ref<string | null> = ref(null)
   const squareSize: Ref<number> = ref(300)
   const rotation: Ref<number> = ref(0)
   const iconColor: Ref<string> = ref('#eeeeee')
   const iconBgSize: Ref<number> = ref(0)
+  const iconSource: Ref<IconSource> = ref('image')
+  const iconName: Ref<string> = ref('ic:baseline-star')
+  const iconEmoji: Ref<string> = ref('✨')
+  const iconGlyphColor: Ref<string> = ref('#ffffff')
+  const iconShape: Ref<IconShape> = ref('rounded')
+  const iconRadius: Ref<number> = ref(30)
+  const iconBorderWidth: Ref<number> = ref(0)
+  const iconBorderColor: Ref<string> = ref('#ffffff')
 
   const shadowColor: Ref<string> = ref('#646464')
   const shadowBlur: Ref<number> = ref(120)
@@ -24,26 +79,141 @@ export const useCoverStore = defineStore('cover', () => {
   const textColor: Ref<string> = ref('#ffffff')
   const textSize: Ref<number> = ref(200)
   const lineHeight: Ref<number> = ref(1)
+  const textFit: Ref<boolean> = ref(true)
+  const maxLines: Ref<number> = ref(3)
   const text3D: Ref<number> = ref(0)
+  const textShadowColor: Ref<string> = ref('#000000')
+  const textShadowOpacity: Ref<number> = ref(40)
+  const textShadowOffsetX: Ref<number> = ref(1)
+  const textShadowOffsetY: Ref<number> = ref(1)
+  const textGlowColor: Ref<string> = ref('#ffffff')
+  const textGlowSize: Ref<number> = ref(0)
+  const textGradient: Ref<[string, string] | null> = ref(null)
+  const textBoxColor: Ref<string> = ref('#000000')
+  const textBoxOpacity: Ref<number> = ref(0)
+  const textBoxPadding: Ref<number> = ref(24)
+  const textBoxRadius: Ref<number> = ref(999)
+  const textStrokeWidth: Ref<number> = ref(0)
+  const textStrokeColor: Ref<string> = ref('#000000')
+  const highlightColor: Ref<string> = ref('#fbbf24')
   const selectedFont: Ref<string> = ref(defaultConfig.fontFamily)
   const isFontMenuOpen: Ref<boolean> = ref(false)
   const textAlign: Ref<'center' | 'left' | 'right'> = ref('center')
 
+  const overlayColor: Ref<string> = ref('#000000')
   const overlayOpacity: Ref<number> = ref(30)
+  const vignette: Ref<number> = ref(0)
+  const grain: Ref<number> = ref(0)
 
   const watermark: Ref<string> = ref(defaultConfig.watermark)
   const watermarkColor: Ref<string> = ref('#dddddd')
+  const watermarkPosition: Ref<WatermarkPosition> = ref('bottom-right')
+  const watermarkSize: Ref<number> = ref(14)
+  const watermarkOpacity: Ref<number> = ref(100)
+  const watermarkImageUrl: Ref<string | null> = ref(null)
+  const watermarkImageSize: Ref<number> = ref(64)
+  const watermarkQrUrl: Ref<string> = ref('')
+
+  // 拖动后的元素位置（比例坐标），null 使用默认布局
+  const positions: Ref<ElementPositions> = ref({ ...DEFAULT_POSITIONS })
+
+  // 图层列表，自底向上；图层对象整体替换，便于历史记录比较
+  const layers: Ref<Layer[]> = ref([...DEFAULT_LAYERS])
+
+  const canvasWidth: Ref<number> = ref(DEFAULT_CANVAS_SIZE.width)
+  const canvasHeight: Ref<number> = ref(DEFAULT_CANVAS_SIZE.height)
 
   const hasMultipleLines: ComputedRef<boolean> = computed(() => text.value.includes('\n'))
 
+  // 交给渲染引擎的封面状态快照
+  const coverState: ComputedRef<CoverState> = computed(() => ({
+    bgImageUrl: bgImageUrl.value,
+    bgColor: bgColor.value,
+    bgGradient: bgGradient.value,
+    bgGradientType: bgGradientType.value,
+    bgGradientAngle: bgGradientAngle.value,
+    bgPattern: bgPattern.value,
+    bgPatternColor: bgPatternColor.value,
+    bgPatternOpacity: bgPatternOpacity.value,
+    bgPatternSize: bgPatternSize.value,
+    bgBlur: bgBlur.value,
+    bgFocusX: bgFocusX.value,
+    bgFocusY: bgFocusY.value,
+    bgZoom: bgZoom.value,
+    bgBrightness: bgBrightness.value,
+    bgContrast: bgContrast.value,
+    bgSaturation: bgSaturation.value,
+    bgGrayscale: bgGrayscale.value,
+    bgDuotone: bgDuotone.value,
+    overlayColor: overlayColor.value,
+    overlayOpacity: overlayOpacity.value,
+    vignette: vignette.value,
+    grain: grain.value,
+    squareImageUrl: squareImageUrl.value,
+    squareSize: squareSize.value,
+    rotation: rotation.value,
+    iconColor: iconColor.value,
+    iconBgSize: iconBgSize.value,
+    iconSource: iconSource.value,
+    iconName: iconName.value,
+    iconEmoji: iconEmoji.value,
+    iconGlyphColor: iconGlyphColor.value,
+    iconShape: iconShape.value,
+    iconRadius: iconRadius.value,
+    iconBorderWidth: iconBorderWidth.value,
+    iconBorderColor: iconBorderColor.value,
+    shadowColor: shadowColor.value,
+    shadowBlur: shadowBlur.value,
+    shadowOffsetX: shadowOffsetX.value,
+    shadowOffsetY: shadowOffsetY.value,
+    shadowStrength: shadowStrength.value,
+    text: text.value,
+    subtitle: subtitle.value,
+    textColor: textColor.value,
+    textSize: textSize.value,
+    lineHeight: lineHeight.value,
+    textFit: textFit.value,
+    maxLines: maxLines.value,
+    text3D: text3D.value,
+    textShadowColor: textShadowColor.value,
+    textShadowOpacity: textShadowOpacity.value,
+    textShadowOffsetX: textShadowOffsetX.value,
+    textShadowOffsetY: textShadowOffsetY.value,
+    textGlowColor: textGlowColor.value,
+    textGlowSize: textGlowSize.value,
+    textGradient: textGradient.value,
+    textBoxColor: textBoxColor.value,
+    textBoxOpacity: textBoxOpacity.value,
+    textBoxPadding: textBoxPadding.value,
+    textBoxRadius: textBoxRadius.value,
+    textStrokeWidth: textStrokeWidth.value,
+    textStrokeColor: textStrokeColor.value,
+    highlightColor: highlightColor.value,
+    selectedFont: selectedFont.value,
+    textAlign: textAlign.value,
+    watermark: watermark.value,
+    watermarkColor: watermarkColor.value,
+    watermarkPosition: watermarkPosition.value,
+    watermarkSize: watermarkSize.value,
+    watermarkOpacity: watermarkOpacity.value,
+    watermarkImageUrl: watermarkImageUrl.value,
+    watermarkImageSize: watermarkImageSize.value,
+    watermarkQrUrl: watermarkQrUrl.value,
+    positions: { ...positions.value },
+    layers: [...layers.value]
+  }))
+
   // 设置相关状态
   const darkMode: Ref<boolean> = ref(false)
   const defaultFont: Ref<string> = ref(defaultConfig.fontFamily)
   const exportQuality: Ref<number> = ref(0.9)  // 0.1-1.0
-  const exportFormat: Ref<'png' | 'jpeg' | 'webp'> = ref('png')
+  const exportFormat: Ref<ExportFormat> = ref('png')
+  const exportScale: Ref<ExportScale> = ref(1)  // 导出倍率，相对画布逻辑尺寸
   const uploadApiUrl: Ref<string> = ref(import.meta.env.VITE_APP_UPLOAD_API_URL || '')
   const apiKey: Ref<string> = ref('')
+  const sendApiKey: Ref<boolean> = ref(false)  // 向非同源的上传地址发送 API Key，需用户显式开启
   const themeColor: Ref<string> = ref('#3b82f6')
+  const syncId: Ref<string> = ref('')  // 模板同步码，相同同步码的设备共享用户模板
 
   function updateText(newText: string): void {
     text.value = newText || defaultConfig.text
@@ -61,8 +231,16 @@ export const useCoverStore = defineStore('cover', () => {
     isFontMenuOpen.value = !isFontMenuOpen.value
   }
 
+  // 裁剪只对当前图片有意义，换图后回到居中铺满
   function setBgImage(url: string): void {
     bgImageUrl.value = url
+    resetBgCrop()
+  }
+
+  function resetBgCrop(): void {
+    bgFocusX.value = 0.5
+    bgFocusY.value = 0.5
+    bgZoom.value = 1
   }
 
   function setSquareImage(url: string): void {
@@ -71,19 +249,200 @@ export const useCoverStore = defineStore('cover', () => {
 
   function setBgColor(color: string): void {
     bgColor.value = color
+    bgGradient.value = null
     bgImageUrl.value = null
   }
 
+  function setCanvasSize(width: number, height: number): void {
+    canvasWidth.value = width
+    canvasHeight.value = height
+  }
+
+  function applyCoverState(state: CoverState): void {
+    bgImageUrl.value = state.bgImageUrl
+    bgColor.value = state.bgColor
+    bgGradient.value = state.bgGradient
+    bgGradientType.value = state.bgGradientType
+    bgGradientAngle.value = state.bgGradientAngle
+    bgPattern.value = state.bgPattern
+    bgPatternColor.value = state.bgPatternColor
+    bgPatternOpacity.value = state.bgPatternOpacity
+    bgPatternSize.value = state.bgPatternSize
+    bgBlur.value = state.bgBlur
+    bgFocusX.value = state.bgFocusX
+    bgFocusY.value = state.bgFocusY
+    bgZoom.value = state.bgZoom
+    bgBrightness.value = state.bgBrightness
+    bgContrast.value = state.bgContrast
+    bgSaturation.value = state.bgSaturation
+    bgGrayscale.value = state.bgGrayscale
+    bgDuotone.value = state.bgDuotone
+    overlayColor.value = state.overlayColor
+    overlayOpacity.value = state.overlayOpacity
+    vignette.value = state.vignette
+    grain.value = state.grain
+
+    squareImageUrl.value = state.squareImageUrl
+    squareSize.value = state.squareSize
+    rotation.value = state.rotation
+    iconColor.value = state.iconColor
+    iconBgSize.value = state.iconBgSize
+    iconSource.value = state.iconSource
+    iconName.value = state.iconName
+    iconEmoji.value = state.iconEmoji
+    iconGlyphColor.value = state.iconGlyphColor
+    iconShape.value = state.iconShape
+    iconRadius.value = state.iconRadius
+    iconBorderWidth.value = state.iconBorderWidth
+    iconBorderColor.value = state.iconBorderColor
+
+    shadowColor.value = state.shadowColor
+    shadowBlur.value = state.shadowBlur
+    shadowOffsetX.value = state.shadowOffsetX
+    shadowOffsetY.value = state.shadowOffsetY
+    shadowStrength.value = state.shadowStrength
+
+    text.value = state.text
+    subtitle.value = state.subtitle
+    textColor.value = state.textColor
+    textSize.value = state.textSize
+    lineHeight.value = state.lineHeight
+    textFit.value = state.textFit
+    maxLines.value = state.maxLines
+    text3D.value = state.text3D
+    textShadowColor.value = state.textShadowColor
+    textShadowOpacity.value = state.textShadowOpacity
+    textShadowOffsetX.value = state.textShadowOffsetX
+    textShadowOffsetY.value = state.textShadowOffsetY
+    textGlowColor.value = state.textGlowColor
+    textGlowSize.value = state.textGlowSize
+    textGradient.value = state.textGradient
+    textBoxColor.value = state.textBoxColor
+    textBoxOpacity.value = state.textBoxOpacity
+    textBoxPadding.value = state.textBoxPadding
+    textBoxRadius.value = state.textBoxRadius
+    textStrokeWidth.value = state.textStrokeWidth
+    textStrokeColor.value = state.textStrokeColor
+    highlightColor.value = state.highlightColor
+    selectedFont.value = state.selectedFont
+    textAlign.value = state.textAlign
+
+    watermark.value = state.watermark
+    watermarkColor.value = state.watermarkColor
+    watermarkPosition.value = state.watermarkPosition
+    watermarkSize.value = state.watermarkSize
+    watermarkOpacity.value = state.watermarkOpacity
+    watermarkImageUrl.value = state.watermarkImageUrl
+    watermarkImageSize.value = state.watermarkImageSize
+    watermarkQrUrl.value = state.watermarkQrUrl
+    positions.value = { ...state.positions }
+    layers.value = normalizeLayers(state.layers)
+  }
+
+  function setElementPosition(id: ElementId, point: Point | null): void {
+    positions.value = {
+      ...positions.value,
+      [id]: point && {
+        x: Math.min(1, Math.max(0, point.x)),
+        y: Math.min(1, Math.max(0, point.y))
+      }
+    }
+  }
+
+  // 移动内置元素或自定义图层，null 恢复默认位置
+  function moveElement(id: string, point: Point | null): void {
+    if (isElementId(id)) {
+      setElementPosition(id, point)
+      return
+    }
+    const { x, y } = point ?? { x: 0.5, y: 0.5 }
+    updateLayer(id, { x: Math.min(1, Math.max(0, x)), y: Math.min(1, Math.max(0, y)) })
+  }
+
+  function resetPositions(): void {
+    positions.value = { ...DEFAULT_POSITIONS }
+  }
+
+  // 添加自定义图层到最上层，返回图层 id
+  function addLayer(kind: CustomLayerKind, props?: Partial<CustomLayer>): string {
+    const layer = createLayer(kind, props)
+    layers.value = [...layers.value, layer]
+    return layer.id
+  }
+
+  // 内置图层只能隐藏，不能删除
+  function removeLayer(id: string): boolean {
+    const layer = layers.value.find(l => l.id === id)
+    if (!layer || isBuiltinLayer(layer)) return false
+    layers.value = layers.value.filter(l => l.id !== id)
+    return true
+  }
+
+  function updateLayer(id: string, patch: Partial<Layer>): void {
+    layers.value = layers.value.map(layer =>
+      layer.id === id ? ({ ...layer, ...patch, id: layer.id, kind: layer.kind } as Layer) : layer
+    )
+  }
+
+  // 移动图层到指定位置（0 为最底层）
+  function moveLayer(id: string, toIndex: number): void {
+    const from = layers.value.findIndex(l => l.id === id)
+    if (from < 0) return
+    const next = [...layers.value]
+    const [layer] = next.splice(from, 1)
+    next.splice(Math.max(0, Math.min(toIndex, next.length)), 0, layer)
+    layers.value = next
+  }
+
+  // 导出当前设计为封面文档
+  function exportDocument(): CoverDocument {
+    return createCoverDocument(coverState.value, {
+      width: canvasWidth.value,
+      height: canvasHeight.value
+    })
+  }
+
+  // 导入封面文档（对象或 JSON 字符串），返回被忽略字段等提示；文档无效时抛出 CoverDocumentError
+  function importDocument(input: unknown): string[] {
+    const { document, warnings } = parseCoverDocument(input)
+    forceNewStep = true
+    applyCoverState(document.cover)
+    setCanvasSize(document.canvas.width, document.canvas.height)
+    return warnings
+  }
+
   function resetState(): void {
+    forceNewStep = true
     bgImageUrl.value = null
     bgColor.value = '#ffffff'
+    bgGradient.value = [...DEFAULT_GRADIENT]
+    bgGradientType.value = 'linear'
+    bgGradientAngle.value = 135
+    bgPattern.value = 'none'
+    bgPatternColor.value = '#ffffff'
+    bgPatternOpacity.value = 15
+    bgPatternSize.value = 24
     bgBlur.value = 3
+    resetBgCrop()
+    bgBrightness.value = 100
+    bgContrast.value = 100
+    bgSaturation.value = 100
+    bgGrayscale.value = 0
+    bgDuotone.value = null
 
     squareImageUrl.value = null
     squareSize.value = 300
     rotation.value = 0
     iconColor.value = '#eeeeee'
     iconBgSize.value = 0
+    iconSource.value = 'image'
+    iconName.value = 'ic:baseline-star'
+    iconEmoji.value = '✨'
+    iconGlyphColor.value = '#ffffff'
+    iconShape.value = 'rounded'
+    iconRadius.value = 30
+    iconBorderWidth.value = 0
+    iconBorderColor.value = '#ffffff'
 
     shadowColor.value = '#646464'
     shadowBlur.value = 120
@@ -96,14 +455,41 @@ export const useCoverStore = defineStore('cover', () => {
     textColor.value = '#ffffff'
     textSize.value = 200
     lineHeight.value = 1
+    textFit.value = true
+    maxLines.value = 3
     text3D.value = 0
+    textShadowColor.value = '#000000'
+    textShadowOpacity.value = 40
+    textShadowOffsetX.value = 1
+    textShadowOffsetY.value = 1
+    textGlowColor.value = '#ffffff'
+    textGlowSize.value = 0
+    textGradient.value = null
+    textBoxColor.value = '#000000'
+    textBoxOpacity.value = 0
+    textBoxPadding.value = 24
+    textBoxRadius.value = 999
+    textStrokeWidth.value = 0
+    textStrokeColor.value = '#000000'
+    highlightColor.value = '#fbbf24'
     selectedFont.value = defaultConfig.fontFamily
     isFontMenuOpen.value = false
     textAlign.value = 'center'
+    overlayColor.value = '#000000'
     overlayOpacity.value = 30
+    vignette.value = 0
+    grain.value = 0
 
     watermark.value = defaultConfig.watermark
     watermarkColor.value = '#dddddd'
+    watermarkPosition.value = 'bottom-right'
+    watermarkSize.value = 14
+    watermarkOpacity.value = 100
+    watermarkImageUrl.value = null
+    watermarkImageSize.value = 64
+    watermarkQrUrl.value = ''
+    positions.value = { ...DEFAULT_POSITIONS }
+    layers.value = [...DEFAULT_LAYERS]
   }
 
   function toggleDarkMode(): void {
@@ -118,11 +504,17 @@ export const useCoverStore = defineStore('cover', () => {
     exportQuality.value = Math.max(0.1, Math.min(1.0, quality))
   }
 
-  function setExportFormat(format: 'png' | 'jpeg' | 'webp'): void {
+  function setExportFormat(format: ExportFormat): void {
     exportFormat.value = format
   }
 
+  function setExportScale(scale: ExportScale): void {
+    exportScale.value = scale
+  }
+
+  // 更换上传地址后需重新确认是否发送 API Key
   function setUploadApiUrl(url: string): void {
+    if (url !== uploadApiUrl.value) sendApiKey.value = false
     uploadApiUrl.value = url
   }
 
@@ -130,17 +522,36 @@ export const useCoverStore = defineStore('cover', () => {
     apiKey.value = key
   }
 
+  function setSendApiKey(enabled: boolean): void {
+    sendApiKey.value = enabled
+  }
+
   function setThemeColor(color: string): void {
     themeColor.value = color
   }
 
+  function setSyncId(id: string): void {
+    syncId.value = id.trim()
+  }
+
+  // 首次使用时生成同步码并保存
+  function ensureSyncId(): string {
+    if (!syncId.value) {
+      syncId.value = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`
+      saveSettingsToStorage()
+    }
+    return syncId.value
+  }
+
   function resetSettings(): void {
     darkMode.value = false
     defaultFont.value = defaultConfig.fontFamily
     exportQuality.value = 0.9
     exportFormat.value = 'png'
+    exportScale.value = 1
     uploadApiUrl.value = import.meta.env.VITE_APP_UPLOAD_API_URL || ''
     apiKey.value = ''
+    sendApiKey.value = false
     themeColor.value = '#3b82f6'
   }
 
@@ -152,10 +563,13 @@ export const useCoverStore = defineStore('cover', () => {
         if (typeof settings.darkMode === 'boolean') darkMode.value = settings.darkMode
         if (typeof settings.defaultFont === 'string') defaultFont.value = settings.defaultFont
         if (typeof settings.exportQuality === 'number') exportQuality.value = settings.exportQuality
-        if (settings.exportFormat) exportFormat.value = settings.exportFormat
+        if (EXPORT_FORMATS.includes(settings.exportFormat)) exportFormat.value = settings.exportFormat
+        if (EXPORT_SCALES.includes(settings.exportScale)) exportScale.value = settings.exportScale
         if (typeof settings.uploadApiUrl === 'string') uploadApiUrl.value = settings.uploadApiUrl
         if (typeof settings.apiKey === 'string') apiKey.value = settings.apiKey
+        if (typeof settings.sendApiKey === 'boolean') sendApiKey.value = settings.sendApiKey
         if (typeof settings.themeColor === 'string') themeColor.value = settings.themeColor
+        if (typeof settings.syncId === 'string') syncId.value = settings.syncId
       }
     } catch (e) {
       console.error('Failed to load settings:', e)
@@ -169,9 +583,12 @@ export const useCoverStore = defineStore('cover', () => {
         defaultFont: defaultFont.value,
         exportQuality: exportQuality.value,
         exportFormat: exportFormat.value,
+        exportScale: exportScale.value,
         uploadApiUrl: uploadApiUrl.value,
         apiKey: apiKey.value,
-        themeColor: themeColor.value
+        sendApiKey: sendApiKey.value,
+        themeColor: themeColor.value,
+        syncId: syncId.value
       }
       localStorage.setItem('mini-cover-settings', JSON.stringify(settings))
     } catch (e) {
@@ -179,12 +596,66 @@ export const useCoverStore = defineStore('cover', () => {
     }
   }
 
+  // 历史记录：监听文档快照，用户的任何修改（包括重置与导入）都可以撤销
+  const history = new History<CoverDocument>(exportDocument())
+  const canUndo: Ref<boolean> = ref(false)
+  const canRedo: Ref<boolean> = ref(false)
+
+  function syncHistoryState(): void {
+    canUndo.value = history.canUndo
+    canRedo.value = history.canRedo
+  }
+
+  // 重置、导入等整体操作总是单独成为一步
+  let forceNewStep = false
+
+  watch(exportDocument, (next, prev) => {
+    // 撤销 / 重做恢复的快照不再记录
+    if (changedDocumentFields(history.current, next).length === 0) return
+    // 发生变化的字段作为合并连续修改的依据
+    history.record(next, forceNewStep ? null : changedDocumentFields(prev, next).join(','))
+    forceNewStep = false
+    syncHistoryState()
+  })
+
+  function restoreDocument(doc: CoverDocument): void {
+    applyCoverState(doc.cover)
+    setCanvasSize(doc.canvas.width, doc.canvas.height)
+    syncHistoryState()
+  }
+
+  function undo(): boolean {
+    const doc = history.undo()
+    if (!doc) return false
+    restoreDocument(doc)
+    return true
+  }
+
+  function redo(): boolean {
+    const doc = history.redo()
+    if (!doc) return false
+    restoreDocument(doc)
+    return true
+  }
+
+  function clearHistory(): void {
+    history.clear(exportDocument())
+    syncHistoryState()
+  }
+
   type CoverFieldName = 
     | 'bgImageUrl' | 'squareImageUrl' | 'bgColor' | 'textColor' | 'watermarkColor'
     | 'iconColor' | 'rotation' | 'shadowColor' | 'shadowBlur' | 'shadowOffsetX'
     | 'shadowOffsetY' | 'shadowStrength' | 'watermark' | 'textSize' | 'lineHeight'
     | 'text3D' | 'squareSize' | 'text' | 'bgBlur' | 'iconBgSize' | 'selectedFont'
-    | 'isFontMenuOpen'
+    | 'isFontMenuOpen' | 'textStrokeWidth' | 'textStrokeColor' | 'highlightColor' | 'textFit' | 'maxLines'
+    | 'textShadowColor' | 'textShadowOpacity' | 'textShadowOffsetX' | 'textShadowOffsetY' | 'textGlowColor'
+    | 'textGlowSize' | 'textBoxColor' | 'textBoxOpacity' | 'textBoxPadding' | 'textBoxRadius'
+    | 'bgGradientAngle' | 'bgPatternColor' | 'bgPatternOpacity' | 'bgPatternSize'
+    | 'bgZoom' | 'bgBrightness' | 'bgContrast' | 'bgSaturation' | 'bgGrayscale'
+    | 'overlayColor' | 'vignette' | 'grain'
+    | 'iconName' | 'iconEmoji' | 'iconGlyphColor' | 'iconRadius' | 'iconBorderWidth' | 'iconBorderColor'
+    | 'watermarkSize' | 'watermarkOpacity' | 'watermarkImageSize' | 'watermarkQrUrl'
 
   function setField(field: CoverFieldName, value: string | number | boolean): void {
     switch (field) {
@@ -197,12 +668,78 @@ export const useCoverStore = defineStore('cover', () => {
       case 'bgColor':
         bgColor.value = value as string
         break
+      case 'bgGradientAngle':
+        bgGradientAngle.value = Number(value)
+        break
+      case 'bgPatternColor':
+        bgPatternColor.value = value as string
+        break
+      case 'bgPatternOpacity':
+        bgPatternOpacity.value = Number(value)
+        break
+      case 'bgPatternSize':
+        bgPatternSize.value = Number(value)
+        break
+      case 'overlayColor':
+        overlayColor.value = value as string
+        break
+      case 'vignette':
+        vignette.value = Number(value)
+        break
+      case 'grain':
+        grain.value = Number(value)
+        break
+      case 'iconName':
+        iconName.value = value as string
+        break
+      case 'iconEmoji':
+        iconEmoji.value = value as string
+        break
+      case 'iconGlyphColor':
+        iconGlyphColor.value = value as string
+        break
+      case 'iconRadius':
+        iconRadius.value = Number(value)
+        break
+      case 'iconBorderWidth':
+        iconBorderWidth.value = Number(value)
+        break
+      case 'iconBorderColor':
+        iconBorderColor.value = value as string
+        break
+      case 'bgZoom':
+        bgZoom.value = Number(value)
+        break
+      case 'bgBrightness':
+        bgBrightness.value = Number(value)
+        break
+      case 'bgContrast':
+        bgContrast.value = Number(value)
+        break
+      case 'bgSaturation':
+        bgSaturation.value = Number(value)
+        break
+      case 'bgGrayscale':
+        bgGrayscale.value = Number(value)
+        break
       case 'textColor':
         textColor.value = value as string
         break
       case 'watermarkColor':
         watermarkColor.value = value as string
         break
+      case 'watermarkSize':
+        watermarkSize.value = Number(value)
+        break
+      case 'watermarkOpacity':
+        watermarkOpacity.value = Number(value)
+        break
+      case 'watermarkImageSize':
+        watermarkImageSize.value = Number(value)
+        break
+      case 'watermarkQrUrl':
+        watermarkQrUrl.value = value as string
+        break
       case 'iconColor':
         iconColor.value = value as string
         break
@@ -236,6 +773,36 @@ export const useCoverStore = defineStore('cover', () => {
       case 'text3D':
         text3D.value = value as number
         break
+      case 'textShadowColor':
+        textShadowColor.value = value as string
+        break
+      case 'textShadowOpacity':
+        textShadowOpacity.value = Number(value)
+        break
+      case 'textShadowOffsetX':
+        textShadowOffsetX.value = Number(value)
+        break
+      case 'textShadowOffsetY':
+        textShadowOffsetY.value = Number(value)
+        break
+      case 'textGlowColor':
+        textGlowColor.value = value as string
+        break
+      case 'textGlowSize':
+        textGlowSize.value = Number(value)
+        break
+      case 'textBoxColor':
+        textBoxColor.value = value as string
+        break
+      case 'textBoxOpacity':
+        textBoxOpacity.value = Number(value)
+        break
+      case 'textBoxPadding':
+        textBoxPadding.value = Number(value)
+        break
+      case 'textBoxRadius':
+        textBoxRadius.value = Number(value)
+        break
       case 'squareSize':
         squareSize.value = value as number
         break
@@ -254,6 +821,21 @@ export const useCoverStore = defineStore('cover', () => {
       case 'isFontMenuOpen':
         isFontMenuOpen.value = value as boolean
         break
+      case 'textStrokeWidth':
+        textStrokeWidth.value = value as number
+        break
+      case 'textStrokeColor':
+        textStrokeColor.value = value as string
+        break
+      case 'highlightColor':
+        highlightColor.value = value as string
+        break
+      case 'textFit':
+        textFit.value = value as boolean
+        break
+      case 'maxLines':
+        maxLines.value = Number(value)
+        break
     }
   }
 
@@ -261,8 +843,29 @@ export const useCoverStore = defineStore('cover', () => {
     bgImageUrl,
     squareImageUrl,
     bgColor,
+    bgGradient,
+    bgGradientType,
+    bgGradientAngle,
+    bgPattern,
+    bgPatternColor,
+    bgPatternOpacity,
+    bgPatternSize,
+    bgFocusX,
+    bgFocusY,
+    bgZoom,
+    bgBrightness,
+    bgContrast,
+    bgSaturation,
+    bgGrayscale,
+    bgDuotone,
     textColor,
     watermarkColor,
+    watermarkPosition,
+    watermarkSize,
+    watermarkOpacity,
+    watermarkImageUrl,
+    watermarkImageSize,
+    watermarkQrUrl,
     iconColor,
     rotation,
     shadowColor,
@@ -273,42 +876,98 @@ export const useCoverStore = defineStore('cover', () => {
     watermark,
     textSize,
     lineHeight,
+    textFit,
+    maxLines,
     text3D,
+    textShadowColor,
+    textShadowOpacity,
+    textShadowOffsetX,
+    textShadowOffsetY,
+    textGlowColor,
+    textGlowSize,
+    textGradient,
+    textBoxColor,
+    textBoxOpacity,
+    textBoxPadding,
+    textBoxRadius,
+    textStrokeWidth,
+    textStrokeColor,
+    highlightColor,
     squareSize,
     text,
     subtitle,
     bgBlur,
     iconBgSize,
+    iconSource,
+    iconName,
+    iconEmoji,
+    iconGlyphColor,
+    iconShape,
+    iconRadius,
+    iconBorderWidth,
+    iconBorderColor,
     selectedFont,
     isFontMenuOpen,
     textAlign,
+    overlayColor,
     overlayOpacity,
+    vignette,
+    grain,
+    positions,
+    layers,
+    canvasWidth,
+    canvasHeight,
     hasMultipleLines,
+    coverState,
+    canUndo,
+    canRedo,
     // 设置相关
     darkMode,
     defaultFont,
     exportQuality,
     exportFormat,
+    exportScale,
     uploadApiUrl,
     apiKey,
+    sendApiKey,
     themeColor,
+    syncId,
     updateText,
     updateWatermarkText,
     setFont,
     toggleFontMenu,
     setBgImage,
+    resetBgCrop,
     setSquareImage,
     setBgColor,
     resetState,
     setField,
+    setCanvasSize,
+    setElementPosition,
+    resetPositions,
+    moveElement,
+    addLayer,
+    removeLayer,
+    updateLayer,
+    moveLayer,
+    applyCoverState,
+    exportDocument,
+    importDocument,
+    undo,
+    redo,
+    clearHistory,
     // 设置相关函数
     toggleDarkMode,
     setDefaultFont,
     setExportQuality,
     setExportFormat,
+    setExportScale,
     setUploadApiUrl,
     setApiKey,
+    setSendApiKey,
     setThemeColor,
+    setSyncId,
+    ensureSyncId,
     resetSettings,
     loadSettingsFromStorage,
     saveSettingsToStorage
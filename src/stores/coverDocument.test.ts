@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest'
+import {
+  COVER_DOCUMENT_TYPE,
+  COVER_DOCUMENT_VERSION,
+  CoverDocumentError,
+  changedDocumentFields,
+  createCoverDocument,
+  parseCoverDocument
+} from './coverDocument'
+import { DEFAULT_COVER_STATE } from '../renderer/spec'
+
+describe('parseCoverDocument', () => {
+  it('解析当前版本的文档，缺少的字段使用默认值', () => {
+    const doc = createCoverDocument({ ...DEFAULT_COVER_STATE, text: '标题' }, { width: 800, height: 400 })
+    const { cover, ...rest } = doc
+    const { document, warnings } = parseCoverDocument(
+      JSON.stringify({ ...rest, cover: { text: cover.text } })
+    )
+    expect(warnings).toEqual([])
+    expect(document.canvas).toEqual({ width: 800, height: 400 })
+    expect(document.cover).toEqual({ ...DEFAULT_COVER_STATE, text: '标题' })
+  })
+
+  it('忽略未知字段并给出提示', () => {
+    const doc = createCoverDocument(DEFAULT_COVER_STATE, { width: 800, height: 400 })
+    const { document, warnings } = parseCoverDocument({ ...doc, cover: { ...doc.cover, sparkle: true } })
+    expect(warnings).toEqual(['已忽略未知字段 sparkle'])
+    expect(document.cover).not.toHaveProperty('sparkle')
+  })
+
+  it('一次列出所有无效字段', () => {
+    const doc = createCoverDocument(DEFAULT_COVER_STATE, { width: 0, height: 400 })
+    const input = { ...doc, cover: { ...doc.cover, textAlign: 'justify', bgBlur: -1, bgColor: 'not a color!' } }
+    try {
+      parseCoverDocument(input)
+      expect.unreachable()
+    } catch (error) {
+      expect(error).toBeInstanceOf(CoverDocumentError)
+      expect((error as CoverDocumentError).issues).toHaveLength(4)
+    }
+  })
+
+  it('背景渐变接受 2~6 个色标，文字渐变只接受两个', () => {
+    const doc = createCoverDocument(DEFAULT_COVER_STATE, { width: 800, height: 400 })
+    const stops = ['#000000', '#333333', '#666666', '#999999']
+    const { document } = parseCoverDocument({ ...doc, cover: { ...doc.cover, bgGradient: stops, bgGradientType: 'mesh' } })
+    expect(document.cover.bgGradient).toEqual(stops)
+    expect(document.cover.bgGradientType).toBe('mesh')
+
+    const invalid = { ...doc.cover, bgGradient: [...stops, ...stops], textGradient: stops, bgPattern: 'stripes' }
+    try {
+      parseCoverDocument({ ...doc, cover: invalid })
+      expect.unreachable()
+    } catch (error) {
+      expect((error as CoverDocumentError).issues).toEqual([
+        'bgGradient 必须是 2~6 个颜色组成的数组或 null',
+        'bgPattern 必须是 none / dots / grid / noise 之一',
+        'textGradient 必须是两个颜色组成的数组或 null'
+      ])
+    }
+  })
+
+  it('迁移没有版本号的旧格式与 API 参数名', () => {
+    const { document } = parseCoverDocument({
+      title: '旧标题',
+      bgImage: 'https://example.com/a.jpg',
+      align: 'left',
+      blur: 5,
+      width: 1280,
+      height: 720
+    })
+    expect(document.version).toBe(COVER_DOCUMENT_VERSION)
+    expect(document.type).toBe(COVER_DOCUMENT_TYPE)
+    expect(document.canvas).toEqual({ width: 1280, height: 720 })
+    expect(document.cover).toMatchObject({
+      text: '旧标题',
+      bgImageUrl: 'https://example.com/a.jpg',
+      textAlign: 'left',
+      bgBlur: 5
+    })
+  })
+
+  it('拒绝更高版本、其他类型与非 JSON 输入', () => {
+    expect(() => parseCoverDocument({ type: COVER_DOCUMENT_TYPE, version: 99 })).toThrow(CoverDocumentError)
+    expect(() => parseCoverDocument({ type: 'other/document', version: 1 })).toThrow('不支持的文档类型')
+    expect(() => parseCoverDocument('{')).toThrow('不是有效的 JSON')
+    expect(() => parseCoverDocument([])).toThrow('文档必须是 JSON 对象')
+  })
+
+  it('校验元素位置并升级 v1 文档', () => {
+    const { document } = parseCoverDocument({
+      type: COVER_DOCUMENT_TYPE,
+      version: 1,
+      canvas: { width: 800, height: 400 },
+      cover: { text: 'v1' }
+    })
+    expect(document.version).toBe(COVER_DOCUMENT_VERSION)
+    expect(document.cover.positions).toEqual(DEFAULT_COVER_STATE.positions)
+
+    const doc = createCoverDocument(DEFAULT_COVER_STATE, { width: 800, height: 400 })
+    const moved = parseCoverDocument({ ...doc, cover: { positions: { icon: { x: 0.2, y: 0.8 } } } })
+    expect(moved.document.cover.positions.icon).toEqual({ x: 0.2, y: 0.8 })
+    expect(moved.document.cover.positions.title).toBeNull()
+
+    expect(() => parseCoverDocument({ ...doc, cover: { positions: { icon: { x: 2, y: 0 } } } })).toThrow(
+      'positions.icon'
+    )
+    expect(() => parseCoverDocument({ ...doc, cover: { positions: { logo: null } } })).toThrow('positions.logo')
+  })
+
+  it('校验图层列表并补齐缺失的属性与内置图层', () => {
+    const doc = createCoverDocument(DEFAULT_COVER_STATE, { width: 800, height: 400 })
+    const { document } = parseCoverDocument({
+      ...doc,
+      cover: { layers: [{ kind: 'title', visible: false }, { id: 'badge', kind: 'shape', fill: '#000000' }] }
+    })
+    const layers = document.cover.layers
+    expect(layers.map(l => l.id)).toEqual(['background', 'title', 'badge', 'subtitle', 'icon', 'watermark'])
+    expect(layers[1].visible).toBe(false)
+    expect(layers[2]).toMatchObject({ kind: 'shape', fill: '#000000', width: 240, opacity: 1 })
+
+    expect(() =>
+      parseCoverDocument({ ...doc, cover: { layers: [{ kind: 'video' }] } })
+    ).toThrow('layers[0].kind')
+    expect(() =>
+      parseCoverDocument({
+        ...doc,
+        cover: { layers: [{ id: 'a', kind: 'text' }, { id: 'a', kind: 'text', opacity: 2 }] }
+      })
+    ).toThrow(/layers\[1\]\.opacity/)
+    expect(() =>
+      parseCoverDocument({ ...doc, cover: { layers: [{ id: 'a', kind: 'text' }, { id: 'a', kind: 'image' }] } })
+    ).toThrow('重复')
+  })
+})
+
+describe('changedDocumentFields', () => {
+  it('只列出变化的字段，数组与对象按元素比较', () => {
+    const prev = createCoverDocument(DEFAULT_COVER_STATE, { width: 800, height: 400 })
+    const next = createCoverDocument(
+      {
+        ...DEFAULT_COVER_STATE,
+        text: '新标题',
+        layers: [...DEFAULT_COVER_STATE.layers],
+        positions: { ...DEFAULT_COVER_STATE.positions }
+      },
+      { width: 800, height: 400 }
+    )
+    expect(changedDocumentFields(prev, next)).toEqual(['text'])
+    expect(changedDocumentFields(prev, { ...next, canvas: { width: 900, height: 400 } })).toEqual([
+      'text',
+      'canvas'
+    ])
+  })
+})
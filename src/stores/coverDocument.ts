@@ -0,0 +1,431 @@
+/**
+ * 封面文档
+ * 可序列化、带版本号的封面设计格式，用于导入导出与随文章一起纳入版本管理
+ */
+
+import { BLEND_MODES, BUILTIN_LAYER_NAMES, DEFAULT_LAYERS, createLayer, normalizeLayers } from '../renderer/layers'
+import { DEFAULT_COVER_STATE, DEFAULT_POSITIONS, MAX_GRADIENT_STOPS, type CoverState } from '../renderer/spec'
+import type { CustomLayerKind, ElementId, Layer } from '../renderer/types'
+
+export const COVER_DOCUMENT_TYPE = 'mini-cover/document'
+export const COVER_DOCUMENT_VERSION = 3
+
+export interface CanvasSize {
+  width: number
+  height: number
+}
+
+export interface CoverDocument {
+  type: typeof COVER_DOCUMENT_TYPE
+  version: number
+  canvas: CanvasSize
+  cover: CoverState
+}
+
+export const DEFAULT_CANVAS_SIZE: CanvasSize = { width: 1200, height: 630 }
+
+const MAX_CANVAS_SIZE = 4096
+
+export class CoverDocumentError extends Error {
+  constructor(public readonly issues: string[]) {
+    super(`无效的封面文档: ${issues.join('; ')}`)
+    this.name = 'CoverDocumentError'
+  }
+}
+
+type FieldRule =
+  | { type: 'string' }
+  | { type: 'boolean' }
+  | { type: 'nullableString' }
+  | { type: 'color' }
+  | { type: 'number'; min: number; max: number }
+  | { type: 'enum'; values: readonly string[] }
+  | { type: 'gradient'; max: number }
+  | { type: 'positions' }
+  | { type: 'layers' }
+
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|rgba?\([^)]*\)|hsla?\([^)]*\)|[a-z]+)$/i
+
+const FIELD_RULES: Record<keyof CoverState, FieldRule> = {
+  bgImageUrl: { type: 'nullableString' },
+  bgColor: { type: 'color' },
+  bgGradient: { type: 'gradient', max: MAX_GRADIENT_STOPS },
+  bgGradientType: { type: 'enum', values: ['linear', 'radial', 'conic', 'mesh'] },
+  bgGradientAngle: { type: 'number', min: 0, max: 360 },
+  bgPattern: { type: 'enum', values: ['none', 'dots', 'grid', 'noise'] },
+  bgPatternColor: { type: 'color' },
+  bgPatternOpacity: { type: 'number', min: 0, max: 100 },
+  bgPatternSize: { type: 'number', min: 4, max: 200 },
+  bgBlur: { type: 'number', min: 0, max: 100 },
+  bgFocusX: { type: 'number', min: 0, max: 1 },
+  bgFocusY: { type: 'number', min: 0, max: 1 },
+  bgZoom: { type: 'number', min: 1, max: 10 },
+  bgBrightness: { type: 'number', min: 0, max: 200 },
+  bgContrast: { type: 'number', min: 0, max: 200 },
+  bgSaturation: { type: 'number', min: 0, max: 200 },
+  bgGrayscale: { type: 'number', min: 0, max: 100 },
+  bgDuotone: { type: 'gradient', max: 2 },
+  overlayColor: { type: 'color' },
+  overlayOpacity: { type: 'number', min: 0, max: 100 },
+  vignette: { type: 'number', min: 0, max: 100 },
+  grain: { type: 'number', min: 0, max: 100 },
+
+  squareImageUrl: { type: 'nullableString' },
+  squareSize: { type: 'number', min: 0, max: MAX_CANVAS_SIZE },
+  rotation: { type: 'number', min: -360, max: 360 },
+  iconColor: { type: 'color' },
+  iconBgSize: { type: 'number', min: 0, max: 500 },
+  iconSource: { type: 'enum', values: ['image', 'iconify', 'emoji'] },
+  iconName: { type: 'string' },
+  iconEmoji: { type: 'string' },
+  iconGlyphColor: { type: 'color' },
+  iconShape: { type: 'enum', values: ['rounded', 'circle', 'squircle', 'hexagon', 'none'] },
+  iconRadius: { type: 'number', min: 0, max: 500 },
+  iconBorderWidth: { type: 'number', min: 0, max: 100 },
+  iconBorderColor: { type: 'color' },
+
+  shadowColor: { type: 'color' },
+  shadowBlur: { type: 'number', min: 0, max: 1000 },
+  shadowOffsetX: { type: 'number', min: -1000, max: 1000 },
+  shadowOffsetY: { type: 'number', min: -1000, max: 1000 },
+  shadowStrength: { type: 'number', min: 0, max: 500 },
+
+  text: { type: 'string' },
+  subtitle: { type: 'string' },
+  textColor: { type: 'color' },
+  textSize: { type: 'number', min: 1, max: 2000 },
+  lineHeight: { type: 'number', min: 0.1, max: 10 },
+  textFit: { type: 'boolean' },
+  maxLines: { type: 'number', min: 1, max: 20 },
+  text3D: { type: 'number', min: 0, max: 100 },
+  textShadowColor: { type: 'color' },
+  textShadowOpacity: { type: 'number', min: 0, max: 100 },
+  textShadowOffsetX: { type: 'number', min: -10, max: 10 },
+  textShadowOffsetY: { type: 'number', min: -10, max: 10 },
+  textGlowColor: { type: 'color' },
+  textGlowSize: { type: 'number', min: 0, max: 200 },
+  textGradient: { type: 'gradient', max: 2 },
+  textBoxColor: { type: 'color' },
+  textBoxOpacity: { type: 'number', min: 0, max: 100 },
+  textBoxPadding: { type: 'number', min: 0, max: 500 },
+  textBoxRadius: { type: 'number', min: 0, max: 999 },
+  textStrokeWidth: { type: 'number', min: 0, max: 100 },
+  textStrokeColor: { type: 'color' },
+  highlightColor: { type: 'color' },
+  selectedFont: { type: 'string' },
+  textAlign: { type: 'enum', values: ['center', 'left', 'right'] },
+
+  watermark: { type: 'string' },
+  watermarkColor: { type: 'color' },
+  watermarkPosition: { type: 'enum', values: ['bottom-right', 'bottom-left', 'top-right', 'top-left', 'center', 'tiled'] },
+  watermarkSize: { type: 'number', min: 8, max: 200 },
+  watermarkOpacity: { type: 'number', min: 0, max: 100 },
+  watermarkImageUrl: { type: 'nullableString' },
+  watermarkImageSize: { type: 'number', min: 16, max: 512 },
+  watermarkQrUrl: { type: 'string' },
+
+  positions: { type: 'positions' },
+  layers: { type: 'layers' }
+}
+
+const COMMON_LAYER_RULES: Record<string, FieldRule> = {
+  id: { type: 'string' },
+  name: { type: 'string' },
+  visible: { type: 'boolean' },
+  locked: { type: 'boolean' },
+  opacity: { type: 'number', min: 0, max: 1 },
+  blendMode: { type: 'enum', values: BLEND_MODES }
+}
+
+const PLACED_LAYER_RULES: Record<string, FieldRule> = {
+  ...COMMON_LAYER_RULES,
+  x: { type: 'number', min: 0, max: 1 },
+  y: { type: 'number', min: 0, max: 1 },
+  rotation: { type: 'number', min: -360, max: 360 }
+}
+
+const LAYER_RULES: Record<CustomLayerKind, Record<string, FieldRule>> = {
+  text: {
+    ...PLACED_LAYER_RULES,
+    text: { type: 'string' },
+    color: { type: 'color' },
+    fontFamily: { type: 'string' },
+    fontWeight: { type: 'string' },
+    fontSize: { type: 'number', min: 1, max: 2000 }
+  },
+  image: {
+    ...PLACED_LAYER_RULES,
+    src: { type: 'string' },
+    width: { type: 'number', min: 1, max: MAX_CANVAS_SIZE },
+    height: { type: 'number', min: 1, max: MAX_CANVAS_SIZE }
+  },
+  shape: {
+    ...PLACED_LAYER_RULES,
+    shape: { type: 'enum', values: ['rect', 'ellipse'] },
+    width: { type: 'number', min: 1, max: MAX_CANVAS_SIZE },
+    height: { type: 'number', min: 1, max: MAX_CANVAS_SIZE },
+    fill: { type: 'color' },
+    radius: { type: 'number', min: 0, max: MAX_CANVAS_SIZE }
+  }
+}
+
+/**
+ * 校验图层列表，缺少的属性使用默认值
+ */
+function parseLayers(name: string, value: unknown, issues: string[]): Layer[] {
+  if (!Array.isArray(value)) {
+    issues.push(`${name} 必须是数组`)
+    return []
+  }
+
+  const ids = new Set<string>()
+  const layers: Layer[] = []
+  value.forEach((raw, index) => {
+    const path = `${name}[${index}]`
+    if (!isPlainObject(raw)) {
+      issues.push(`${path} 必须是对象`)
+      return
+    }
+
+    const kind = raw.kind as string
+    let layer: Record<string, unknown>
+    let rules: Record<string, FieldRule>
+    if (kind in BUILTIN_LAYER_NAMES) {
+      layer = { ...DEFAULT_LAYERS.find(l => l.kind === kind), ...raw, id: kind }
+      rules = COMMON_LAYER_RULES
+    } else if (kind in LAYER_RULES) {
+      layer = { ...createLayer(kind as CustomLayerKind), ...raw }
+      rules = LAYER_RULES[kind as CustomLayerKind]
+    } else {
+      issues.push(`${path}.kind 不是有效的图层类型`)
+      return
+    }
+
+    const before = issues.length
+    for (const [key, rule] of Object.entries(rules)) {
+      const issue = checkField(`${path}.${key}`, rule, layer[key])
+      if (issue) issues.push(issue)
+    }
+    if (typeof layer.id === 'string' && ids.has(layer.id)) {
+      issues.push(`${path}.id 重复: ${layer.id}`)
+    }
+    if (issues.length === before) {
+      ids.add(layer.id as string)
+      layers.push(layer as unknown as Layer)
+    }
+  })
+  return normalizeLayers(layers)
+}
+
+const ELEMENT_IDS: readonly ElementId[] = ['title', 'subtitle', 'icon', 'watermark']
+
+function isRatio(value: unknown): boolean {
+  return typeof value === 'number' && value >= 0 && value <= 1
+}
+
+function checkField(name: string, rule: FieldRule, value: unknown): string | null {
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string' ? null : `${name} 必须是字符串`
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${name} 必须是布尔值`
+    case 'nullableString':
+      return value === null || typeof value === 'string' ? null : `${name} 必须是字符串或 null`
+    case 'color':
+      return typeof value === 'string' && COLOR_PATTERN.test(value.trim()) ? null : `${name} 不是有效的颜色`
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} 必须是数字`
+      return value < rule.min || value > rule.max ? `${name} 超出范围 ${rule.min}~${rule.max}` : null
+    case 'enum':
+      return rule.values.includes(value as string) ? null : `${name} 必须是 ${rule.values.join(' / ')} 之一`
+    case 'gradient':
+      if (value === null) return null
+      if (
+        Array.isArray(value) &&
+        value.length >= 2 &&
+        value.length <= rule.max &&
+        value.every(c => typeof c === 'string' && COLOR_PATTERN.test(c))
+      ) {
+        return null
+      }
+      return rule.max === 2
+        ? `${name} 必须是两个颜色组成的数组或 null`
+        : `${name} 必须是 2~${rule.max} 个颜色组成的数组或 null`
+    case 'positions':
+      if (!isPlainObject(value)) return `${name} 必须是对象`
+      for (const [id, point] of Object.entries(value)) {
+        if (!ELEMENT_IDS.includes(id as ElementId)) return `${name}.${id} 不是可拖动的元素`
+        if (point === null) continue
+        if (!isPlainObject(point) || !isRatio(point.x) || !isRatio(point.y)) {
+          return `${name}.${id} 必须是 null 或 0~1 之间的 { x, y }`
+        }
+      }
+      return null
+    case 'layers':
+      // 图层列表在 parseLayers 中逐项校验
+      return null
+  }
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+type RawDocument = Record<string, unknown>
+
+/**
+ * 版本迁移：migrations[n] 把 n 版文档升级为 n + 1 版
+ */
+const migrations: Record<number, (doc: RawDocument) => RawDocument> = {
+  // 0: 没有版本号的扁平对象（早期导出或 /api/cover 的请求参数）
+  0: doc => {
+    const { width, height, title, bgImage, align, blur, ...rest } = doc
+    const cover: RawDocument = { ...rest }
+    if (title !== undefined) cover.text = title
+    if (bgImage !== undefined) cover.bgImageUrl = bgImage
+    if (align !== undefined) cover.textAlign = align
+    if (blur !== undefined) cover.bgBlur = blur
+    delete cover.type
+    delete cover.version
+
+    return {
+      type: COVER_DOCUMENT_TYPE,
+      version: 1,
+      canvas: {
+        width: width ?? DEFAULT_CANVAS_SIZE.width,
+        height: height ?? DEFAULT_CANVAS_SIZE.height
+      },
+      cover
+    }
+  },
+  // 1: 新增元素拖动位置 positions，旧文档使用默认布局
+  1: doc => ({ ...doc, version: 2 }),
+  // 2: 新增图层列表 layers，旧文档使用内置图层的默认顺序
+  2: doc => ({ ...doc, version: 3 })
+}
+
+function migrate(doc: RawDocument): RawDocument {
+  let current = doc
+  let version = typeof current.version === 'number' ? current.version : 0
+
+  if (!Number.isInteger(version) || version < 0) {
+    throw new CoverDocumentError([`未知的文档版本: ${String(current.version)}`])
+  }
+  if (version > COVER_DOCUMENT_VERSION) {
+    throw new CoverDocumentError([`文档版本 ${version} 高于当前支持的版本 ${COVER_DOCUMENT_VERSION}，请升级 Mini-Cover`])
+  }
+
+  while (version < COVER_DOCUMENT_VERSION) {
+    current = migrations[version](current)
+    version = current.version as number
+  }
+  return current
+}
+
+/**
+ * 由当前状态创建封面文档
+ */
+export function createCoverDocument(cover: CoverState, canvas: CanvasSize): CoverDocument {
+  return {
+    type: COVER_DOCUMENT_TYPE,
+    version: COVER_DOCUMENT_VERSION,
+    canvas: { width: canvas.width, height: canvas.height },
+    cover: { ...cover }
+  }
+}
+
+// 数组与对象只比较一层引用，data URL 等大字符串按引用比较，避免序列化整份文档
+function sameValue(a: unknown, b: unknown): boolean {
+  if (a === b) return true
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => item === b[i])
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a)
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every(key => (a as Record<string, unknown>)[key] === (b as Record<string, unknown>)[key])
+    )
+  }
+  return false
+}
+
+/**
+ * 两份文档之间发生变化的字段，画布尺寸变化记为 canvas
+ */
+export function changedDocumentFields(prev: CoverDocument, next: CoverDocument): string[] {
+  const keys = (Object.keys(next.cover) as (keyof CoverState)[]).filter(
+    key => !sameValue(prev.cover[key], next.cover[key])
+  ) as string[]
+  if (prev.canvas.width !== next.canvas.width || prev.canvas.height !== next.canvas.height) {
+    keys.push('canvas')
+  }
+  return keys
+}
+
+/**
+ * 解析并校验封面文档
+ * 旧版本会先迁移到当前版本；未知字段会被丢弃并记入 warnings，无效字段抛出 CoverDocumentError
+ */
+export function parseCoverDocument(input: unknown): { document: CoverDocument; warnings: string[] } {
+  let raw = input
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw)
+    } catch {
+      throw new CoverDocumentError(['不是有效的 JSON'])
+    }
+  }
+  if (!isPlainObject(raw)) {
+    throw new CoverDocumentError(['文档必须是 JSON 对象'])
+  }
+  if (raw.type !== undefined && raw.type !== COVER_DOCUMENT_TYPE) {
+    throw new CoverDocumentError([`不支持的文档类型: ${String(raw.type)}`])
+  }
+
+  const doc = migrate(raw)
+  const issues: string[] = []
+  const warnings: string[] = []
+
+  const canvas = isPlainObject(doc.canvas) ? doc.canvas : {}
+  for (const key of ['width', 'height'] as const) {
+    const value = canvas[key]
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < 1 || value > MAX_CANVAS_SIZE) {
+      issues.push(`canvas.${key} 必须是 1~${MAX_CANVAS_SIZE} 之间的整数`)
+    }
+  }
+
+  const rawCover = isPlainObject(doc.cover) ? doc.cover : {}
+  const cover: Record<string, unknown> = { ...DEFAULT_COVER_STATE }
+  for (const [key, value] of Object.entries(rawCover)) {
+    const rule = FIELD_RULES[key as keyof CoverState]
+    if (!rule) {
+      warnings.push(`已忽略未知字段 ${key}`)
+      continue
+    }
+    const issue = checkField(key, rule, value)
+    if (issue) {
+      issues.push(issue)
+    } else if (key === 'layers') {
+      cover[key] = parseLayers(key, value, issues)
+    } else if (key === 'positions') {
+      cover[key] = { ...DEFAULT_POSITIONS, ...(value as object) }
+    } else {
+      cover[key] = value
+    }
+  }
+
+  if (issues.length) {
+    throw new CoverDocumentError(issues)
+  }
+
+  return {
+    document: {
+      type: COVER_DOCUMENT_TYPE,
+      version: COVER_DOCUMENT_VERSION,
+      canvas: { width: canvas.width as number, height: canvas.height as number },
+      cover: cover as unknown as CoverState
+    },
+    warnings
+  }
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest'
+import { History } from './history'
+
+function createHistory(options: { limit?: number } = {}) {
+  let time = 0
+  const history = new History<number>(0, { ...options, coalesceWindow: 500, now: () => time })
+  return {
+    history,
+    tick: (ms: number) => {
+      time += ms
+    }
+  }
+}
+
+describe('History', () => {
+  it('按顺序撤销与重做', () => {
+    const { history } = createHistory()
+    history.record(1)
+    history.record(2)
+
+    expect(history.undo()).toBe(1)
+    expect(history.undo()).toBe(0)
+    expect(history.undo()).toBeNull()
+    expect(history.redo()).toBe(1)
+    expect(history.current).toBe(1)
+    expect(history.canRedo).toBe(true)
+  })
+
+  it('新的修改会清空重做栈', () => {
+    const { history } = createHistory()
+    history.record(1)
+    history.undo()
+    history.record(5)
+    expect(history.canRedo).toBe(false)
+    expect(history.undo()).toBe(0)
+  })
+
+  it('时间窗口内相同字段的修改合并为一步', () => {
+    const { history, tick } = createHistory()
+    history.record(1, 'bgBlur')
+    tick(100)
+    history.record(2, 'bgBlur')
+    tick(100)
+    history.record(3, 'bgBlur')
+    expect(history.undo()).toBe(0)
+
+    history.redo()
+    tick(1000)
+    history.record(4, 'bgBlur')
+    tick(100)
+    history.record(5, 'textSize')
+    expect(history.undo()).toBe(4)
+    expect(history.undo()).toBe(3)
+  })
+
+  it('撤销后的修改不会与之前的步骤合并', () => {
+    const { history } = createHistory()
+    history.record(1, 'bgBlur')
+    history.record(2, 'textSize')
+    history.undo()
+    history.record(3, 'bgBlur')
+    expect(history.undo()).toBe(1)
+  })
+
+  it('超出上限时丢弃最早的步骤', () => {
+    const { history } = createHistory({ limit: 2 })
+    history.record(1)
+    history.record(2)
+    history.record(3)
+    expect(history.undo()).toBe(2)
+    expect(history.undo()).toBe(1)
+    expect(history.canUndo).toBe(false)
+  })
+})
@@ -0,0 +1,90 @@
+/**
+ * 撤销 / 重做历史
+ * 保存完整状态快照；同一组字段在短时间内的连续修改（如拖动滑块）合并为一步
+ */
+
+export interface HistoryOptions {
+  /** 最多保留的撤销步数 */
+  limit?: number
+  /** 合并连续修改的时间窗口（毫秒） */
+  coalesceWindow?: number
+  now?: () => number
+}
+
+export class History<T> {
+  private past: T[] = []
+  private future: T[] = []
+  private present: T
+  private lastKey: string | null = null
+  private lastTime = 0
+
+  private readonly limit: number
+  private readonly coalesceWindow: number
+  private readonly now: () => number
+
+  constructor(initial: T, options: HistoryOptions = {}) {
+    this.present = initial
+    this.limit = options.limit ?? 100
+    this.coalesceWindow = options.coalesceWindow ?? 500
+    this.now = options.now ?? (() => Date.now())
+  }
+
+  get current(): T {
+    return this.present
+  }
+
+  get canUndo(): boolean {
+    return this.past.length > 0
+  }
+
+  get canRedo(): boolean {
+    return this.future.length > 0
+  }
+
+  /**
+   * 记录新状态
+   * @param key 本次修改的标识（通常是被修改的字段名），与上一步相同且在时间窗口内时合并
+   */
+  record(state: T, key: string | null = null): void {
+    const time = this.now()
+    const coalesce =
+      key !== null && key === this.lastKey && time - this.lastTime <= this.coalesceWindow
+
+    if (!coalesce) {
+      this.past.push(this.present)
+      if (this.past.length > this.limit) {
+        this.past.splice(0, this.past.length - this.limit)
+      }
+    }
+
+    this.present = state
+    this.future = []
+    this.lastKey = key
+    this.lastTime = time
+  }
+
+  undo(): T | null {
+    const previous = this.past.pop()
+    if (previous === undefined) return null
+    this.future.push(this.present)
+    this.present = previous
+    this.lastKey = null
+    return previous
+  }
+
+  redo(): T | null {
+    const next = this.future.pop()
+    if (next === undefined) return null
+    this.past.push(this.present)
+    this.present = next
+    this.lastKey = null
+    return next
+  }
+
+  clear(state: T): void {
+    this.past = []
+    this.future = []
+    this.present = state
+    this.lastKey = null
+  }
+}
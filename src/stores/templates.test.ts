@@ -0,0 +1,105 @@
+import { setActivePinia, createPinia } from 'pinia'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { useCoverStore } from './cover'
+import {
+  BUILTIN_TEMPLATES,
+  COLOR_SCHEMES,
+  createTemplate,
+  parseTemplates,
+  pickTemplateSettings,
+  useTemplateStore
+} from './templates'
+
+describe('模板', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    localStorage.clear()
+    // 没有 KV 接口时退回本地副本
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new Error('offline')))
+  })
+
+  describe('pickTemplateSettings', () => {
+    it('只取设计参数，不含标题与图片', () => {
+      const store = useCoverStore()
+      const settings = pickTemplateSettings(store.coverState)
+      expect(settings.bgColor).toBe(store.bgColor)
+      expect(settings.positions).toEqual(store.positions)
+      expect(settings).not.toHaveProperty('text')
+      expect(settings).not.toHaveProperty('bgImageUrl')
+    })
+
+    it('返回副本，修改模板不影响当前封面', () => {
+      const store = useCoverStore()
+      store.bgGradient = ['#000000', '#ffffff']
+      const settings = pickTemplateSettings(store.coverState)
+      settings.bgGradient![0] = '#ff0000'
+      expect(store.bgGradient[0]).toBe('#000000')
+    })
+  })
+
+  describe('createTemplate', () => {
+    it('生成用户模板，空名称使用默认名', () => {
+      const store = useCoverStore()
+      const template = createTemplate('  ', store.coverState)
+      expect(template.id).toMatch(/^tpl-/)
+      expect(template.name).toBe('未命名模板')
+      expect(template.builtin).toBe(false)
+    })
+  })
+
+  describe('parseTemplates', () => {
+    it('丢弃无效条目与未知字段', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const templates = parseTemplates([
+        { id: 'a', name: '有效', settings: { bgColor: '#123456', text: '标题', unknown: 1 } },
+        { id: 'b', name: '无效颜色', settings: { bgColor: 42 } },
+        { name: '缺少 id', settings: {} },
+        'oops'
+      ])
+      expect(templates).toEqual([{ id: 'a', name: '有效', builtin: false, settings: { bgColor: '#123456' } }])
+    })
+
+    it('非数组返回空列表', () => {
+      expect(parseTemplates(null)).toEqual([])
+      expect(parseTemplates({})).toEqual([])
+    })
+  })
+
+  describe('useTemplateStore', () => {
+    it('内置模板与配色方案一一对应', () => {
+      const templateStore = useTemplateStore()
+      expect(BUILTIN_TEMPLATES).toHaveLength(COLOR_SCHEMES.length)
+      expect(templateStore.templates.map(t => t.id)).toEqual(COLOR_SCHEMES.map(s => s.id))
+    })
+
+    it('应用模板改变配色，保留标题', () => {
+      const store = useCoverStore()
+      const templateStore = useTemplateStore()
+      store.text = '保留的标题'
+
+      expect(templateStore.applyTemplate('dark')).toBe(true)
+      expect(store.bgColor).toBe('#0f0f0f')
+      expect(store.bgGradient).toBeNull()
+      expect(store.text).toBe('保留的标题')
+      expect(templateStore.applyTemplate('missing')).toBe(false)
+    })
+
+    it('保存与删除的模板写入本地存储并可重新加载', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const store = useCoverStore()
+      const templateStore = useTemplateStore()
+      store.bgColor = '#abcdef'
+
+      const template = await templateStore.saveCurrentAsTemplate('我的模板')
+      const key = `mini-cover-templates:${store.syncId}`
+      expect(JSON.parse(localStorage.getItem(key)!)).toHaveLength(1)
+
+      templateStore.userTemplates = []
+      await templateStore.loadTemplates()
+      expect(templateStore.userTemplates[0]).toMatchObject({ name: '我的模板', settings: { bgColor: '#abcdef' } })
+
+      expect(await templateStore.removeTemplate(template.id)).toBe(true)
+      expect(JSON.parse(localStorage.getItem(key)!)).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,233 @@
+/**
+ * 封面模板
+ * 模板只保存版式、字体、配色、遮罩、阴影与水印等设计参数，不含标题文字与图片；
+ * 内置模板随代码发布，用户模板通过 EdgeStorage 持久化，配置了 KV 的部署中按同步码跨设备共享
+ */
+
+import { defineStore } from 'pinia'
+import { computed, ref, type ComputedRef, type Ref } from 'vue'
+import { EdgeStorage } from '../api/edge'
+import { useCoverStore } from './cover'
+import { COVER_DOCUMENT_TYPE, COVER_DOCUMENT_VERSION, DEFAULT_CANVAS_SIZE, parseCoverDocument } from './coverDocument'
+import type { CoverState } from '../renderer/spec'
+
+/** 模板覆盖的封面字段 */
+export const TEMPLATE_FIELDS = [
+  'bgColor',
+  'bgGradient',
+  'bgGradientType',
+  'bgGradientAngle',
+  'bgPattern',
+  'bgPatternColor',
+  'bgPatternOpacity',
+  'bgPatternSize',
+  'bgBlur',
+  'bgBrightness',
+  'bgContrast',
+  'bgSaturation',
+  'bgGrayscale',
+  'bgDuotone',
+  'overlayColor',
+  'overlayOpacity',
+  'vignette',
+  'grain',
+  'squareSize',
+  'rotation',
+  'iconColor',
+  'iconBgSize',
+  'iconGlyphColor',
+  'iconShape',
+  'iconRadius',
+  'iconBorderWidth',
+  'iconBorderColor',
+  'shadowColor',
+  'shadowBlur',
+  'shadowOffsetX',
+  'shadowOffsetY',
+  'shadowStrength',
+  'textColor',
+  'textSize',
+  'lineHeight',
+  'textFit',
+  'maxLines',
+  'text3D',
+  'textShadowColor',
+  'textShadowOpacity',
+  'textShadowOffsetX',
+  'textShadowOffsetY',
+  'textGlowColor',
+  'textGlowSize',
+  'textGradient',
+  'textBoxColor',
+  'textBoxOpacity',
+  'textBoxPadding',
+  'textBoxRadius',
+  'textStrokeWidth',
+  'textStrokeColor',
+  'highlightColor',
+  'selectedFont',
+  'textAlign',
+  'watermark',
+  'watermarkColor',
+  'watermarkImageUrl',
+  'watermarkPosition',
+  'watermarkSize',
+  'watermarkOpacity',
+  'watermarkImageSize',
+  'positions'
+] as const satisfies readonly (keyof CoverState)[]
+
+export type TemplateField = (typeof TEMPLATE_FIELDS)[number]
+export type TemplateSettings = Partial<Pick<CoverState, TemplateField>>
+
+export interface CoverTemplate {
+  id: string
+  name: string
+  builtin: boolean
+  /** 只包含模板指定的字段，应用时其余字段保持不变 */
+  settings: TemplateSettings
+}
+
+export interface ColorScheme {
+  id: string
+  name: string
+  bg: string
+  text: string
+  accent: string
+  watermark: string
+}
+
+/** 内置配色，同时提供给自动生成与 /api 中的配色方案 */
+export const COLOR_SCHEMES: readonly ColorScheme[] = [
+  { id: 'tech', name: '科技蓝', bg: '#1a1a2e', text: '#ffffff', accent: '#16213e', watermark: '#94a3b8' },
+  { id: 'vibrant', name: '活力橙', bg: '#ff6b35', text: '#ffffff', accent: '#f7931e', watermark: '#ffd9c4' },
+  { id: 'fresh', name: '清新绿', bg: '#10b981', text: '#ffffff', accent: '#34d399', watermark: '#a7f3d0' },
+  { id: 'elegant', name: '优雅紫', bg: '#7c3aed', text: '#ffffff', accent: '#a78bfa', watermark: '#ddd6fe' },
+  { id: 'minimal', name: '极简白', bg: '#fafafa', text: '#1f2937', accent: '#e5e7eb', watermark: '#9ca3af' },
+  { id: 'dark', name: '暗夜黑', bg: '#0f0f0f', text: '#f5f5f5', accent: '#262626', watermark: '#737373' },
+  { id: 'sunny', name: '暖阳黄', bg: '#f59e0b', text: '#ffffff', accent: '#fbbf24', watermark: '#fef3c7' },
+  { id: 'mint', name: '薄荷青', bg: '#14b8a6', text: '#ffffff', accent: '#2dd4bf', watermark: '#ccfbf1' },
+  { id: 'rose', name: '玫瑰粉', bg: '#ec4899', text: '#ffffff', accent: '#f472b6', watermark: '#fce7f3' },
+  { id: 'ocean', name: '深海蓝', bg: '#0369a1', text: '#ffffff', accent: '#0ea5e9', watermark: '#bae6fd' }
+]
+
+export const BUILTIN_TEMPLATES: readonly CoverTemplate[] = COLOR_SCHEMES.map(({ id, name, bg, text, accent, watermark }) => ({
+  id,
+  name,
+  builtin: true,
+  settings: {
+    bgColor: bg,
+    bgGradient: null,
+    overlayOpacity: 0,
+    textColor: text,
+    iconColor: accent,
+    watermarkColor: watermark
+  }
+}))
+
+// 设置值都是可 JSON 序列化的数据；响应式代理不能用 structuredClone 复制
+function clone<T>(value: T): T {
+  return JSON.parse(JSON.stringify(value))
+}
+
+export function pickTemplateSettings(state: CoverState): TemplateSettings {
+  const settings: Record<string, unknown> = {}
+  for (const field of TEMPLATE_FIELDS) settings[field] = state[field]
+  return clone(settings) as TemplateSettings
+}
+
+export function createTemplate(name: string, state: CoverState): CoverTemplate {
+  return {
+    id: `tpl-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: name.trim() || '未命名模板',
+    builtin: false,
+    settings: pickTemplateSettings(state)
+  }
+}
+
+/**
+ * 校验存储中读出的用户模板，字段规则与封面文档一致；无效的模板被丢弃
+ */
+export function parseTemplates(raw: unknown): CoverTemplate[] {
+  if (!Array.isArray(raw)) return []
+
+  const templates: CoverTemplate[] = []
+  for (const entry of raw) {
+    if (!entry || typeof entry !== 'object') continue
+    const { id, name, settings } = entry as Record<string, unknown>
+    if (typeof id !== 'string' || typeof name !== 'string' || !settings || typeof settings !== 'object') continue
+
+    const fields = Object.fromEntries(
+      Object.entries(settings).filter(([key]) => (TEMPLATE_FIELDS as readonly string[]).includes(key))
+    )
+    try {
+      const { document } = parseCoverDocument({
+        type: COVER_DOCUMENT_TYPE,
+        version: COVER_DOCUMENT_VERSION,
+        canvas: DEFAULT_CANVAS_SIZE,
+        cover: fields
+      })
+      const picked = pickTemplateSettings(document.cover)
+      templates.push({
+        id,
+        name,
+        builtin: false,
+        settings: Object.fromEntries(Object.keys(fields).map(key => [key, picked[key as TemplateField]]))
+      })
+    } catch (error) {
+      console.warn(`已忽略无效模板 ${name}:`, error)
+    }
+  }
+  return templates
+}
+
+const storage = new EdgeStorage(null, { remoteUrl: '/api/kv' })
+
+export const useTemplateStore = defineStore('templates', () => {
+  const cover = useCoverStore()
+
+  const userTemplates: Ref<CoverTemplate[]> = ref([])
+  const templates: ComputedRef<CoverTemplate[]> = computed(() => [...BUILTIN_TEMPLATES, ...userTemplates.value])
+
+  // 同一同步码的设备共享模板
+  const storageKey = (): string => `mini-cover-templates:${cover.ensureSyncId()}`
+
+  async function loadTemplates(): Promise<void> {
+    userTemplates.value = parseTemplates(await storage.get(storageKey(), { skipCache: true }))
+  }
+
+  function persist(): Promise<boolean> {
+    return storage.put(storageKey(), userTemplates.value)
+  }
+
+  function applyTemplate(id: string): boolean {
+    const template = templates.value.find(t => t.id === id)
+    if (!template) return false
+    cover.applyCoverState({ ...cover.coverState, ...clone(template.settings) })
+    return true
+  }
+
+  async function saveCurrentAsTemplate(name: string): Promise<CoverTemplate> {
+    const template = createTemplate(name, cover.coverState)
+    userTemplates.value = [...userTemplates.value, template]
+    await persist()
+    return template
+  }
+
+  async function removeTemplate(id: string): Promise<boolean> {
+    const next = userTemplates.value.filter(t => t.id !== id)
+    if (next.length === userTemplates.value.length) return false
+    userTemplates.value = next
+    await persist()
+    return true
+  }
+
+  return {
+    userTemplates,
+    templates,
+    loadTemplates,
+    applyTemplate,
+    saveCurrentAsTemplate,
+    removeTemplate
+  }
+})
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest'
+import { BLACK, WHITE, averageColor, blendColors, contrastRatio, parseHexColor, toHexColor } from './color'
+
+describe('颜色解析', () => {
+  it('支持三位与六位十六进制', () => {
+    expect(parseHexColor('#fff')).toEqual(WHITE)
+    expect(parseHexColor('1a2B3c')).toEqual({ r: 0x1a, g: 0x2b, b: 0x3c })
+    expect(parseHexColor('red')).toBeNull()
+  })
+
+  it('输出时取整并限制在 0–255', () => {
+    expect(toHexColor({ r: 300, g: -5, b: 127.6 })).toBe('#ff0080')
+  })
+})
+
+describe('contrastRatio', () => {
+  it('与 WCAG 参考值一致', () => {
+    expect(contrastRatio(WHITE, BLACK)).toBeCloseTo(21)
+    expect(contrastRatio(BLACK, WHITE)).toBeCloseTo(21)
+    expect(contrastRatio(WHITE, WHITE)).toBeCloseTo(1)
+    // #767676 是白底上刚好达到 4.5:1 的灰色
+    expect(contrastRatio(parseHexColor('#767676')!, WHITE)).toBeCloseTo(4.54, 2)
+  })
+})
+
+describe('blendColors', () => {
+  it('按不透明度混合', () => {
+    expect(blendColors(BLACK, WHITE, 0.5)).toEqual({ r: 127.5, g: 127.5, b: 127.5 })
+    expect(blendColors(BLACK, WHITE, 0)).toEqual(WHITE)
+  })
+})
+
+describe('averageColor', () => {
+  it('忽略透明像素', () => {
+    const pixels = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 255, 0, 255, 0, 0])
+    expect(averageColor(pixels)).toEqual({ r: 127.5, g: 0, b: 127.5 })
+    expect(averageColor(new Uint8ClampedArray([1, 2, 3, 0]))).toBeNull()
+  })
+})
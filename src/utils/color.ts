@@ -0,0 +1,97 @@
+/**
+ * 颜色工具：十六进制解析、混合与 WCAG 对比度
+ */
+
+export interface RGB {
+  r: number
+  g: number
+  b: number
+}
+
+/** WCAG AA：正文至少 4.5:1，大号文字至少 3:1 */
+export const WCAG_AA = 4.5
+export const WCAG_AA_LARGE = 3
+
+export const WHITE: RGB = { r: 255, g: 255, b: 255 }
+export const BLACK: RGB = { r: 0, g: 0, b: 0 }
+
+/**
+ * 解析 #rgb / #rrggbb，无法解析时返回 null
+ */
+export function parseHexColor(value: string): RGB | null {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value.trim())
+  if (!match) return null
+  const hex = match[1].length === 3 ? [...match[1]].map(c => c + c).join('') : match[1]
+  const n = parseInt(hex, 16)
+  return { r: (n >> 16) & 0xff, g: (n >> 8) & 0xff, b: n & 0xff }
+}
+
+export function toHexColor({ r, g, b }: RGB): string {
+  const channel = (v: number) => Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, '0')
+  return `#${channel(r)}${channel(g)}${channel(b)}`
+}
+
+/**
+ * 给 #rgb / #rrggbb 颜色加上不透明度（0–1），得到 rgba()；其他格式的颜色原样返回
+ */
+export function withAlpha(color: string, alpha: number): string {
+  const rgb = parseHexColor(color)
+  if (!rgb) return color
+  return `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${Math.min(1, Math.max(0, alpha))})`
+}
+
+/**
+ * 把 top 以 alpha 不透明度叠加到 bottom 上
+ */
+export function blendColors(top: RGB, bottom: RGB, alpha: number): RGB {
+  return {
+    r: top.r * alpha + bottom.r * (1 - alpha),
+    g: top.g * alpha + bottom.g * (1 - alpha),
+    b: top.b * alpha + bottom.b * (1 - alpha)
+  }
+}
+
+// sRGB 通道线性化，见 WCAG 2.x 相对亮度定义
+function linearize(channel: number): number {
+  const c = channel / 255
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4
+}
+
+export function relativeLuminance({ r, g, b }: RGB): number {
+  return 0.2126 * linearize(r) + 0.7152 * linearize(g) + 0.0722 * linearize(b)
+}
+
+/** 对比度，范围 1–21 */
+export function contrastRatio(a: RGB, b: RGB): number {
+  const la = relativeLuminance(a)
+  const lb = relativeLuminance(b)
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05)
+}
+
+/** HSL 饱和度与亮度，范围 0–1 */
+export function saturationLightness({ r, g, b }: RGB): { saturation: number; lightness: number } {
+  const max = Math.max(r, g, b) / 255
+  const min = Math.min(r, g, b) / 255
+  const lightness = (max + min) / 2
+  const delta = max - min
+  const saturation = delta === 0 ? 0 : delta / (1 - Math.abs(2 * lightness - 1))
+  return { saturation, lightness }
+}
+
+/**
+ * RGBA 像素的平均色，忽略几乎透明的像素
+ */
+export function averageColor(pixels: Uint8ClampedArray): RGB | null {
+  let r = 0
+  let g = 0
+  let b = 0
+  let count = 0
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] < 128) continue
+    r += pixels[i]
+    g += pixels[i + 1]
+    b += pixels[i + 2]
+    count++
+  }
+  return count ? { r: r / count, g: g / count, b: b / count } : null
+}
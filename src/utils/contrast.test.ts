@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import { WCAG_AA, WCAG_AA_LARGE, parseHexColor } from './color'
+import { checkContrast, contrastFixes, isLargeText, type TextStyle } from './contrast'
+import { quantize, worstContrast } from './palette'
+
+function regionOf(...colors: string[]) {
+  const data: number[] = []
+  for (const hex of colors) {
+    const { r, g, b } = parseHexColor(hex)!
+    for (let i = 0; i < 10; i++) data.push(r, g, b, 255)
+  }
+  return quantize(new Uint8ClampedArray(data), 4)
+}
+
+const style: TextStyle = {
+  color: '#ffffff',
+  fontSize: 16,
+  bold: false,
+  overlayOpacity: 0,
+  strokeWidth: 0,
+  strokeColor: '#000000'
+}
+
+describe('isLargeText', () => {
+  it('按 WCAG 的大号文字定义判断', () => {
+    expect(isLargeText(24, false)).toBe(true)
+    expect(isLargeText(19, true)).toBe(true)
+    expect(isLargeText(19, false)).toBe(false)
+  })
+})
+
+describe('checkContrast', () => {
+  it('白字在白色天空上不达标', () => {
+    const report = checkContrast(regionOf('#f8fafc'), style)
+    expect(report.passes).toBe(false)
+    expect(report.required).toBe(WCAG_AA)
+  })
+
+  it('大号文字使用 3:1 标准，遮罩计入对比度', () => {
+    const region = regionOf('#9ca3af')
+    const report = checkContrast(region, { ...style, fontSize: 100, overlayOpacity: 40 })
+    expect(report.required).toBe(WCAG_AA_LARGE)
+    expect(report.ratio).toBeCloseTo(worstContrast(parseHexColor('#ffffff')!, region, 40))
+    expect(report.passes).toBe(true)
+  })
+
+  it('按遮罩颜色计算，浅色遮罩降低白字的对比度', () => {
+    const region = regionOf('#9ca3af')
+    const dark = checkContrast(region, { ...style, overlayOpacity: 40 })
+    const light = checkContrast(region, { ...style, overlayOpacity: 40, overlayColor: '#ffffff' })
+    expect(light.ratio).toBeLessThan(dark.ratio)
+    expect(light.ratio).toBeCloseTo(worstContrast(parseHexColor('#ffffff')!, region, 40, parseHexColor('#ffffff')!))
+  })
+
+  it('有描边时按文字与描边计算', () => {
+    const report = checkContrast(regionOf('#ffffff'), { ...style, strokeWidth: 3, strokeColor: '#000000' })
+    expect(report.ratio).toBeCloseTo(21)
+  })
+})
+
+describe('contrastFixes', () => {
+  it('达标时不给出方案', () => {
+    expect(contrastFixes(regionOf('#000000'), style)).toEqual([])
+  })
+
+  it('给出加深遮罩、描边与反转颜色三种方案，且应用后达标', () => {
+    const region = regionOf('#e2e8f0', '#cbd5e1')
+    const fixes = contrastFixes(region, style)
+    expect(fixes.map(fix => fix.kind)).toEqual(['overlay', 'stroke', 'flip'])
+
+    const [overlay, stroke, flip] = fixes
+    expect(checkContrast(region, { ...style, overlayOpacity: overlay.changes.overlayOpacity! }).passes).toBe(true)
+    expect(stroke.changes.textStrokeColor).toBe('#111111')
+    expect(
+      checkContrast(region, {
+        ...style,
+        strokeWidth: stroke.changes.textStrokeWidth!,
+        strokeColor: stroke.changes.textStrokeColor!
+      }).passes
+    ).toBe(true)
+    expect(flip.changes.textColor).toBe('#111111')
+    expect(checkContrast(region, { ...style, color: flip.changes.textColor! }).passes).toBe(true)
+  })
+
+  it('加深遮罩按遮罩颜色计算，浅色遮罩不会推荐给白字', () => {
+    const light = { ...style, overlayOpacity: 20, overlayColor: '#ffffff' }
+    expect(contrastFixes(regionOf('#94a3b8'), light).some(fix => fix.kind === 'overlay')).toBe(false)
+
+    const region = regionOf('#334155')
+    const darkText = { ...light, color: '#111111' }
+    const overlay = contrastFixes(region, darkText).find(fix => fix.kind === 'overlay')!
+    expect(overlay).toBeDefined()
+    expect(checkContrast(region, { ...darkText, overlayOpacity: overlay.changes.overlayOpacity! }).passes).toBe(true)
+  })
+
+  it('遮罩达到上限仍不达标时不推荐加深遮罩', () => {
+    const fixes = contrastFixes(regionOf('#ffffff'), { ...style, color: '#111111', overlayOpacity: 80 })
+    expect(fixes.some(fix => fix.kind === 'overlay')).toBe(false)
+    expect(fixes.find(fix => fix.kind === 'flip')?.changes.textColor).toBe('#ffffff')
+  })
+})
@@ -0,0 +1,122 @@
+/**
+ * 文字可读性检查
+ * 按 WCAG 对比度评估文字与其背后区域，并给出加深遮罩、添加描边、反转文字颜色三种修复方案
+ */
+
+import { WCAG_AA, WCAG_AA_LARGE, WHITE, contrastRatio, parseHexColor, toHexColor, type RGB } from './color'
+import { DARK_TEXT, worstContrast, type Swatch } from './palette'
+
+export interface TextStyle {
+  color: string
+  fontSize: number
+  bold: boolean
+  /** 遮罩不透明度，百分比 */
+  overlayOpacity: number
+  /** 遮罩颜色，默认黑色 */
+  overlayColor?: string
+  strokeWidth: number
+  strokeColor: string
+}
+
+export interface ContrastReport {
+  /** 区域内最差处的对比度 */
+  ratio: number
+  required: number
+  passes: boolean
+  /** 是否按大号文字标准评估 */
+  large: boolean
+}
+
+export type ContrastFixKind = 'overlay' | 'stroke' | 'flip'
+
+export interface ContrastFix {
+  kind: ContrastFixKind
+  label: string
+  changes: {
+    overlayOpacity?: number
+    textStrokeWidth?: number
+    textStrokeColor?: string
+    textColor?: string
+  }
+  /** 应用后的对比度 */
+  ratio: number
+}
+
+const MAX_OVERLAY = 80
+const OVERLAY_STEP = 5
+
+/** WCAG 大号文字：不小于 24px，粗体不小于 18.66px */
+export function isLargeText(fontSize: number, bold: boolean): boolean {
+  return fontSize >= 24 || (bold && fontSize >= 18.66)
+}
+
+function textColorOf(style: TextStyle): RGB {
+  return parseHexColor(style.color) ?? WHITE
+}
+
+// 有描边时文字以描边为底，对比度按文字与描边计算
+function effectiveContrast(color: RGB, region: Swatch[], style: TextStyle, overlayOpacity: number): number {
+  const stroke = style.strokeWidth > 0 ? parseHexColor(style.strokeColor) : null
+  if (stroke) return contrastRatio(color, stroke)
+  return worstContrast(color, region, overlayOpacity, parseHexColor(style.overlayColor ?? '') ?? undefined)
+}
+
+/**
+ * 评估文字在区域上的对比度；region 为未叠加遮罩的背景颜色，遮罩按 style 计算
+ */
+export function checkContrast(region: Swatch[], style: TextStyle): ContrastReport {
+  const large = isLargeText(style.fontSize, style.bold)
+  const required = large ? WCAG_AA_LARGE : WCAG_AA
+  const ratio = effectiveContrast(textColorOf(style), region, style, style.overlayOpacity)
+  return { ratio, required, passes: ratio >= required, large }
+}
+
+/**
+ * 对比度不足时的修复方案，只返回能改善对比度的方案
+ */
+export function contrastFixes(region: Swatch[], style: TextStyle): ContrastFix[] {
+  const report = checkContrast(region, style)
+  if (report.passes) return []
+
+  const color = textColorOf(style)
+  const fixes: ContrastFix[] = []
+
+  // 加深遮罩：描边存在时遮罩不影响计算结果，跳过
+  if (style.strokeWidth <= 0) {
+    for (let opacity = style.overlayOpacity + OVERLAY_STEP; opacity <= MAX_OVERLAY; opacity += OVERLAY_STEP) {
+      const ratio = effectiveContrast(color, region, style, opacity)
+      if (ratio >= report.required) {
+        fixes.push({ kind: 'overlay', label: `加深遮罩至 ${opacity}%`, changes: { overlayOpacity: opacity }, ratio })
+        break
+      }
+    }
+  }
+
+  const stroke = contrastRatio(color, WHITE) > contrastRatio(color, DARK_TEXT) ? WHITE : DARK_TEXT
+  const strokeRatio = contrastRatio(color, stroke)
+  if (strokeRatio > report.ratio) {
+    fixes.push({
+      kind: 'stroke',
+      label: '添加描边',
+      changes: {
+        textStrokeWidth: Math.max(2, Math.round(style.fontSize * 0.03)),
+        textStrokeColor: toHexColor(stroke)
+      },
+      ratio: strokeRatio
+    })
+  }
+
+  const flipped = [WHITE, DARK_TEXT]
+    .map(candidate => ({ candidate, ratio: effectiveContrast(candidate, region, style, style.overlayOpacity) }))
+    .sort((a, b) => b.ratio - a.ratio)[0]
+  if (flipped.ratio > report.ratio && toHexColor(flipped.candidate) !== toHexColor(color)) {
+    fixes.push({
+      kind: 'flip',
+      label: flipped.candidate === WHITE ? '改为白色文字' : '改为深色文字',
+      changes: { textColor: toHexColor(flipped.candidate) },
+      ratio: flipped.ratio
+    })
+  }
+
+  return fixes
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest'
+import { WCAG_AA, WCAG_AA_LARGE, contrastRatio, parseHexColor } from './color'
+import { extractPalette, quantize, suggestColors, worstContrast } from './palette'
+
+/** 按比例填充纯色像素 */
+function pixelsOf(...parts: [string, number][]): Uint8ClampedArray {
+  const data: number[] = []
+  for (const [hex, count] of parts) {
+    const { r, g, b } = parseHexColor(hex)!
+    for (let i = 0; i < count; i++) data.push(r, g, b, 255)
+  }
+  return new Uint8ClampedArray(data)
+}
+
+describe('quantize', () => {
+  it('按占比返回主要颜色', () => {
+    const swatches = quantize(pixelsOf(['#ff0000', 75], ['#0000ff', 25]), 4)
+    expect(swatches[0].hex).toBe('#ff0000')
+    expect(swatches[0].share).toBeCloseTo(0.75)
+    expect(swatches.find(s => s.hex === '#0000ff')?.share).toBeCloseTo(0.25)
+  })
+
+  it('没有不透明像素时返回空列表', () => {
+    expect(quantize(new Uint8ClampedArray([0, 0, 0, 0]))).toEqual([])
+  })
+})
+
+describe('extractPalette', () => {
+  it('鲜艳色取饱和度高的颜色而不是占比最高的灰色', () => {
+    const palette = extractPalette(pixelsOf(['#808080', 80], ['#e63946', 20]))
+    expect(palette.dominant?.hex).toBe('#808080')
+    expect(palette.vibrant?.hex).toBe('#e63946')
+  })
+})
+
+describe('suggestColors', () => {
+  it('白色天空上使用深色文字，不加遮罩', () => {
+    const sky = pixelsOf(['#f4f7fb', 90], ['#dfe9f3', 10])
+    const suggestion = suggestColors(extractPalette(sky), quantize(sky, 4))
+    expect(suggestion.overlayOpacity).toBe(0)
+    expect(suggestion.contrast).toBeGreaterThanOrEqual(WCAG_AA)
+    expect(contrastRatio(parseHexColor(suggestion.textColor)!, parseHexColor('#f4f7fb')!)).toBeGreaterThanOrEqual(WCAG_AA)
+  })
+
+  it('深色背景上使用白色文字', () => {
+    const night = pixelsOf(['#0b132b', 100])
+    const suggestion = suggestColors(extractPalette(night), quantize(night, 4))
+    expect(suggestion.textColor).toBe('#ffffff')
+    expect(suggestion.overlayOpacity).toBe(0)
+  })
+
+  it('明暗混杂的区域通过加深遮罩达标', () => {
+    const mixed = pixelsOf(['#ffffff', 50], ['#000000', 50])
+    const region = quantize(mixed, 4)
+    const suggestion = suggestColors(extractPalette(mixed), region)
+    expect(suggestion.textColor).toBe('#ffffff')
+    expect(suggestion.overlayOpacity).toBeGreaterThan(0)
+    expect(worstContrast(parseHexColor('#ffffff')!, region, suggestion.overlayOpacity)).toBeGreaterThanOrEqual(WCAG_AA)
+  })
+
+  it('水印颜色满足大号文字对比度', () => {
+    const image = pixelsOf(['#1d3557', 60], ['#f1faee', 40])
+    const watermarkRegion = quantize(pixelsOf(['#1d3557', 10]), 4)
+    const suggestion = suggestColors(extractPalette(image), quantize(image, 4), watermarkRegion)
+    expect(
+      worstContrast(parseHexColor(suggestion.watermarkColor)!, watermarkRegion, suggestion.overlayOpacity)
+    ).toBeGreaterThanOrEqual(WCAG_AA_LARGE)
+  })
+})
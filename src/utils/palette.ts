@@ -0,0 +1,197 @@
+/**
+ * 调色板提取与配色建议
+ * 中位切分量化像素得到主色与鲜艳色；按文字所在区域的颜色挑选满足 WCAG 对比度的文字、遮罩与水印颜色
+ */
+
+import {
+  BLACK,
+  WCAG_AA,
+  WCAG_AA_LARGE,
+  WHITE,
+  blendColors,
+  contrastRatio,
+  saturationLightness,
+  toHexColor,
+  type RGB
+} from './color'
+
+export interface Swatch {
+  color: RGB
+  hex: string
+  /** 占采样像素的比例，0–1 */
+  share: number
+}
+
+export interface Palette {
+  swatches: Swatch[]
+  dominant: Swatch | null
+  vibrant: Swatch | null
+}
+
+export interface ColorSuggestion {
+  textColor: string
+  /** 遮罩不透明度，百分比，与 CoverState.overlayOpacity 一致 */
+  overlayOpacity: number
+  watermarkColor: string
+  accentColor: string
+  /** 文字与所在区域最差处的对比度 */
+  contrast: number
+}
+
+export interface SuggestOptions {
+  minContrast?: number
+  /** 允许的最大遮罩，百分比 */
+  maxOverlay?: number
+}
+
+type Pixel = [number, number, number]
+
+/** 深色文字不用纯黑，避免过于生硬 */
+export const DARK_TEXT: RGB = { r: 17, g: 17, b: 17 }
+// 占比低于此值的颜色视为噪点，不参与对比度判断
+const MIN_SHARE = 0.05
+const OVERLAY_STEP = 5
+
+function collectPixels(pixels: Uint8ClampedArray): Pixel[] {
+  const result: Pixel[] = []
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] < 128) continue
+    result.push([pixels[i], pixels[i + 1], pixels[i + 2]])
+  }
+  return result
+}
+
+function channelRange(box: Pixel[]): { channel: number; range: number } {
+  let best = { channel: 0, range: 0 }
+  for (let channel = 0; channel < 3; channel++) {
+    let min = 255
+    let max = 0
+    for (const pixel of box) {
+      min = Math.min(min, pixel[channel])
+      max = Math.max(max, pixel[channel])
+    }
+    if (max - min > best.range) best = { channel, range: max - min }
+  }
+  return best
+}
+
+/**
+ * 中位切分量化 RGBA 像素，返回按占比从高到低排列的颜色
+ */
+export function quantize(pixels: Uint8ClampedArray, maxColors = 8): Swatch[] {
+  const all = collectPixels(pixels)
+  if (!all.length) return []
+
+  const boxes: Pixel[][] = [all]
+  while (boxes.length < maxColors) {
+    // 优先切分颜色跨度与像素数都大的盒子
+    let target = -1
+    let score = 0
+    for (const [i, box] of boxes.entries()) {
+      if (box.length < 2) continue
+      const value = channelRange(box).range * box.length
+      if (value > score) {
+        score = value
+        target = i
+      }
+    }
+    if (target === -1) break
+
+    const box = boxes[target]
+    const { channel } = channelRange(box)
+    box.sort((a, b) => a[channel] - b[channel])
+    const mid = box.length >> 1
+    boxes.splice(target, 1, box.slice(0, mid), box.slice(mid))
+  }
+
+  // 按中位数切分可能把同一种颜色分到两个盒子里，输出时按色值合并
+  const merged = new Map<string, Swatch>()
+  for (const box of boxes) {
+    const sum = box.reduce((acc, [r, g, b]) => ({ r: acc.r + r, g: acc.g + g, b: acc.b + b }), { r: 0, g: 0, b: 0 })
+    const color = { r: sum.r / box.length, g: sum.g / box.length, b: sum.b / box.length }
+    const hex = toHexColor(color)
+    const share = box.length / all.length
+    const existing = merged.get(hex)
+    merged.set(hex, existing ? { ...existing, share: existing.share + share } : { color, hex, share })
+  }
+  return [...merged.values()].sort((a, b) => b.share - a.share)
+}
+
+/**
+ * 鲜艳色：饱和度高、亮度适中，并兼顾占比
+ */
+function pickVibrant(swatches: Swatch[]): Swatch | null {
+  let best: Swatch | null = null
+  let bestScore = 0
+  for (const swatch of swatches) {
+    const { saturation, lightness } = saturationLightness(swatch.color)
+    if (lightness < 0.2 || lightness > 0.85) continue
+    const score = saturation * Math.sqrt(swatch.share)
+    if (score > bestScore) {
+      bestScore = score
+      best = swatch
+    }
+  }
+  return best
+}
+
+export function extractPalette(pixels: Uint8ClampedArray, maxColors = 8): Palette {
+  const swatches = quantize(pixels, maxColors)
+  return {
+    swatches,
+    dominant: swatches[0] ?? null,
+    vibrant: pickVibrant(swatches) ?? swatches[0] ?? null
+  }
+}
+
+/**
+ * 颜色与区域内各主要颜色（叠加遮罩后）的最低对比度
+ */
+export function worstContrast(color: RGB, region: Swatch[], overlayOpacity = 0, overlayColor: RGB = BLACK): number {
+  const significant = region.filter(swatch => swatch.share >= MIN_SHARE)
+  const colors = (significant.length ? significant : region).map(swatch =>
+    blendColors(overlayColor, swatch.color, overlayOpacity / 100)
+  )
+  return colors.length ? Math.min(...colors.map(bg => contrastRatio(color, bg))) : 21
+}
+
+/**
+ * 根据文字区域与水印区域的颜色给出配色建议
+ * 白字或深色字能直接达标时不加遮罩；都不达标时使用白字并逐步加深遮罩
+ */
+export function suggestColors(
+  palette: Palette,
+  textRegion: Swatch[],
+  watermarkRegion: Swatch[] = textRegion,
+  options: SuggestOptions = {}
+): ColorSuggestion {
+  const { minContrast = WCAG_AA, maxOverlay = 80 } = options
+
+  const light = worstContrast(WHITE, textRegion)
+  const dark = worstContrast(DARK_TEXT, textRegion)
+  let text = light >= dark ? WHITE : DARK_TEXT
+  let contrast = Math.max(light, dark)
+  let overlayOpacity = 0
+
+  if (contrast < minContrast) {
+    text = WHITE
+    while (overlayOpacity < maxOverlay) {
+      overlayOpacity = Math.min(maxOverlay, overlayOpacity + OVERLAY_STEP)
+      contrast = worstContrast(WHITE, textRegion, overlayOpacity)
+      if (contrast >= minContrast) break
+    }
+  }
+
+  // 水印优先取图片中的颜色，大号文字标准即可；都不达标时与文字同色
+  const candidates = [...palette.swatches.map(swatch => swatch.color), WHITE, DARK_TEXT]
+  const watermark =
+    candidates.find(color => worstContrast(color, watermarkRegion, overlayOpacity) >= WCAG_AA_LARGE) ?? text
+
+  return {
+    textColor: toHexColor(text),
+    overlayOpacity,
+    watermarkColor: toHexColor(watermark),
+    accentColor: palette.vibrant?.hex ?? toHexColor(text),
+    contrast
+  }
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import { encodeQrCode, formatBits, reedSolomon, type QrCode } from './qrcode'
+
+// 版本 1 的功能区域：定位图形、分隔符、格式信息与定时图形
+function isFunctionV1(x: number, y: number, size: number): boolean {
+  return (x < 9 && y < 9) || (x >= size - 8 && y < 9) || (x < 9 && y >= size - 8) || x === 6 || y === 6
+}
+
+// 读出格式信息中的掩码，撤销掩码后按蛇形顺序读回全部码字
+function readCodewordsV1(qr: QrCode): number[] {
+  const { size, modules } = qr
+  let format = 0
+  for (let i = 14; i >= 9; i--) format = (format << 1) | Number(modules[8][14 - i])
+  format = (format << 1) | Number(modules[8][7])
+  format = (format << 1) | Number(modules[8][8])
+  format = (format << 1) | Number(modules[7][8])
+  for (let i = 5; i >= 0; i--) format = (format << 1) | Number(modules[i][8])
+  const mask = ((format ^ 0x5412) >>> 10) & 7
+  const masks = [
+    (x: number, y: number) => (x + y) % 2 === 0,
+    (_x: number, y: number) => y % 2 === 0,
+    (x: number) => x % 3 === 0,
+    (x: number, y: number) => (x + y) % 3 === 0,
+    (x: number, y: number) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x: number, y: number) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x: number, y: number) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x: number, y: number) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+  ]
+
+  const bits: number[] = []
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j
+        const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert
+        if (isFunctionV1(x, y, size)) continue
+        bits.push(Number(modules[y][x] !== masks[mask](x, y)))
+      }
+    }
+  }
+  const codewords: number[] = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((b, bit) => (b << 1) | bit, 0))
+  return codewords
+}
+
+describe('reedSolomon', () => {
+  it('与标准示例的纠错码字一致', () => {
+    // HELLO WORLD，版本 1-M
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17]
+    expect(reedSolomon(data, 10)).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23])
+  })
+})
+
+describe('formatBits', () => {
+  it('M 级格式信息与标准表一致', () => {
+    expect(formatBits(0)).toBe(0b101010000010010)
+    expect(formatBits(1)).toBe(0b101000100100101)
+    expect(formatBits(7)).toBe(0b100101010100000)
+  })
+})
+
+describe('encodeQrCode', () => {
+  it('短文本使用版本 1，数据与纠错码字可按掩码读回', () => {
+    const qr = encodeQrCode('ab')
+    expect(qr.version).toBe(1)
+    expect(qr.size).toBe(21)
+
+    const data = [0x40, 0x26, 0x16, 0x20, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11]
+    expect(readCodewordsV1(qr)).toEqual([...data, ...reedSolomon(data, 10)])
+  })
+
+  it('绘制定位图形、定时图形与暗模块', () => {
+    const { size, modules } = encodeQrCode('https://example.com')
+    for (const [x, y] of [[0, 0], [size - 7, 0], [0, size - 7]]) {
+      expect(modules[y].slice(x, x + 7)).toEqual([true, true, true, true, true, true, true])
+      expect(modules[y + 1].slice(x, x + 7)).toEqual([true, false, false, false, false, false, true])
+    }
+    expect(modules[6].slice(8, size - 8)).toEqual(Array.from({ length: size - 16 }, (_, i) => i % 2 === 0))
+    expect(modules[size - 8][8]).toBe(true)
+  })
+
+  it('按长度选择版本，版本 7 起写入版本信息', () => {
+    expect(encodeQrCode('a'.repeat(14)).version).toBe(1)
+    expect(encodeQrCode('a'.repeat(15)).version).toBe(2)
+
+    const qr = encodeQrCode(`https://example.com/${'a'.repeat(100)}`)
+    expect(qr.version).toBe(7)
+    let bits = 0
+    for (let i = 17; i >= 0; i--) bits = (bits << 1) | Number(qr.modules[Math.floor(i / 3)][qr.size - 11 + (i % 3)])
+    expect(bits).toBe(0x07c94)
+  })
+
+  it('UTF-8 编码中文，超出容量时抛出错误', () => {
+    expect(encodeQrCode('中文链接').version).toBe(1)
+    expect(() => encodeQrCode('a'.repeat(3000))).toThrow('Text is too long')
+  })
+})
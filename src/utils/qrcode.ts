@@ -0,0 +1,336 @@
+/**
+ * 最小 QR 码编码器
+ * 只实现字节模式与 M 级纠错（约 15%），足以编码文章链接；按 ISO/IEC 18004 选择版本、掩码并排布模块
+ */
+
+export interface QrCode {
+  version: number
+  /** 边长（模块数），不含静区 */
+  size: number
+  /** 按行排列，true 为深色模块 */
+  modules: boolean[][]
+}
+
+// 按版本索引（下标 0 占位）：M 级每块纠错码字数与分块数
+const ECC_CODEWORDS_PER_BLOCK = [
+  -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28,
+  28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28
+]
+const ERROR_CORRECTION_BLOCKS = [
+  -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33,
+  35, 37, 38, 40, 43, 45, 47, 49
+]
+/** 格式信息中 M 级的编码 */
+const ECC_FORMAT_BITS = 0
+const MAX_VERSION = 40
+
+// GF(256) 乘法，本原多项式 x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x: number, y: number): number {
+  let z = 0
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d)
+    z ^= ((y >>> i) & 1) * x
+  }
+  return z
+}
+
+function reedSolomonDivisor(degree: number): number[] {
+  const result = new Array<number>(degree).fill(0)
+  result[degree - 1] = 1
+  let root = 1
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root)
+      if (j + 1 < degree) result[j] ^= result[j + 1]
+    }
+    root = gfMultiply(root, 0x02)
+  }
+  return result
+}
+
+/**
+ * 计算数据码字的 Reed-Solomon 纠错码字
+ */
+export function reedSolomon(data: readonly number[], degree: number): number[] {
+  const divisor = reedSolomonDivisor(degree)
+  const result = new Array<number>(degree).fill(0)
+  for (const byte of data) {
+    const factor = byte ^ (result.shift() as number)
+    result.push(0)
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor)
+    })
+  }
+  return result
+}
+
+function alignmentPositions(version: number): number[] {
+  if (version === 1) return []
+  const count = Math.floor(version / 7) + 2
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2
+  const result = [6]
+  for (let pos = version * 4 + 10; result.length < count; pos -= step) result.splice(1, 0, pos)
+  return result
+}
+
+// 除功能图形与格式、版本信息外可放数据的模块数
+function rawDataModules(version: number): number {
+  let result = (16 * version + 128) * version + 64
+  if (version >= 2) {
+    const count = Math.floor(version / 7) + 2
+    result -= (25 * count - 10) * count - 55
+    if (version >= 7) result -= 36
+  }
+  return result
+}
+
+function dataCodewords(version: number): number {
+  return Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version]
+}
+
+// 字节模式下的数据位：模式指示、长度、数据、终止符，再用 0xEC / 0x11 补齐
+function encodeData(bytes: Uint8Array, version: number): number[] {
+  const bits: number[] = []
+  const push = (value: number, length: number) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1)
+  }
+  push(0b0100, 4)
+  push(bytes.length, version < 10 ? 8 : 16)
+  bytes.forEach(byte => push(byte, 8))
+
+  const capacity = dataCodewords(version) * 8
+  push(0, Math.min(4, capacity - bits.length))
+  push(0, (8 - (bits.length % 8)) % 8)
+
+  const codewords: number[] = []
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0))
+  }
+  for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) codewords.push(pad)
+  return codewords
+}
+
+// 分块计算纠错码字后交错排列
+function interleave(data: number[], version: number): number[] {
+  const blockCount = ERROR_CORRECTION_BLOCKS[version]
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version]
+  const rawCodewords = Math.floor(rawDataModules(version) / 8)
+  const shortBlocks = blockCount - (rawCodewords % blockCount)
+  const shortLength = Math.floor(rawCodewords / blockCount) - eccLength
+
+  const blocks: { data: number[]; ecc: number[] }[] = []
+  for (let i = 0, k = 0; i < blockCount; i++) {
+    const length = shortLength + (i < shortBlocks ? 0 : 1)
+    const block = data.slice(k, k + length)
+    k += length
+    blocks.push({ data: block, ecc: reedSolomon(block, eccLength) })
+  }
+
+  const result: number[] = []
+  for (let i = 0; i <= shortLength; i++) {
+    blocks.forEach(block => {
+      if (i < block.data.length) result.push(block.data[i])
+    })
+  }
+  for (let i = 0; i < eccLength; i++) blocks.forEach(block => result.push(block.ecc[i]))
+  return result
+}
+
+const MASKS: ((x: number, y: number) => boolean)[] = [
+  (x, y) => (x + y) % 2 === 0,
+  (_x, y) => y % 2 === 0,
+  x => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+]
+
+/**
+ * 格式信息：纠错等级与掩码编号，BCH(15,5) 编码后异或固定掩码
+ */
+export function formatBits(mask: number): number {
+  const data = (ECC_FORMAT_BITS << 3) | mask
+  let rem = data
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537)
+  return ((data << 10) | rem) ^ 0x5412
+}
+
+class QrMatrix {
+  readonly size: number
+  readonly modules: boolean[][]
+  private readonly reserved: boolean[][]
+
+  constructor(readonly version: number) {
+    this.size = version * 4 + 17
+    this.modules = Array.from({ length: this.size }, () => new Array<boolean>(this.size).fill(false))
+    this.reserved = Array.from({ length: this.size }, () => new Array<boolean>(this.size).fill(false))
+    this.drawFunctionPatterns()
+  }
+
+  private set(x: number, y: number, dark: boolean): void {
+    this.modules[y][x] = dark
+    this.reserved[y][x] = true
+  }
+
+  private drawFunctionPatterns(): void {
+    const { size } = this
+    for (let i = 0; i < size; i++) {
+      this.set(6, i, i % 2 === 0)
+      this.set(i, 6, i % 2 === 0)
+    }
+
+    // 定位图形连同外圈分隔符
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx
+          const y = cy + dy
+          const dist = Math.max(Math.abs(dx), Math.abs(dy))
+          if (x >= 0 && x < size && y >= 0 && y < size) this.set(x, y, dist !== 2 && dist !== 4)
+        }
+      }
+    }
+
+    // 校正图形，避开三个定位图形
+    const positions = alignmentPositions(this.version)
+    const last = positions.length - 1
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) this.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+        }
+      })
+    })
+
+    // 先占位，选定掩码后再写入
+    this.drawFormat(0)
+
+    if (this.version >= 7) {
+      let rem = this.version
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25)
+      const bits = (this.version << 12) | rem
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1
+        const a = size - 11 + (i % 3)
+        const b = Math.floor(i / 3)
+        this.set(a, b, dark)
+        this.set(b, a, dark)
+      }
+    }
+  }
+
+  drawFormat(mask: number): void {
+    const bits = formatBits(mask)
+    const bit = (i: number) => ((bits >>> i) & 1) === 1
+    const { size } = this
+
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(i))
+    this.set(8, 7, bit(6))
+    this.set(8, 8, bit(7))
+    this.set(7, 8, bit(8))
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i))
+
+    for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(i))
+    for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(i))
+    this.set(8, size - 8, true)
+  }
+
+  /** 自右下角起两列一组蛇形排布码字，跳过功能模块 */
+  drawCodewords(codewords: number[]): void {
+    const { size } = this
+    let i = 0
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j
+          const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert
+          if (this.reserved[y][x] || i >= codewords.length * 8) continue
+          this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1
+          i++
+        }
+      }
+    }
+  }
+
+  /** 对数据模块应用掩码，再次调用即撤销 */
+  applyMask(mask: number): void {
+    const test = MASKS[mask]
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && test(x, y)) this.modules[y][x] = !this.modules[y][x]
+      }
+    }
+  }
+
+  /** 按标准的四条规则计算罚分，用于选择掩码 */
+  penalty(): number {
+    const { size, modules } = this
+    let result = 0
+    const lines: string[] = []
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i].map(dark => (dark ? '1' : '0')).join(''))
+      lines.push(modules.map(row => (row[i] ? '1' : '0')).join(''))
+    }
+
+    for (const line of lines) {
+      for (const run of line.match(/0{5,}|1{5,}/g) ?? []) result += run.length - 2
+      result += 40 * (line.match(/(?=10111010000|00001011101)/g)?.length ?? 0)
+    }
+
+    let dark = 0
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++
+        if (
+          x < size - 1 &&
+          y < size - 1 &&
+          modules[y][x] === modules[y][x + 1] &&
+          modules[y][x] === modules[y + 1][x] &&
+          modules[y][x] === modules[y + 1][x + 1]
+        ) {
+          result += 3
+        }
+      }
+    }
+    const total = size * size
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10
+    return result
+  }
+}
+
+/**
+ * 将文本按 UTF-8 编码为 QR 码，自动选择能容纳的最小版本；超出容量时抛出错误
+ */
+export function encodeQrCode(text: string): QrCode {
+  const bytes = new TextEncoder().encode(text)
+  let version = 1
+  // 模式指示 4 位 + 长度字段
+  while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) {
+    version++
+  }
+  if (version > MAX_VERSION) throw new Error('Text is too long for a QR code')
+
+  const matrix = new QrMatrix(version)
+  matrix.drawCodewords(interleave(encodeData(bytes, version), version))
+
+  let best = 0
+  let minPenalty = Infinity
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    matrix.applyMask(mask)
+    matrix.drawFormat(mask)
+    const penalty = matrix.penalty()
+    if (penalty < minPenalty) {
+      best = mask
+      minPenalty = penalty
+    }
+    matrix.applyMask(mask)
+  }
+  matrix.applyMask(best)
+  matrix.drawFormat(best)
+
+  return { version, size: matrix.size, modules: matrix.modules }
+}
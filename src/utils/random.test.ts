@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest'
+import { createRandom, hashSeed, pickRandom } from './random'
+
+describe('hashSeed', () => {
+  it('同一字符串得到相同的 32 位无符号整数', () => {
+    expect(hashSeed('前端工程化')).toBe(hashSeed('前端工程化'))
+    expect(hashSeed('a')).not.toBe(hashSeed('b'))
+    expect(hashSeed('')).toBe(0x811c9dc5)
+    expect(Number.isInteger(hashSeed('任意标题'))).toBe(true)
+  })
+})
+
+describe('createRandom', () => {
+  it('相同种子得到相同序列，取值在 [0, 1) 内', () => {
+    const a = createRandom(42)
+    const b = createRandom(42)
+    const values = Array.from({ length: 100 }, () => a())
+    expect(values).toEqual(Array.from({ length: 100 }, () => b()))
+    expect(values.every(v => v >= 0 && v < 1)).toBe(true)
+    expect(createRandom(43)()).not.toBe(values[0])
+  })
+
+  it('pickRandom 按生成器选择元素', () => {
+    const items = ['a', 'b', 'c']
+    expect(pickRandom(items, () => 0)).toBe('a')
+    expect(pickRandom(items, () => 0.99)).toBe('c')
+  })
+})
@@ -0,0 +1,34 @@
+/**
+ * 可复现的伪随机数
+ * 相同的种子得到相同的序列，用于让自动生成的结果可缓存、可测试
+ */
+
+/**
+ * 字符串的 32 位 FNV-1a 哈希，作为默认种子
+ */
+export function hashSeed(value: string): number {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * mulberry32：返回 [0, 1) 之间的伪随机数生成器
+ */
+export function createRandom(seed: number): () => number {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+export function pickRandom<T>(items: readonly T[], random: () => number): T {
+  return items[Math.floor(random() * items.length)]
+}
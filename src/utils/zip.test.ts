@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest'
+import { crc32, createZip, ZipWriter } from './zip'
+
+const decoder = new TextDecoder()
+
+/** 读取中央目录中的文件名与偏移 */
+function readEntries(zip: Uint8Array): { name: string; offset: number; size: number }[] {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength)
+  const end = zip.length - 22
+  expect(view.getUint32(end, true)).toBe(0x06054b50)
+  const count = view.getUint16(end + 10, true)
+  let pos = view.getUint32(end + 16, true)
+
+  const entries = []
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(pos, true)).toBe(0x02014b50)
+    const nameLength = view.getUint16(pos + 28, true)
+    entries.push({
+      name: decoder.decode(zip.subarray(pos + 46, pos + 46 + nameLength)),
+      size: view.getUint32(pos + 24, true),
+      offset: view.getUint32(pos + 42, true)
+    })
+    pos += 46 + nameLength
+  }
+  return entries
+}
+
+describe('crc32', () => {
+  it('与标准校验值一致', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926)
+    expect(crc32(new Uint8Array())).toBe(0)
+  })
+})
+
+describe('createZip', () => {
+  it('写入文件与中央目录，文件名使用 UTF-8', () => {
+    const zip = createZip([
+      { name: '01-标题.png', data: new Uint8Array([1, 2, 3]) },
+      { name: 'manifest.json', data: '{"ok":true}' }
+    ])
+    const entries = readEntries(zip)
+
+    expect(entries.map(e => e.name)).toEqual(['01-标题.png', 'manifest.json'])
+    const view = new DataView(zip.buffer)
+    for (const entry of entries) {
+      expect(view.getUint32(entry.offset, true)).toBe(0x04034b50)
+      expect(view.getUint16(entry.offset + 6, true) & 0x0800).toBe(0x0800)
+    }
+    const manifest = entries[1]
+    const nameLength = view.getUint16(manifest.offset + 26, true)
+    const start = manifest.offset + 30 + nameLength
+    expect(decoder.decode(zip.subarray(start, start + manifest.size))).toBe('{"ok":true}')
+  })
+
+  it('空压缩包只包含结束记录', () => {
+    expect(createZip([]).length).toBe(22)
+  })
+})
+
+describe('ZipWriter', () => {
+  it('逐个产出的字节拼接后与一次性打包一致', () => {
+    const modified = new Date(2024, 0, 2, 3, 4, 6)
+    const files = [
+      { name: 'a.txt', data: 'a', modified },
+      { name: 'b.txt', data: 'bb', modified }
+    ]
+    const writer = new ZipWriter()
+    const chunks = [...files.map(file => writer.add(file)), writer.finish()]
+    const joined = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0))
+    let offset = 0
+    for (const chunk of chunks) {
+      joined.set(chunk, offset)
+      offset += chunk.length
+    }
+    expect(joined).toEqual(createZip(files))
+  })
+
+  it('拒绝重复的文件名', () => {
+    const writer = new ZipWriter()
+    writer.add({ name: 'a.txt', data: 'a' })
+    expect(() => writer.add({ name: 'a.txt', data: 'b' })).toThrow('Duplicate')
+  })
+})
@@ -0,0 +1,143 @@
+/**
+ * 最小 ZIP 打包（STORE，不压缩）
+ * 图片本身已经压缩过，再 deflate 收益很小；按条目依次产出字节，既可整体拼接也可边生成边输出
+ */
+
+export interface ZipFile {
+  name: string
+  data: Uint8Array | string
+  modified?: Date
+}
+
+interface CentralEntry {
+  name: Uint8Array
+  crc: number
+  size: number
+  offset: number
+  time: number
+  date: number
+}
+
+// 通用标志位 11：文件名为 UTF-8
+const UTF8_FLAG = 0x0800
+const MAX_UINT32 = 0xffffffff
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+export function crc32(data: Uint8Array): number {
+  let crc = 0xffffffff
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/** DOS 时间格式，只能表示 1980 年以后，精度 2 秒 */
+function dosDateTime(date: Date): { time: number; date: number } {
+  const year = Math.max(date.getFullYear(), 1980)
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+export class ZipWriter {
+  private entries: CentralEntry[] = []
+  private offset = 0
+  private names = new Set<string>()
+  private readonly encoder = new TextEncoder()
+
+  /**
+   * 添加一个文件，返回本地文件头与数据
+   */
+  add(file: ZipFile): Uint8Array<ArrayBuffer> {
+    if (this.names.has(file.name)) throw new Error(`Duplicate zip entry: ${file.name}`)
+    this.names.add(file.name)
+
+    const name = this.encoder.encode(file.name)
+    const data = typeof file.data === 'string' ? this.encoder.encode(file.data) : file.data
+    const { time, date } = dosDateTime(file.modified ?? new Date())
+    const crc = crc32(data)
+
+    if (this.offset + 30 + name.length + data.length > MAX_UINT32) {
+      throw new Error('Zip archive exceeds 4 GB')
+    }
+
+    const bytes = new Uint8Array(30 + name.length + data.length)
+    const view = new DataView(bytes.buffer)
+    view.setUint32(0, 0x04034b50, true)
+    view.setUint16(4, 20, true)
+    view.setUint16(6, UTF8_FLAG, true)
+    view.setUint16(8, 0, true)
+    view.setUint16(10, time, true)
+    view.setUint16(12, date, true)
+    view.setUint32(14, crc, true)
+    view.setUint32(18, data.length, true)
+    view.setUint32(22, data.length, true)
+    view.setUint16(26, name.length, true)
+    view.setUint16(28, 0, true)
+    bytes.set(name, 30)
+    bytes.set(data, 30 + name.length)
+
+    this.entries.push({ name, crc, size: data.length, offset: this.offset, time, date })
+    this.offset += bytes.length
+    return bytes
+  }
+
+  /**
+   * 结束打包，返回中央目录与结束记录
+   */
+  finish(): Uint8Array<ArrayBuffer> {
+    const directorySize = this.entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0)
+    const bytes = new Uint8Array(directorySize + 22)
+    const view = new DataView(bytes.buffer)
+
+    let pos = 0
+    for (const entry of this.entries) {
+      view.setUint32(pos, 0x02014b50, true)
+      view.setUint16(pos + 4, 20, true)
+      view.setUint16(pos + 6, 20, true)
+      view.setUint16(pos + 8, UTF8_FLAG, true)
+      view.setUint16(pos + 10, 0, true)
+      view.setUint16(pos + 12, entry.time, true)
+      view.setUint16(pos + 14, entry.date, true)
+      view.setUint32(pos + 16, entry.crc, true)
+      view.setUint32(pos + 20, entry.size, true)
+      view.setUint32(pos + 24, entry.size, true)
+      view.setUint16(pos + 28, entry.name.length, true)
+      view.setUint32(pos + 42, entry.offset, true)
+      bytes.set(entry.name, pos + 46)
+      pos += 46 + entry.name.length
+    }
+
+    view.setUint32(pos, 0x06054b50, true)
+    view.setUint16(pos + 8, this.entries.length, true)
+    view.setUint16(pos + 10, this.entries.length, true)
+    view.setUint32(pos + 12, directorySize, true)
+    view.setUint32(pos + 16, this.offset, true)
+    return bytes
+  }
+}
+
+/**
+ * 一次性打包全部文件
+ */
+export function createZip(files: ZipFile[]): Uint8Array<ArrayBuffer> {
+  const writer = new ZipWriter()
+  const chunks = files.map(file => writer.add(file))
+  chunks.push(writer.finish())
+
+  const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0))
+  let offset = 0
+  for (const chunk of chunks) {
+    result.set(chunk, offset)
+    offset += chunk.length
+  }
+  return result
+}